@@ -6,6 +6,11 @@ import fs from 'fs';
 import QRCode from 'qrcode';
 import logger from '../logger.js';
 import { paths } from '../paths.js';
+import { getPersonaMaxChars, loadPersonaTemplates, savePersona } from '../utils/persona.js';
+import orchestratorManager from '../orchestrator/orchestrator-manager.js';
+import capabilityProbe from '../orchestrator/capability-probe.js';
+import processPool from '../orchestrator/process-pool.js';
+import { promptDumps } from '../utils/prompt-builder.js';
 
 class APIServer {
   constructor(port, waClient, sessionManager, db) {
@@ -168,15 +173,100 @@ class APIServer {
       res.json(this.db.getMessages(req.params.phone, limit));
     });
 
+    // Orkestratörler ve yetenek kontrolü sonuçları
+    this.app.get('/api/orchestrators', async (req, res) => {
+      try {
+        await orchestratorManager.ensureInitialized();
+        res.json({
+          defaultOrchestrator: orchestratorManager.defaultOrchestrator,
+          orchestrators: orchestratorManager.getOrchestratorStatuses()
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Kontrolü hemen tekrarla
+    this.app.post('/api/orchestrators/probe', async (req, res) => {
+      try {
+        await capabilityProbe.probeAll();
+        res.json({
+          defaultOrchestrator: orchestratorManager.defaultOrchestrator,
+          orchestrators: orchestratorManager.getOrchestratorStatuses()
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Son derlenen prompt'lar (bölüm özetleri)
+    this.app.get('/api/prompts', (req, res) => {
+      res.json({ prompts: promptDumps.list() });
+    });
+
+    // Bir isteğe giden prompt'un tam hali
+    this.app.get('/api/prompts/:requestId', (req, res) => {
+      const dump = promptDumps.get(req.params.requestId);
+      if (dump) {
+        res.json(dump);
+      } else {
+        res.status(404).json({ error: 'Prompt bulunamadı' });
+      }
+    });
+
+    // Personalar
+    this.app.get('/api/personas', (req, res) => {
+      res.json({ personas: this.db.listPersonas() });
+    });
+
+    // Admin persona şablonları
+    this.app.get('/api/personas/templates', (req, res) => {
+      res.json({ templates: loadPersonaTemplates(), maxChars: getPersonaMaxChars() });
+    });
+
+    // Numaranın personası
+    this.app.get('/api/personas/:phone', (req, res) => {
+      const persona = this.db.getPersona(req.params.phone);
+      if (persona) {
+        res.json(persona);
+      } else {
+        res.status(404).json({ error: 'Persona bulunamadı' });
+      }
+    });
+
+    // Persona ayarla: { content } veya { template }
+    this.app.put('/api/personas/:phone', (req, res) => {
+      const { content, template } = req.body || {};
+      const result = savePersona(this.db, req.params.phone, { content, template });
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      res.json(result.persona);
+    });
+
+    // Persona sil
+    this.app.delete('/api/personas/:phone', (req, res) => {
+      if (!this.db.deletePersona(req.params.phone)) {
+        return res.status(404).json({ error: 'Persona bulunamadı' });
+      }
+      res.json({ success: true });
+    });
+
     // İstatistikler
     this.app.get('/api/stats', (req, res) => {
       const dbStats = this.db.getStats();
       const sessionStats = this.sessionManager.getStats();
+      const usageChatId = req.query.chatId ? String(req.query.chatId) : null;
       const memUsage = process.memoryUsage();
 
       res.json({
         database: dbStats,
         sessions: sessionStats,
+        processPool: processPool.getStatus(),
+        usage: {
+          today: this.db.getUsageSummary({ chatId: usageChatId, period: 'day' }),
+          month: this.db.getUsageSummary({ chatId: usageChatId, period: 'month' })
+        },
         memory: {
           heapUsed: Math.round(memUsage.heapUsed / 1024 / 1024),
           heapTotal: Math.round(memUsage.heapTotal / 1024 / 1024),
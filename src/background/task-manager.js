@@ -5,12 +5,22 @@ import fs from 'fs/promises';
 import path from 'path';
 import logger from '../logger.js';
 import { paths } from '../paths.js';
+import adapterRegistry from '../orchestrator/adapter-registry.js';
+import processPool from '../orchestrator/process-pool.js';
 import {
   buildOutboxEnv,
   createOutboxRequestId,
   getOutboxPaths,
   getOutboxPromptInstructions
 } from '../outbox/common.js';
+import { PERSONA_TAG, formatPersonaContent } from '../utils/persona.js';
+import {
+  PROFILE_TAG,
+  getProfilePromptNote,
+  resolveExecutionProfile
+} from '../orchestrator/execution-profiles.js';
+import PromptBuilder from '../utils/prompt-builder.js';
+import { terminateProcess } from '../utils/terminate-process.js';
 
 /**
  * Arka plan görevlerini yöneten sınıf.
@@ -71,11 +81,7 @@ class BackgroundTaskManager extends EventEmitter {
     const raw = String(value || '').trim().toLowerCase();
     if (!raw) return null;
     if (raw === 'default' || raw === 'auto') return null;
-    if (raw.startsWith('gemini')) return 'gemini';
-    if (raw.startsWith('claude') || raw === 'anthropic') return 'claude';
-    if (raw.startsWith('codex') || raw.startsWith('openai') || raw.startsWith('gpt')) return 'codex';
-    if (raw === 'sonnet' || raw === 'haiku' || raw === 'opus') return 'claude';
-    return null;
+    return adapterRegistry.normalizeType(raw);
   }
 
   getDefaultOrchestrator() {
@@ -84,47 +90,27 @@ class BackgroundTaskManager extends EventEmitter {
       process.env.BACKGROUND_ORCHESTRATOR ||
       process.env.ORCHESTRATOR_TYPE ||
       'codex';
-    return this.normalizeOrchestrator(raw) || 'codex';
-  }
-
-  appendImageNotes(prompt, images = []) {
-    if (!images || images.length === 0) return prompt;
-    const lines = images.filter(Boolean).map((img) => `- ${img}`);
-    if (lines.length === 0) return prompt;
-    return `${prompt}\n\nEk dosyalar (metin olmayan dosyalar olabilir):\n${lines.join('\n')}`;
-  }
-
-  getGeminiIncludeDirectories() {
-    const raw = process.env.GEMINI_INCLUDE_DIRS || process.env.GEMINI_INCLUDE_DIRECTORIES || '';
-    if (!raw) return [];
-    return raw
-      .split(',')
-      .map((value) => value.trim())
-      .filter(Boolean);
-  }
-
-  shouldUseGeminiYolo() {
-    const yolo = String(process.env.GEMINI_BG_YOLO || process.env.GEMINI_YOLO || '1')
-      .toLowerCase()
-      .trim();
-    return yolo === '1' || yolo === 'true' || yolo === 'yes';
-  }
-
-  getGeminiApprovalMode() {
-    const mode = String(process.env.GEMINI_BG_APPROVAL_MODE || process.env.GEMINI_APPROVAL_MODE || '')
-      .trim();
-    if (mode) return mode;
-    return this.shouldUseGeminiYolo() ? 'yolo' : 'auto_edit';
-  }
-
-  getPrimaryCodexModel() {
-    return process.env.CODEX_MODEL || 'gpt-5.3-codex';
+    return this.normalizeOrchestrator(raw) || adapterRegistry.list()[0];
   }
 
   /**
    * Yeni bir arka plan görevi başlat
    */
-  async startTask({ owner, description, prompt, images = [], orchestrator, onComplete }) {
+  async startTask({
+    owner,
+    description,
+    prompt,
+    images = [],
+    orchestrator,
+    model = null,
+    effort = null,
+    workdir = null,
+    persona = null,
+    profile = null,
+    onComplete
+  }) {
+    await adapterRegistry.ensureInitialized();
+
     const taskId = this.generateTaskId();
     const selectedOrchestrator =
       this.normalizeOrchestrator(orchestrator) || this.getDefaultOrchestrator();
@@ -142,7 +128,11 @@ class BackgroundTaskManager extends EventEmitter {
       error: null,
       orchestrator: selectedOrchestrator,
       model: null,
+      modelOverride: model || effort ? { model: model || null, effort: effort || null } : null,
+      workdir,
+      profile: resolveExecutionProfile(profile).name,
       threadId: null,
+      usage: null,
       requestId: createOutboxRequestId('bg'),
       process: null
     };
@@ -156,7 +146,7 @@ class BackgroundTaskManager extends EventEmitter {
 
     const finalize = (() => {
       let finished = false;
-      return async ({ status, result, error }) => {
+      return async ({ status, result, error, usage }) => {
         if (finished) return;
         finished = true;
         task.process = null;
@@ -164,6 +154,7 @@ class BackgroundTaskManager extends EventEmitter {
         task.status = status;
         task.result = result ?? task.result;
         task.error = error ?? task.error;
+        task.usage = usage ?? task.usage;
 
         if (task.status === 'completed' && (!task.result || !task.result.trim())) {
           task.result = 'Görev tamamlandı (çıktı yok)';
@@ -187,195 +178,101 @@ class BackgroundTaskManager extends EventEmitter {
       };
     })();
 
-    if (selectedOrchestrator === 'claude') {
-      this.startClaudeTask({ task, prompt, images, finalize });
-      return task;
-    }
+    // Persona görev prompt'una eklenir (adaptörün *_BG_INSTRUCTIONS override'ından etkilenmez)
+    const { prompt: taskPrompt } = new PromptBuilder({ orchestrator: selectedOrchestrator })
+      .add('task', prompt, { required: true })
+      .add('persona', formatPersonaContent(persona), { tag: PERSONA_TAG, priority: 80 })
+      .add('profile', getProfilePromptNote(task.profile), { tag: PROFILE_TAG, required: true })
+      .build({ requestId: task.requestId, chatId: owner });
 
-    if (selectedOrchestrator === 'gemini') {
-      this.startGeminiTask({ task, prompt, images, finalize });
-      return task;
-    }
-
-    this.startCodexTask({ task, prompt, images, finalize });
+    this.runAdapterTask({ task, prompt: taskPrompt, images, finalize });
     return task;
   }
 
-  startCodexTask({ task, prompt, images, finalize }) {
-    const workdir = process.env.CODEX_WORKDIR || paths.appRoot;
-    const codexBin = process.env.CODEX_BIN || 'codex';
-    const model = this.getPrimaryCodexModel();
-    const reasoningEffort = process.env.CODEX_REASONING_EFFORT || 'medium';
-    const yolo = (process.env.CODEX_YOLO || '1') !== '0';
-    const sandboxMode = process.env.CODEX_SANDBOX || 'workspace-write';
-    const timeoutMs = parseInt(process.env.CODEX_BG_TIMEOUT_MS || '1800000', 10); // 30 dakika
-
-    task.model = model;
-
-    const args = [];
-    if (yolo) {
-      args.push('--dangerously-bypass-approvals-and-sandbox');
-    } else {
-      args.push('-a', 'never');
+  /**
+   * Görevi seçilen orkestratörün adaptörü ile çalıştır
+   */
+  runAdapterTask({ task, prompt, images, finalize }) {
+    const adapter = adapterRegistry.get(task.orchestrator);
+    if (!adapter) {
+      void finalize({ status: 'failed', error: `Bilinmeyen orkestratör: ${task.orchestrator}` });
+      return;
     }
 
-    args.push('exec');
-
-    if (images && images.length) {
-      for (const img of images) {
-        if (img) args.push('-i', img);
-      }
+    if (typeof adapter.runTask === 'function') {
+      this.runInProcessTask({ adapter, task, prompt, images, finalize });
+      return;
     }
 
-    args.push(
-      '--skip-git-repo-check',
-      '--json',
-      '-m',
-      model,
-      '-c',
-      `model_reasoning_effort=${JSON.stringify(reasoningEffort)}`,
-      '-C',
-      workdir,
-      '-s',
-      sandboxMode,
-      '-'
-    );
-
-    const proc = spawn(codexBin, args, {
-      env: {
-        ...process.env,
-        ...buildOutboxEnv({
-          chatId: task.owner,
-          requestId: task.requestId,
-          orchestrator: 'codex',
-          outboxPaths: this.outboxPaths,
-          extraEnv: {
-            WA_SESSION_ID: task.id
-          }
-        })
-      },
-      cwd: workdir
-    });
-
-    task.process = proc;
-
-    let stderr = '';
-    let stdoutBuf = '';
-    const messages = [];
-
-    proc.stdout.on('data', (data) => {
-      stdoutBuf += data.toString();
-      const lines = stdoutBuf.split('\n');
-      stdoutBuf = lines.pop() || '';
-
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed.startsWith('{')) continue;
-        try {
-          const evt = JSON.parse(trimmed);
-          if (evt?.type === 'thread.started' && typeof evt.thread_id === 'string') {
-            task.threadId = evt.thread_id;
-          }
-          if (evt?.type === 'item.completed' && evt?.item?.type === 'agent_message') {
-            const text = String(evt.item.text || '').trim();
-            if (text) messages.push(text);
-          }
-        } catch {
-          // ignore
-        }
-      }
-    });
-
-    proc.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
-
-    proc.on('close', (code) => {
-      if (stdoutBuf.trim().startsWith('{')) {
-        try {
-          const evt = JSON.parse(stdoutBuf.trim());
-          if (evt?.type === 'item.completed' && evt?.item?.type === 'agent_message') {
-            const text = String(evt.item.text || '').trim();
-            if (text) messages.push(text);
-          }
-        } catch {
-          // ignore
-        }
-      }
-
-      if (code === 0) {
-        const result = messages.join('\n').trim();
-        void finalize({ status: 'completed', result });
-        return;
-      }
-
-      const errorMsg = stderr.trim() || `Çıkış kodu: ${code}`;
-      void finalize({ status: 'failed', error: errorMsg });
-    });
-
-    proc.on('error', (error) => {
+    let invocation;
+    try {
+      invocation = adapter.buildTaskInvocation({
+        task,
+        prompt,
+        images,
+        defaultInstructions: this.getDefaultBgInstructions(),
+        model: task.modelOverride?.model || null,
+        effort: task.modelOverride?.effort || null,
+        workdir: task.workdir || null,
+        profile: task.profile
+      });
+    } catch (error) {
       void finalize({ status: 'failed', error: error.message });
-    });
-
-    const systemPrompt = process.env.CODEX_BG_INSTRUCTIONS || this.getDefaultBgInstructions();
-    const fullPrompt = `${systemPrompt}\n\nGörev: ${prompt}\n\nBaşla:`;
-    proc.stdin.write(fullPrompt);
-    proc.stdin.end();
+      return;
+    }
 
-    setTimeout(() => {
-      if (task.process === proc) {
-        proc.kill('SIGTERM');
-        void finalize({ status: 'timeout', error: 'Zaman aşımı' });
-      }
-    }, timeoutMs);
+    task.model = invocation.model || null;
+
+    // Etkileşimli mesajlar önceliklidir; görev havuzda yer açılana kadar bekler
+    processPool
+      .acquire({
+        key: task.id,
+        owner: task.owner,
+        priority: 'background',
+        notice: `arka plan görevi [${task.id}]`,
+        outboxPaths: this.outboxPaths
+      })
+      .then((slot) => {
+        if (!slot) return; // beklerken iptal edildi (cancelTask)
+        if (task.status !== 'running') {
+          slot.release();
+          return;
+        }
+        this.spawnTask({ adapter, task, invocation, finalize, releaseSlot: slot.release });
+      });
   }
 
-  startClaudeTask({ task, prompt, images, finalize }) {
-    const claudeBin = process.env.CLAUDE_BIN || 'claude';
-    const model = process.env.CLAUDE_BG_MODEL || process.env.CLAUDE_MODEL || 'sonnet';
-    const timeoutMs = parseInt(
-      process.env.CLAUDE_BG_TIMEOUT_MS || process.env.CLAUDE_TIMEOUT_MS || '600000',
-      10
-    );
-    const workdir = process.env.CLAUDE_WORKDIR || paths.appRoot;
-    const systemPrompt = process.env.CLAUDE_BG_INSTRUCTIONS || this.getDefaultBgInstructions();
-
-    task.model = model;
-
-    const args = [
-      '--dangerously-skip-permissions',
-      '--print',
-      '--output-format',
-      'json',
-      '--model',
-      model,
-      '--system-prompt',
-      systemPrompt
-    ];
-
-    const proc = spawn(claudeBin, args, {
+  /**
+   * Havuzdan yer aldıktan sonra görev sürecini başlat; yer süreç çıkınca bırakılır
+   */
+  spawnTask({ adapter, task, invocation, finalize, releaseSlot }) {
+    const proc = spawn(invocation.bin, invocation.args, {
       env: {
         ...process.env,
         ...buildOutboxEnv({
           chatId: task.owner,
           requestId: task.requestId,
-          orchestrator: 'claude',
+          orchestrator: adapter.type,
           outboxPaths: this.outboxPaths,
           extraEnv: {
             WA_SESSION_ID: task.id
           }
         })
       },
-      cwd: workdir
+      cwd: invocation.cwd
     });
 
     task.process = proc;
 
-    let stdout = '';
+    const parser = adapter.createOutputParser(invocation.parserOptions);
     let stderr = '';
+    let timeoutTimer = null;
 
     proc.stdout.on('data', (data) => {
-      stdout += data.toString();
+      parser.push(data.toString());
+      if (parser.sessionId) {
+        task.threadId = parser.sessionId;
+      }
     });
 
     proc.stderr.on('data', (data) => {
@@ -383,203 +280,76 @@ class BackgroundTaskManager extends EventEmitter {
     });
 
     proc.on('close', (code) => {
-      let result = '';
-      let isError = false;
-      let errorMsg = '';
-
-      try {
-        const response = JSON.parse(stdout.trim());
-        if (response?.type === 'result' && response.result) {
-          result = String(response.result);
-        }
-        if (response?.is_error) {
-          isError = true;
-          errorMsg = String(response.result || response.error || 'Bilinmeyen hata');
-        }
-      } catch {
-        if (stdout.trim()) result = stdout.trim();
+      releaseSlot();
+      clearTimeout(timeoutTimer);
+      const output = parser.finish();
+      if (output.sessionId) {
+        task.threadId = output.sessionId;
       }
-
-      if (code === 0 && !isError) {
-        void finalize({ status: 'completed', result });
-        return;
+      if (output.model) {
+        task.model = output.model;
       }
-
-      const finalError = errorMsg || stderr.trim() || `Çıkış kodu: ${code}`;
-      void finalize({ status: 'failed', error: finalError });
+      void finalize({ ...adapter.resolveTaskOutcome({ code, output, stderr }), usage: output.usage || null });
     });
 
     proc.on('error', (error) => {
+      releaseSlot();
+      clearTimeout(timeoutTimer);
       void finalize({ status: 'failed', error: error.message });
     });
 
-    const taskPrompt = this.appendImageNotes(`Görev: ${prompt}`, images);
-    proc.stdin.write(taskPrompt);
-    proc.stdin.end();
-
-    setTimeout(() => {
-      if (task.process === proc) {
-        proc.kill('SIGTERM');
-        void finalize({ status: 'timeout', error: 'Zaman aşımı' });
-      }
-    }, timeoutMs);
-  }
-
-  startGeminiTask({ task, prompt, images, finalize }) {
-    const geminiBin = process.env.GEMINI_BIN || 'gemini';
-    const model = process.env.GEMINI_BG_MODEL || process.env.GEMINI_MODEL || '';
-    const outputFormat =
-      process.env.GEMINI_BG_OUTPUT_FORMAT || process.env.GEMINI_OUTPUT_FORMAT || 'stream-json';
-    const timeoutMs = parseInt(
-      process.env.GEMINI_BG_TIMEOUT_MS || process.env.GEMINI_TIMEOUT_MS || '600000',
-      10
-    );
-    const workdir = process.env.GEMINI_WORKDIR || paths.appRoot;
-    const approvalMode = this.getGeminiApprovalMode();
-    const includeDirs = this.getGeminiIncludeDirectories();
-
-    task.model = model || null;
-
-    const instructions = process.env.GEMINI_BG_INSTRUCTIONS || this.getDefaultBgInstructions();
-    const basePrompt = `${instructions}\n\nGörev: ${prompt}`;
-    const fullPrompt = this.appendImageNotes(basePrompt, images);
-
-    const args = [];
-    if (model) {
-      args.push('--model', model);
-    }
-    if (outputFormat) {
-      args.push('--output-format', outputFormat);
-    }
-    if (approvalMode && approvalMode !== 'yolo') {
-      args.push('--approval-mode', approvalMode);
+    if (invocation.stdin !== null && invocation.stdin !== undefined) {
+      proc.stdin.write(invocation.stdin);
+      proc.stdin.end();
     }
-    if (approvalMode === 'yolo') {
-      args.push('--yolo');
-    }
-    for (const dir of includeDirs) {
-      args.push('--include-directories', dir);
-    }
-
-    args.push(fullPrompt);
-
-    const proc = spawn(geminiBin, args, {
-      env: {
-        ...process.env,
-        ...buildOutboxEnv({
-          chatId: task.owner,
-          requestId: task.requestId,
-          orchestrator: 'gemini',
-          outboxPaths: this.outboxPaths,
-          extraEnv: {
-            WA_SESSION_ID: task.id
-          }
-        })
-      },
-      cwd: workdir
-    });
-
-    task.process = proc;
-
-    let stdoutBuf = '';
-    let rawStdout = '';
-    let stderr = '';
-    let assistantText = '';
-    let errorText = '';
-    const isStreamJson = outputFormat === 'stream-json';
-
-    const handleEvent = (evt) => {
-      if (!evt || typeof evt !== 'object') return;
-      if (evt.type === 'message' && evt.role === 'assistant') {
-        const content = String(evt.content || '');
-        if (evt.delta) {
-          assistantText += content;
-        } else if (content) {
-          assistantText = content;
-        }
-      }
-      if (evt.type === 'error') {
-        const msg = evt.message || evt.error || evt.detail || '';
-        if (msg) errorText = String(msg);
-      }
-      if (evt.type === 'result' && evt.status && evt.status !== 'success') {
-        const msg = evt.error || evt.message || evt.status;
-        if (msg) errorText = String(msg);
-      }
-    };
 
-    proc.stdout.on('data', (data) => {
-      const chunk = data.toString();
-      if (!isStreamJson) {
-        rawStdout += chunk;
-        return;
-      }
-
-      stdoutBuf += chunk;
-      const lines = stdoutBuf.split('\n');
-      stdoutBuf = lines.pop() || '';
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed) continue;
-        try {
-          handleEvent(JSON.parse(trimmed));
-        } catch {
-          // ignore non-JSON output
+    if (invocation.timeoutMs > 0) {
+      timeoutTimer = setTimeout(() => {
+        if (task.process === proc) {
+          terminateProcess(proc);
+          void finalize({ status: 'timeout', error: 'Zaman aşımı' });
         }
-      }
-    });
-
-    proc.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+      }, invocation.timeoutMs);
+    }
+  }
 
-    proc.on('close', (code) => {
-      if (isStreamJson) {
-        const tail = stdoutBuf.trim();
-        if (tail.startsWith('{')) {
-          try {
-            handleEvent(JSON.parse(tail));
-          } catch {
-            // ignore
-          }
-        }
-      } else if (rawStdout.trim()) {
-        if (outputFormat === 'json') {
-          try {
-            const payload = JSON.parse(rawStdout.trim());
-            if (payload?.error?.message) {
-              errorText = String(payload.error.message);
-            }
-            if (payload?.response) {
-              assistantText = String(payload.response);
-            }
-          } catch {
-            assistantText = rawStdout.trim();
-          }
-        } else {
-          assistantText = rawStdout.trim();
+  /**
+   * Süreç spawn etmeyen adaptörler (ör: HTTP backend) için görev çalıştırma.
+   * task.process, cancelTask'ın kullanabilmesi için kill() arayüzü taşır.
+   */
+  runInProcessTask({ adapter, task, prompt, images, finalize }) {
+    const controller = new AbortController();
+    const handle = { kill: () => controller.abort() };
+    let timeoutTimer = null;
+
+    task.process = handle;
+    task.model = task.modelOverride?.model || adapter.getModel?.({ background: true }) || null;
+
+    adapter
+      .runTask({
+        task,
+        prompt,
+        images,
+        defaultInstructions: this.getDefaultBgInstructions(),
+        signal: controller.signal,
+        outboxPaths: this.outboxPaths,
+        model: task.modelOverride?.model || null,
+        effort: task.modelOverride?.effort || null,
+        profile: task.profile
+      })
+      .then((outcome) => finalize(outcome))
+      .catch((error) => finalize({ status: 'failed', error: error?.message || String(error) }))
+      .finally(() => clearTimeout(timeoutTimer));
+
+    const timeoutMs = adapter.getTimeoutMs?.({ background: true }) || 0;
+    if (timeoutMs > 0) {
+      timeoutTimer = setTimeout(() => {
+        if (task.process === handle) {
+          handle.kill();
+          void finalize({ status: 'timeout', error: 'Zaman aşımı' });
         }
-      }
-
-      if (code === 0 && !errorText) {
-        void finalize({ status: 'completed', result: assistantText.trim() });
-        return;
-      }
-
-      const finalError = errorText || stderr.trim() || `Çıkış kodu: ${code}`;
-      void finalize({ status: 'failed', error: finalError });
-    });
-
-    proc.on('error', (error) => {
-      void finalize({ status: 'failed', error: error.message });
-    });
-
-    setTimeout(() => {
-      if (task.process === proc) {
-        proc.kill('SIGTERM');
-        void finalize({ status: 'timeout', error: 'Zaman aşımı' });
-      }
-    }, timeoutMs);
+      }, timeoutMs);
+    }
   }
 
   /**
@@ -623,8 +393,9 @@ class BackgroundTaskManager extends EventEmitter {
     const task = this.tasks.get(taskId);
     if (!task) return false;
 
+    processPool.cancelWaiting(taskId);
     if (task.process) {
-      task.process.kill('SIGTERM');
+      terminateProcess(task.process);
     }
     task.status = 'cancelled';
     task.completedAt = new Date().toISOString();
@@ -1,26 +1,31 @@
 import { spawn } from 'child_process';
 import EventEmitter from 'events';
-import fs from 'fs/promises';
-import path from 'path';
-import { v4 as uuidv4 } from 'uuid';
 import logger from '../logger.js';
-import { paths } from '../paths.js';
 import {
   buildOutboxEnv,
   createOutboxRequestId,
+  getOutboxCommands,
   getOutboxPaths,
   getOutboxPromptInstructions
 } from '../outbox/common.js';
+import { mergeUsage } from '../utils/usage.js';
+import { createProgressReporter } from '../outbox/progress-reporter.js';
+import { formatPersonaBlock } from '../utils/persona.js';
+import { runWithRetry } from '../orchestrator/retry-policy.js';
+import processPool from '../orchestrator/process-pool.js';
+import { terminateProcess } from '../utils/terminate-process.js';
 
 /**
  * Claude Code Process Wrapper
- * WhatsApp kullanıcıları için persistent Claude Code oturumları yönetir
+ * WhatsApp kullanıcıları için persistent Claude Code oturumları yönetir.
+ * CLI argümanları, çıktı ayrıştırma ve session store ClaudeAdapter'dan gelir.
  */
 class ClaudeProcess extends EventEmitter {
-  constructor(id, owner) {
+  constructor(id, owner, adapter) {
     super();
     this.id = id;
     this.owner = owner;
+    this.adapter = adapter;
     this.process = null;
     this.state = 'idle';
     this.createdAt = new Date();
@@ -29,11 +34,17 @@ class ClaudeProcess extends EventEmitter {
     this.sessionId = null; // Claude Code session ID (UUID)
     this.sessionLoaded = false;
     this.lastExecutionMeta = null;
+    this.modelSettings = null; // !!model / !!effort tercihi (execute options'tan)
+    this.workdir = null; // !!proje ile bağlanan çalışma dizini (execute options'tan)
+    this.persona = null; // !!persona bloğu; sadece ilk tur talimatına eklenir
+    this.profile = null; // çalıştırma profili (execution-profiles.js, execute options'tan)
+    this.cancelRequested = false;
     this.outboxPaths = getOutboxPaths();
+    this.poolOwner = owner; // süreç havuzunda adalet sahibi (!!compare denemelerinde gerçek sohbet)
   }
 
   getSessionStorePath() {
-    return process.env.CLAUDE_SESSION_STORE || path.join(paths.dataDir, 'claude-sessions.json');
+    return this.adapter.getStorePath();
   }
 
   /**
@@ -43,23 +54,17 @@ class ClaudeProcess extends EventEmitter {
     if (this.sessionLoaded) return;
     this.sessionLoaded = true;
 
-    try {
-      const raw = await fs.readFile(this.getSessionStorePath(), 'utf8');
-      const data = JSON.parse(raw);
-      const existing = data?.[this.owner];
-
-      if (typeof existing === 'string' && existing.length > 0) {
-        this.sessionId = existing;
-        logger.info(`Mevcut Claude session yüklendi: ${this.sessionId}`);
-        return;
-      }
+    const existing = await this.adapter.readStoredState(this.owner);
 
-      if (existing && typeof existing === 'object' && existing.sessionId) {
-        this.sessionId = existing.sessionId;
-        logger.info(`Mevcut Claude session yüklendi: ${this.sessionId}`);
-      }
-    } catch {
-      // Dosya yoksa veya parse edilemezse yeni session oluşturulacak
+    if (typeof existing === 'string' && existing.length > 0) {
+      this.sessionId = existing;
+      logger.info(`Mevcut Claude session yüklendi: ${this.sessionId}`);
+      return;
+    }
+
+    if (existing && typeof existing === 'object' && existing.sessionId) {
+      this.sessionId = existing.sessionId;
+      logger.info(`Mevcut Claude session yüklendi: ${this.sessionId}`);
     }
   }
 
@@ -67,26 +72,10 @@ class ClaudeProcess extends EventEmitter {
    * Session ID'yi kaydet
    */
   async saveSessionState(sessionId) {
-    const storePath = this.getSessionStorePath();
-    const dir = path.dirname(storePath);
-    const tmpPath = `${storePath}.tmp.${process.pid}`;
-
-    let data = {};
-    try {
-      const raw = await fs.readFile(storePath, 'utf8');
-      data = JSON.parse(raw) || {};
-    } catch {
-      data = {};
-    }
-
-    data[this.owner] = {
+    await this.adapter.writeStoredState(this.owner, {
       sessionId: sessionId,
       updatedAt: new Date().toISOString()
-    };
-
-    await fs.mkdir(dir, { recursive: true });
-    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2) + '\n');
-    await fs.rename(tmpPath, storePath);
+    });
   }
 
   /**
@@ -122,7 +111,7 @@ class ClaudeProcess extends EventEmitter {
 
 ## DOSYA GÖNDERME (WhatsApp'a direkt)
 Kullanıcıya dosya/slayt/rapor ürettiysen, link vermek yerine direkt WhatsApp'tan gönder:
-  node scripts/ai-outbox-media.js --file /mutlak/dosya/yolu --caption "Açıklama"
+  ${getOutboxCommands().media} --file /mutlak/dosya/yolu --caption "Açıklama"
 Desteklenen: PDF, PNG, JPG, HTML, ZIP, MP4, MP3 vb.
 - HTML slayt → önce PDF'e çevir (chromium --headless ile), sonra gönder
 - Geçici dosyalar için: /tmp/ veya /opt/whatsapp-claude/tmp/ kullanabilirsin
@@ -167,7 +156,7 @@ Sen: Commit ve push yapıyorum!
 \`\`\`
 
 ## MESAJ FORMATI
-- Tüm iletişim node scripts/ai-outbox-message.js üzerinden
+- Tüm iletişim ${getOutboxCommands().message} üzerinden
 - Response text kullanıcıya GÖNDERİLMEZ — sadece iç log
 - Kısa ve öz yaz, WhatsApp mesajı gibi düşün
 - Her işte en az 1 "--type final" mesajı gönder (özet ver)
@@ -187,38 +176,58 @@ Mesajda [ARKA PLAN GÖREVLERİ] bloğu varsa:
 ${getOutboxPromptInstructions()}`;
   }
 
+  /**
+   * Çalıştırmanın token kullanımını biriktir (bir mesaj birden fazla CLI çağrısı sürebilir)
+   */
+  addUsage(usage, model = null) {
+    if (!this.lastExecutionMeta || !usage) return;
+    this.lastExecutionMeta.usage = mergeUsage(this.lastExecutionMeta.usage, usage);
+    if (model) this.lastExecutionMeta.model = model;
+  }
+
+  /**
+   * Son çalıştırmanın hata durumunu kaydet (failover kararı için)
+   */
+  setFailure(reason, detail = '') {
+    if (!this.lastExecutionMeta) return;
+    this.lastExecutionMeta.failure = reason ? this.adapter.classifyFailure(reason, detail) : null;
+  }
+
   /**
    * Claude Code CLI'yi çalıştır
    */
   async runClaude({ message, images = [], isNewSession = false, requestId = null }) {
-    const model = process.env.CLAUDE_MODEL || 'sonnet';
-    const workdir = process.env.CLAUDE_WORKDIR || paths.appRoot;
-    const timeoutMs = parseInt(process.env.CLAUDE_TIMEOUT_MS || '300000', 10); // 5 dakika
-    const claudeBin = process.env.CLAUDE_BIN || 'claude';
-
-    return await new Promise((resolve) => {
-      const args = [
-        '--dangerously-skip-permissions',
-        '--print',
-        '--output-format', 'json',
-        '--model', model
-      ];
-
-      // Session yönetimi
-      if (this.sessionId && !isNewSession) {
-        // Mevcut session'a devam et
-        args.push('--resume', this.sessionId);
-      } else {
-        // Yeni session oluştur - system prompt ile
-        args.push('--system-prompt', this.getSystemPrompt());
-      }
+    this.setFailure(null);
+    if (this.cancelRequested) return 'İptal edildi.';
+    const invocation = this.adapter.buildChatInvocation({
+      prompt: message,
+      images,
+      resumeId: this.sessionId && !isNewSession ? this.sessionId : null,
+      systemPrompt: `${this.getSystemPrompt()}${formatPersonaBlock(this.persona)}`,
+      model: this.modelSettings?.model,
+      workdir: this.workdir,
+      profile: this.profile
+    });
 
+    // Global süreç havuzunda yer bekle (bkz. orchestrator/process-pool.js)
+    const slot = await processPool.acquire({
+      key: this.id,
+      owner: this.poolOwner,
+      notice: 'mesajın',
+      outboxPaths: this.outboxPaths
+    });
+    if (!slot) return 'İptal edildi.';
+    if (this.cancelRequested) {
+      slot.release();
+      return 'İptal edildi.';
+    }
 
+    return await new Promise((resolve) => {
       this.state = 'executing';
 
       logger.info(`Claude komutu başlatılıyor [${this.id}]${this.sessionId ? ` session=${this.sessionId.substring(0, 8)}...` : ' (yeni)'}`);
 
-      this.process = spawn(claudeBin, args, {
+      this.process = spawn(invocation.bin, invocation.args, {
         env: {
           ...process.env,
           ...buildOutboxEnv({
@@ -231,53 +240,55 @@ ${getOutboxPromptInstructions()}`;
             }
           })
         },
-        cwd: workdir
+        cwd: invocation.cwd
       });
 
-      let stdout = '';
+      const progress = createProgressReporter({
+        chatId: this.owner,
+        requestId,
+        orchestrator: 'claude',
+        cwd: invocation.cwd,
+        outboxPaths: this.outboxPaths
+      });
+      const parser = this.adapter.createOutputParser({
+        onActivity: progress?.report
+      });
       let stderr = '';
 
       this.process.stdout.on('data', (data) => {
-        stdout += data.toString();
+        parser.push(data.toString());
       });
 
       this.process.stderr.on('data', (data) => {
         stderr += data.toString();
       });
 
+      let timeoutTimer = null;
+      // Zaman aşımı/hata sonucu verdiyse geç gelen close, sonucu ve sonraki işin durumunu ezmesin
+      let settled = false;
+
       const finish = async (code) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutTimer);
+        await progress?.stop();
         this.state = 'idle';
         this.process = null;
 
-        let result = '';
-        let sessionIdFromRun = null;
-
-        // JSON output'u parse et
-        try {
-          const response = JSON.parse(stdout.trim());
+        const output = parser.finish();
+        const result = output.text;
+        this.addUsage(output.usage, output.model || invocation.model);
 
-          if (response.type === 'result' && response.result) {
-            result = response.result;
-          }
-
-          if (response.session_id) {
-            sessionIdFromRun = response.session_id;
-          }
-
-          // Hata kontrolü
-          if (response.is_error) {
-            logger.error(`Claude API hatası: ${response.result || 'Bilinmeyen hata'}`);
-          }
-        } catch (e) {
-          // JSON parse edilemezse raw output kullan
-          if (stdout.trim()) {
-            result = stdout.trim();
-          }
+        if (output.isError) {
+          logger.error(`Claude API hatası: ${output.error}`);
+          this.setFailure('error', output.error);
+        } else if (code !== 0) {
+          this.setFailure('error', stderr || `Hata kodu: ${code}`);
         }
 
         // Session ID'yi güncelle ve kaydet
-        if (sessionIdFromRun) {
-          this.sessionId = sessionIdFromRun;
+        if (output.sessionId) {
+          this.sessionId = output.sessionId;
           try {
             await this.saveSessionState(this.sessionId);
             logger.info(`Claude session kaydedildi: ${this.sessionId.substring(0, 8)}...`);
@@ -286,6 +297,12 @@ ${getOutboxPromptInstructions()}`;
           }
         }
 
+        if (this.cancelRequested) {
+          this.setFailure(null);
+          resolve('İptal edildi.');
+          return;
+        }
+
         if (result) {
           // WhatsApp için uzunluk limiti
           if (result.length > 3500) {
@@ -306,38 +323,41 @@ ${getOutboxPromptInstructions()}`;
         resolve('');
       };
 
+      // Havuzdaki yer süreç gerçekten çıkınca bırakılır (zaman aşımında SIGTERM'den hemen sonra değil)
       this.process.on('close', (code) => {
+        slot.release();
         void finish(code);
       });
 
       this.process.on('error', (error) => {
+        slot.release();
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutTimer);
+        void progress?.stop();
         this.state = 'idle';
         this.process = null;
         logger.error('Claude process hatası:', error);
+        this.setFailure('error', error.message);
         resolve(`Sistem hatası: ${error.message}`);
       });
 
-      // Mesajı gönder
-      let fullMessage = message;
-
-      // Görseller varsa belirt
-      if (images && images.length > 0) {
-        fullMessage += `\n\n[Gönderilen görseller: ${images.join(', ')}]`;
-      }
-
-      this.process.stdin.write(fullMessage);
+      this.process.stdin.write(invocation.stdin);
       this.process.stdin.end();
 
       // Timeout
-      if (timeoutMs > 0) {
-        setTimeout(() => {
-          if (this.process) {
-            this.process.kill('SIGTERM');
+      if (invocation.timeoutMs > 0) {
+        timeoutTimer = setTimeout(() => {
+          if (!settled) {
+            settled = true;
+            terminateProcess(this.process);
             this.process = null;
             this.state = 'idle';
+            this.setFailure('timeout');
+            void progress?.stop();
             resolve('İstek zaman aşımına uğradı. Lütfen tekrar dene.');
           }
-        }, timeoutMs);
+        }, invocation.timeoutMs);
       }
     });
   }
@@ -352,7 +372,12 @@ ${getOutboxPromptInstructions()}`;
     this.lastActivity = new Date();
     this.state = 'executing';
     this.messageCount++;
-    const requestId = createOutboxRequestId('chat');
+    this.cancelRequested = false;
+    this.modelSettings = { model: options.model || null, effort: options.effort || null };
+    this.workdir = options.workdir || null;
+    this.persona = options.persona || null;
+    this.profile = options.profile || null;
+    const requestId = options.requestId || createOutboxRequestId('chat');
     this.lastExecutionMeta = {
       requestId,
       orchestrator: 'claude',
@@ -368,10 +393,15 @@ ${getOutboxPromptInstructions()}`;
       `Claude komutu [${this.id}]${this.sessionId ? ` (session ${this.sessionId.substring(0, 8)}...)` : ' (yeni session)'}: ${String(message || '').substring(0, 100)}...`
     );
 
-    const response = await this.runClaude({ message, images, isNewSession, requestId });
+    const response = await runWithRetry(
+      this,
+      () => this.runClaude({ message, images, isNewSession, requestId }),
+      { requestId, outboxPaths: this.outboxPaths }
+    );
 
     // Boş cevap kontrolü
     if (!response || response.trim() === '') {
+      this.setFailure('empty');
       return 'Cevap oluşturulamadı. Lütfen tekrar dene.';
     }
 
@@ -410,9 +440,26 @@ ${getOutboxPromptInstructions()}`;
     return Date.now() - this.lastActivity.getTime() > timeoutMinutes * 60 * 1000;
   }
 
+  /**
+   * Çalışan isteği iptal et (!!stop); session/thread id korunur, oturum kullanılmaya devam eder
+   */
+  cancel() {
+    if (this.state !== 'executing') return false;
+    this.cancelRequested = true;
+    processPool.cancelWaiting(this.id);
+    if (this.lastExecutionMeta) {
+      this.lastExecutionMeta.cancelled = true;
+    }
+    if (this.process) {
+      terminateProcess(this.process);
+    }
+    return true;
+  }
+
   kill() {
+    processPool.cancelWaiting(this.id);
     if (this.process) {
-      this.process.kill('SIGTERM');
+      terminateProcess(this.process);
       this.process = null;
     }
     this.state = 'killed';
@@ -427,11 +474,7 @@ ${getOutboxPromptInstructions()}`;
 
     // Storage'dan da sil
     try {
-      const storePath = this.getSessionStorePath();
-      const raw = await fs.readFile(storePath, 'utf8');
-      const data = JSON.parse(raw) || {};
-      delete data[this.owner];
-      await fs.writeFile(storePath, JSON.stringify(data, null, 2) + '\n');
+      await this.adapter.clearStoredState(this.owner);
       logger.info(`Claude session sıfırlandı: ${this.owner}`);
     } catch {
       // ignore
@@ -1,21 +1,25 @@
 import { spawn } from 'child_process';
 import EventEmitter from 'events';
-import fs from 'fs/promises';
 import logger from '../logger.js';
-import path from 'path';
-import { paths } from '../paths.js';
 import {
   buildOutboxEnv,
   createOutboxRequestId,
   getOutboxPaths,
   getOutboxPromptInstructions
 } from '../outbox/common.js';
+import { mergeUsage } from '../utils/usage.js';
+import { createProgressReporter } from '../outbox/progress-reporter.js';
+import { formatPersonaBlock } from '../utils/persona.js';
+import { runWithRetry } from '../orchestrator/retry-policy.js';
+import processPool from '../orchestrator/process-pool.js';
+import { terminateProcess } from '../utils/terminate-process.js';
 
 class CodexProcess extends EventEmitter {
-  constructor(id, owner) {
+  constructor(id, owner, adapter) {
     super();
     this.id = id;
     this.owner = owner;
+    this.adapter = adapter;
     this.process = null;
     this.state = 'idle';
     this.createdAt = new Date();
@@ -25,60 +29,44 @@ class CodexProcess extends EventEmitter {
     this.threadLoaded = false;
     this.threadPrimed = false;
     this.lastExecutionMeta = null;
+    this.modelSettings = null; // !!model / !!effort tercihi (execute options'tan)
+    this.workdir = null; // !!proje ile bağlanan çalışma dizini (execute options'tan)
+    this.persona = null; // !!persona bloğu; sadece ilk tur talimatına eklenir
+    this.profile = null; // çalıştırma profili (execution-profiles.js, execute options'tan)
+    this.cancelRequested = false;
     this.outboxPaths = getOutboxPaths();
+    this.poolOwner = owner; // süreç havuzunda adalet sahibi (!!compare denemelerinde gerçek sohbet)
   }
 
   getThreadStorePath() {
-    return process.env.CODEX_THREAD_STORE || path.join(paths.dataDir, 'codex-threads.json');
+    return this.adapter.getStorePath();
   }
 
   async loadThreadState() {
     if (this.threadLoaded) return;
     this.threadLoaded = true;
 
-    try {
-      const raw = await fs.readFile(this.getThreadStorePath(), 'utf8');
-      const data = JSON.parse(raw);
-      const existing = data?.[this.owner];
+    const existing = await this.adapter.readStoredState(this.owner);
 
-      if (typeof existing === 'string' && existing.length > 0) {
-        this.threadId = existing;
-        this.threadPrimed = false;
-        return;
-      }
+    if (typeof existing === 'string' && existing.length > 0) {
+      this.threadId = existing;
+      this.threadPrimed = false;
+      return;
+    }
 
-      if (existing && typeof existing === 'object') {
-        if (typeof existing.id === 'string' && existing.id.length > 0) {
-          this.threadId = existing.id;
-        }
-        this.threadPrimed = existing.primed === true;
+    if (existing && typeof existing === 'object') {
+      if (typeof existing.id === 'string' && existing.id.length > 0) {
+        this.threadId = existing.id;
       }
-    } catch {
-      // ignore missing/invalid file
+      this.threadPrimed = existing.primed === true;
     }
   }
 
   async saveThreadState({ threadId, primed }) {
-    const storePath = this.getThreadStorePath();
-    const dir = path.dirname(storePath);
-    const tmpPath = `${storePath}.tmp.${process.pid}`;
-
-    let data = {};
-    try {
-      const raw = await fs.readFile(storePath, 'utf8');
-      data = JSON.parse(raw) || {};
-    } catch {
-      data = {};
-    }
-
-    data[this.owner] = {
+    await this.adapter.writeStoredState(this.owner, {
       id: threadId,
       primed: primed === true
-    };
-
-    await fs.mkdir(dir, { recursive: true });
-    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2) + '\n');
-    await fs.rename(tmpPath, storePath);
+    });
   }
 
   normalizeText(value) {
@@ -114,18 +102,29 @@ class CodexProcess extends EventEmitter {
   }
 
   getPrimaryModel() {
-    return process.env.CODEX_MODEL || 'gpt-5.3-codex';
+    return this.modelSettings?.model || this.adapter.getModel();
   }
 
-  async runCodex({ mode, message, images = [], requestId = null, modelOverride = null }) {
-    const model = modelOverride || this.getPrimaryModel();
-    const reasoningEffort = process.env.CODEX_REASONING_EFFORT || 'medium';
-    const workdir = process.env.CODEX_WORKDIR || paths.appRoot;
-    const timeoutMs = parseInt(process.env.CODEX_TIMEOUT_MS || '600000', 10);
-    const codexBin = process.env.CODEX_BIN || 'codex';
-    const yolo = (process.env.CODEX_YOLO || '1') !== '0';
-    const sandboxMode = process.env.CODEX_SANDBOX || 'workspace-write';
+  /**
+   * Çalıştırmanın token kullanımını biriktir (bir mesaj birden fazla CLI çağrısı sürebilir)
+   */
+  addUsage(usage, model = null) {
+    if (!this.lastExecutionMeta || !usage) return;
+    this.lastExecutionMeta.usage = mergeUsage(this.lastExecutionMeta.usage, usage);
+    if (model) this.lastExecutionMeta.model = model;
+  }
+
+  /**
+   * Son çalıştırmanın hata durumunu kaydet (failover kararı için)
+   */
+  setFailure(reason, detail = '') {
+    if (!this.lastExecutionMeta) return;
+    this.lastExecutionMeta.failure = reason ? this.adapter.classifyFailure(reason, detail) : null;
+  }
 
+  async runCodex({ mode, message, images = [], requestId = null, modelOverride = null }) {
+    this.setFailure(null);
+    if (this.cancelRequested) return 'İptal edildi.';
     const initialInstructions =
       process.env.CODEX_INITIAL_INSTRUCTIONS ||
       [
@@ -142,54 +141,37 @@ class CodexProcess extends EventEmitter {
         getOutboxPromptInstructions()
       ].join('\n');
 
-    return await new Promise((resolve) => {
-      const args = [];
-      if (yolo) {
-        args.push('--dangerously-bypass-approvals-and-sandbox');
-      } else {
-        args.push('-a', 'never');
-      }
+    const promptToSend =
+      mode === 'resume'
+        ? message
+        : `${initialInstructions}${formatPersonaBlock(this.persona)}\n\nKullanıcı: ${message}\nAsistan:`;
 
-      args.push('exec');
-      if (mode === 'resume') {
-        args.push('resume');
-      }
-
-      if (images && images.length) {
-        for (const img of images) {
-          if (!img) continue;
-          args.push('-i', img);
-        }
-      }
+    const invocation = this.adapter.buildChatInvocation({
+      prompt: promptToSend,
+      images,
+      threadId: mode === 'resume' ? this.threadId : null,
+      model: modelOverride || this.getPrimaryModel(),
+      effort: this.modelSettings?.effort,
+      workdir: this.workdir,
+      profile: this.profile,
+      outboxDir: this.outboxPaths.baseDir
+    });
 
-      if (mode === 'resume') {
-        args.push(
-          '--skip-git-repo-check',
-          '--json',
-          '-m',
-          model,
-          '-c',
-          `model_reasoning_effort=${JSON.stringify(reasoningEffort)}`,
-          this.threadId,
-          '-'
-        );
-      } else {
-        args.push(
-          '--skip-git-repo-check',
-          '--json',
-          '-m',
-          model,
-          '-c',
-          `model_reasoning_effort=${JSON.stringify(reasoningEffort)}`,
-          '-C',
-          workdir,
-          '-s',
-          sandboxMode,
-          '-'
-        );
-      }
+    // Global süreç havuzunda yer bekle (bkz. orchestrator/process-pool.js)
+    const slot = await processPool.acquire({
+      key: this.id,
+      owner: this.poolOwner,
+      notice: 'mesajın',
+      outboxPaths: this.outboxPaths
+    });
+    if (!slot) return 'İptal edildi.';
+    if (this.cancelRequested) {
+      slot.release();
+      return 'İptal edildi.';
+    }
 
-      this.process = spawn(codexBin, args, {
+    return await new Promise((resolve) => {
+      this.process = spawn(invocation.bin, invocation.args, {
         env: {
           ...process.env,
           ...buildOutboxEnv({
@@ -202,66 +184,44 @@ class CodexProcess extends EventEmitter {
             }
           })
         },
-        cwd: workdir
+        cwd: invocation.cwd
       });
 
+      const progress = createProgressReporter({
+        chatId: this.owner,
+        requestId,
+        orchestrator: 'codex',
+        cwd: invocation.cwd,
+        outboxPaths: this.outboxPaths
+      });
+      const parser = this.adapter.createOutputParser({
+        onActivity: progress?.report
+      });
       let stderr = '';
-      let threadIdFromRun = null;
-      const messages = [];
-      const commandOutputs = [];
-      let stdoutBuf = '';
-
-      const processEvent = (evt) => {
-        if (!evt) return;
-        if (evt.type === 'thread.started' && typeof evt.thread_id === 'string') {
-          threadIdFromRun = evt.thread_id;
-        }
-        if (evt.type === 'item.completed' && evt.item?.type === 'agent_message') {
-          const text = String(evt.item.text || '').trim();
-          if (text) messages.push(text);
-        }
-        // Tool call çıktılarını da yakala (agent_message yoksa fallback olarak kullanılacak)
-        if (evt.type === 'item.completed' && evt.item?.type === 'command_execution') {
-          const output = String(evt.item.aggregated_output || '').trim();
-          const cmd = String(evt.item.command || '').trim();
-          if (cmd) commandOutputs.push({ cmd, output, exitCode: evt.item.exit_code });
-        }
-      };
 
       this.process.stdout.on('data', (data) => {
-        stdoutBuf += data.toString();
-
-        const lines = stdoutBuf.split('\n');
-        stdoutBuf = lines.pop() || '';
-
-        for (const line of lines) {
-          const trimmed = line.trim();
-          if (!trimmed.startsWith('{')) continue;
-          try {
-            processEvent(JSON.parse(trimmed));
-          } catch {
-            // ignore non-JSON lines
-          }
-        }
+        parser.push(data.toString());
       });
 
       this.process.stderr.on('data', (data) => {
         stderr += data.toString();
       });
 
+      let timeoutTimer = null;
+      // Zaman aşımı/hata sonucu verdiyse geç gelen close, sonucu ve sonraki işin durumunu ezmesin
+      let settled = false;
+
       const finish = async (code) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutTimer);
+        await progress?.stop();
         this.state = 'idle';
         this.process = null;
 
-        // Flush possible final JSON line
-        const tail = stdoutBuf.trim();
-        if (tail.startsWith('{')) {
-          try {
-            processEvent(JSON.parse(tail));
-          } catch {
-            // ignore
-          }
-        }
+        const output = parser.finish();
+        const threadIdFromRun = output.sessionId;
+        this.addUsage(output.usage, invocation.model);
 
         if (!this.threadId && threadIdFromRun) {
           this.threadId = threadIdFromRun;
@@ -274,15 +234,28 @@ class CodexProcess extends EventEmitter {
           }
         }
 
+        if (this.cancelRequested) {
+          this.setFailure(null);
+          resolve('İptal edildi.');
+          return;
+        }
+
         if (code === 0) {
-          const result = messages.join('\n').trim();
+          const result = output.text;
+          if (!result && output.error) {
+            this.setFailure('error', output.error);
+            resolve(`Hata:\n${output.error.substring(0, 800)}`);
+            return;
+          }
           if (!result) {
-            if (commandOutputs.length > 0) {
+            if (output.commandOutputs.length > 0) {
               logger.warn('Codex agent_message donmedi; ham komut ciktisi kullaniciya gonderilmeyecek');
+              this.setFailure('empty');
               resolve('');
               return;
             }
             logger.warn('Codex yanıt boş (agent_message yok, tool call yok)');
+            this.setFailure('empty');
             resolve('');
             return;
           }
@@ -294,38 +267,45 @@ class CodexProcess extends EventEmitter {
           return;
         }
 
-        const errorMsg = (stderr || `Hata: ${code}`).trim();
+        const errorMsg = (output.error || stderr || `Hata: ${code}`).trim();
+        this.setFailure('error', errorMsg);
         resolve(`Hata:\n${errorMsg.substring(0, 800)}`);
       };
 
+      // Havuzdaki yer süreç gerçekten çıkınca bırakılır (zaman aşımında SIGTERM'den hemen sonra değil)
       this.process.on('close', (code) => {
+        slot.release();
         void finish(code);
       });
 
       this.process.on('error', (error) => {
+        slot.release();
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutTimer);
+        void progress?.stop();
         this.state = 'idle';
         this.process = null;
         logger.error('Codex process hatası:', error);
+        this.setFailure('error', error.message);
         resolve(`Sistem hatası: ${error.message}`);
       });
 
-      const promptToSend =
-        mode === 'resume'
-          ? message
-          : `${initialInstructions}\n\nKullanıcı: ${message}\nAsistan:`;
-
-      this.process.stdin.write(promptToSend);
+      this.process.stdin.write(invocation.stdin);
       this.process.stdin.end();
 
-      if (timeoutMs > 0) {
-        setTimeout(() => {
-          if (this.process) {
-            this.process.kill('SIGTERM');
+      if (invocation.timeoutMs > 0) {
+        timeoutTimer = setTimeout(() => {
+          if (!settled) {
+            settled = true;
+            terminateProcess(this.process);
             this.process = null;
             this.state = 'idle';
+            this.setFailure('timeout');
+            void progress?.stop();
             resolve('Zaman aşımı.');
           }
-        }, timeoutMs);
+        }, invocation.timeoutMs);
       }
     });
   }
@@ -371,7 +351,12 @@ class CodexProcess extends EventEmitter {
     this.lastActivity = new Date();
     this.state = 'executing';
     this.messageCount++;
-    const requestId = createOutboxRequestId('chat');
+    this.cancelRequested = false;
+    this.modelSettings = { model: options.model || null, effort: options.effort || null };
+    this.workdir = options.workdir || null;
+    this.persona = options.persona || null;
+    this.profile = options.profile || null;
+    const requestId = options.requestId || createOutboxRequestId('chat');
     this.lastExecutionMeta = {
       requestId,
       orchestrator: 'codex',
@@ -388,15 +373,20 @@ class CodexProcess extends EventEmitter {
 
     if (this.threadId) {
       await this.ensureThreadPrimed();
-      let response = await this.runCodex({
-        mode: 'resume',
-        message,
-        images,
-        requestId,
-        modelOverride: primaryModel
-      });
+      let response = await runWithRetry(
+        this,
+        () =>
+          this.runCodex({
+            mode: 'resume',
+            message,
+            images,
+            requestId,
+            modelOverride: primaryModel
+          }),
+        { requestId, outboxPaths: this.outboxPaths }
+      );
 
-      if (this.shouldRetry(message, response)) {
+      if (!this.cancelRequested && this.shouldRetry(message, response)) {
         response = await this.runCodex({
           mode: 'resume',
           message:
@@ -410,13 +400,18 @@ class CodexProcess extends EventEmitter {
       return response;
     }
 
-    let response = await this.runCodex({
-      mode: 'new',
-      message,
-      images,
-      requestId,
-      modelOverride: primaryModel
-    });
+    let response = await runWithRetry(
+      this,
+      () =>
+        this.runCodex({
+          mode: 'new',
+          message,
+          images,
+          requestId,
+          modelOverride: primaryModel
+        }),
+      { requestId, outboxPaths: this.outboxPaths }
+    );
 
     return response;
   }
@@ -452,9 +447,26 @@ class CodexProcess extends EventEmitter {
     return Date.now() - this.lastActivity.getTime() > timeoutMinutes * 60 * 1000;
   }
 
+  /**
+   * Çalışan isteği iptal et (!!stop); session/thread id korunur, oturum kullanılmaya devam eder
+   */
+  cancel() {
+    if (this.state !== 'executing') return false;
+    this.cancelRequested = true;
+    processPool.cancelWaiting(this.id);
+    if (this.lastExecutionMeta) {
+      this.lastExecutionMeta.cancelled = true;
+    }
+    if (this.process) {
+      terminateProcess(this.process);
+    }
+    return true;
+  }
+
   kill() {
+    processPool.cancelWaiting(this.id);
     if (this.process) {
-      this.process.kill('SIGTERM');
+      terminateProcess(this.process);
       this.process = null;
     }
     this.state = 'killed';
@@ -1,20 +1,16 @@
 import { v4 as uuidv4 } from 'uuid';
-import fs from 'fs/promises';
-import path from 'path';
-import ClaudeProcess from './claude-process.js';
-import CodexProcess from './process-wrapper.js';
-import GeminiProcess from '../gemini/gemini-process.js';
 import orchestratorManager from '../orchestrator/orchestrator-manager.js';
+import adapterRegistry from '../orchestrator/adapter-registry.js';
 import logger from '../logger.js';
 import { maskPhoneLike } from '../utils/redact.js';
-import { paths } from '../paths.js';
 
 class SessionManager {
   constructor(db, maxSessions = 3, timeoutMinutes = 30) {
-    this.sessions = new Map(); // phoneNumber -> ClaudeProcess | CodexProcess | GeminiProcess
+    this.sessions = new Map(); // phoneNumber -> adaptörün oluşturduğu session (ClaudeProcess, CodexProcess...)
     this.db = db;
     this.maxSessions = maxSessions;
     this.timeoutMinutes = timeoutMinutes;
+    this.ephemeralSessions = 0; // !!compare gibi kullanıcıya bağlı olmayan geçici oturumlar
 
     // Periyodik timeout kontrolü
     this.cleanupInterval = setInterval(() => {
@@ -47,15 +43,13 @@ class SessionManager {
     // OrchestratorManager'dan kullanıcının tercih ettiği orkestratörü al
     const orchestratorType = await orchestratorManager.getOrchestrator(phoneNumber);
 
-    let session;
-    if (orchestratorType === 'codex') {
-      session = new CodexProcess(sessionId, phoneNumber);
-    } else if (orchestratorType === 'gemini') {
-      session = new GeminiProcess(sessionId, phoneNumber);
-    } else {
-      session = new ClaudeProcess(sessionId, phoneNumber);
+    const adapter = adapterRegistry.get(orchestratorType);
+    if (!adapter) {
+      throw new Error(`Bilinmeyen orkestratör: ${orchestratorType}`);
     }
-    session.orchestratorType = orchestratorType;
+
+    const session = adapter.createSession(sessionId, phoneNumber);
+    session.orchestratorType = adapter.type;
 
     session.on('output', (data) => {
       logger.debug(`[${sessionId}] Output: ${data.substring(0, 100)}...`);
@@ -106,35 +100,12 @@ class SessionManager {
     return orchestratorManager.defaultOrchestrator;
   }
 
-  getClaudeSessionStorePath() {
-    return process.env.CLAUDE_SESSION_STORE || path.join(paths.dataDir, 'claude-sessions.json');
-  }
-
-  getCodexThreadStorePath() {
-    return process.env.CODEX_THREAD_STORE || path.join(paths.dataDir, 'codex-threads.json');
-  }
-
-  getGeminiSessionStorePath() {
-    return process.env.GEMINI_SESSION_STORE || path.join(paths.dataDir, 'gemini-sessions.json');
-  }
-
   async resetStoredState(phoneNumber, orchestratorType) {
-    const type = String(orchestratorType || '').toLowerCase().trim();
-    let storePath = null;
-    if (type === 'claude') storePath = this.getClaudeSessionStorePath();
-    if (type === 'codex') storePath = this.getCodexThreadStorePath();
-    if (type === 'gemini') storePath = this.getGeminiSessionStorePath();
-    if (!storePath) return false;
+    const adapter = adapterRegistry.get(orchestratorType);
+    if (!adapter) return false;
 
     try {
-      const raw = await fs.readFile(storePath, 'utf8');
-      const data = JSON.parse(raw) || {};
-      if (data && Object.prototype.hasOwnProperty.call(data, phoneNumber)) {
-        delete data[phoneNumber];
-        await fs.mkdir(path.dirname(storePath), { recursive: true });
-        await fs.writeFile(storePath, JSON.stringify(data, null, 2) + '\n');
-        return true;
-      }
+      return await adapter.clearStoredState(phoneNumber);
     } catch {
       // ignore missing/invalid file
     }
@@ -169,6 +140,31 @@ class SessionManager {
     return oldest;
   }
 
+  /**
+   * Geçici oturumlar için boş kapasite: çalışan kalıcı oturumlar ve diğer geçici
+   * oturumlar düşülür (boştaki kalıcı oturumlar süreç tutmadığı için sayılmaz)
+   */
+  getEphemeralCapacity() {
+    let executing = 0;
+    for (const session of this.sessions.values()) {
+      if (!session.isIdle()) executing++;
+    }
+    return Math.max(0, this.maxSessions - executing - this.ephemeralSessions);
+  }
+
+  /**
+   * En fazla `count` geçici oturum yeri ayır; ayrılan sayıyı döner
+   */
+  acquireEphemeralSlots(count) {
+    const granted = Math.min(count, this.getEphemeralCapacity());
+    this.ephemeralSessions += granted;
+    return granted;
+  }
+
+  releaseEphemeralSlots(count) {
+    this.ephemeralSessions = Math.max(0, this.ephemeralSessions - count);
+  }
+
   async endSession(phoneNumber) {
     const session = this.sessions.get(phoneNumber);
 
@@ -214,6 +210,7 @@ class SessionManager {
       total: sessions.length,
       active: activeSessions,
       idle: idleSessions,
+      ephemeral: this.ephemeralSessions,
       maxSessions: this.maxSessions,
       available: this.maxSessions - sessions.length
     };
@@ -125,16 +125,99 @@ class DB {
 
           CREATE INDEX IF NOT EXISTS idx_last_saved_files_created ON last_saved_files(created_at);
         `
+      },
+      {
+        name: '004_usage_records',
+        sql: `
+          -- İstek / arka plan görevi başına token ve maliyet kaydı
+          CREATE TABLE IF NOT EXISTS usage_records (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            chat_id TEXT NOT NULL,
+            orchestrator TEXT NOT NULL,
+            model TEXT,
+            source TEXT NOT NULL DEFAULT 'chat' CHECK(source IN ('chat', 'task')),
+            request_id TEXT,
+            task_id TEXT,
+            input_tokens INTEGER NOT NULL DEFAULT 0,
+            output_tokens INTEGER NOT NULL DEFAULT 0,
+            cached_tokens INTEGER NOT NULL DEFAULT 0,
+            cost_usd REAL,
+            cost_estimated INTEGER NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_usage_chat ON usage_records(chat_id);
+          CREATE INDEX IF NOT EXISTS idx_usage_created ON usage_records(created_at);
+        `
+      },
+      {
+        name: '005_personas',
+        sql: `
+          -- Kullanıcı bazlı persona / ek sistem talimatı (!!persona)
+          CREATE TABLE IF NOT EXISTS personas (
+            chat_id TEXT PRIMARY KEY,
+            content TEXT NOT NULL,
+            template TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          );
+        `
+      },
+      {
+        name: '006_incoming_media_images',
+        sql: `
+          -- Görseller de kaydedilsin; alıntılanan mesajın dosyası message_id ile bulunur
+          CREATE TABLE incoming_media_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            chat_id TEXT NOT NULL,
+            message_id TEXT,
+            media_type TEXT NOT NULL CHECK(media_type IN ('image', 'document', 'audio', 'video', 'other')),
+            mimetype TEXT,
+            size_bytes INTEGER NOT NULL,
+            original_name TEXT,
+            stored_rel_path TEXT NOT NULL,
+            stored_filename TEXT NOT NULL,
+            created_at DATETIME NOT NULL,
+            stored_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          );
+
+          INSERT INTO incoming_media_new (
+            id, chat_id, message_id, media_type, mimetype, size_bytes, original_name,
+            stored_rel_path, stored_filename, created_at, stored_at
+          )
+          SELECT
+            id, chat_id, message_id, media_type, mimetype, size_bytes, original_name,
+            stored_rel_path, stored_filename, created_at, stored_at
+          FROM incoming_media;
+          DROP TABLE incoming_media;
+          ALTER TABLE incoming_media_new RENAME TO incoming_media;
+
+          CREATE INDEX IF NOT EXISTS idx_incoming_media_chat ON incoming_media(chat_id);
+          CREATE INDEX IF NOT EXISTS idx_incoming_media_type ON incoming_media(media_type);
+          CREATE INDEX IF NOT EXISTS idx_incoming_media_created ON incoming_media(created_at);
+          CREATE INDEX IF NOT EXISTS idx_incoming_media_message ON incoming_media(chat_id, message_id);
+        `
+      },
+      {
+        name: '007_incoming_media_transcript',
+        sql: `
+          -- Sesli mesajların STT transkripti
+          ALTER TABLE incoming_media ADD COLUMN transcript TEXT;
+        `
       }
     ];
 
     const applied = this.db.prepare('SELECT name FROM migrations').all().map(r => r.name);
 
+    const recordMigration = this.db.prepare('INSERT INTO migrations (name) VALUES (?)');
+
     for (const migration of migrations) {
       if (!applied.includes(migration.name)) {
         logger.info(`Migration uygulanıyor: ${migration.name}`);
-        this.db.exec(migration.sql);
-        this.db.prepare('INSERT INTO migrations (name) VALUES (?)').run(migration.name);
+        // Yarıda kalan migration (ör. tablo yeniden kurulumu) tabloyu yarım bırakmasın
+        this.db.transaction(() => {
+          this.db.exec(migration.sql);
+          recordMigration.run(migration.name);
+        })();
       }
     }
   }
@@ -152,7 +235,7 @@ class DB {
     const stmt = this.db.prepare(`
       SELECT * FROM messages
       WHERE phone_number = ?
-      ORDER BY created_at DESC
+      ORDER BY created_at DESC, id DESC
       LIMIT ?
     `);
     return stmt.all(phoneNumber, limit);
@@ -256,6 +339,111 @@ class DB {
     return stmt.all(name, hours);
   }
 
+  // Token/maliyet kullanımı
+  recordUsage({
+    chatId,
+    orchestrator,
+    model = null,
+    source = 'chat',
+    requestId = null,
+    taskId = null,
+    inputTokens = 0,
+    outputTokens = 0,
+    cachedTokens = 0,
+    costUsd = null,
+    costEstimated = true
+  }) {
+    const stmt = this.db.prepare(`
+      INSERT INTO usage_records (
+        chat_id, orchestrator, model, source, request_id, task_id,
+        input_tokens, output_tokens, cached_tokens, cost_usd, cost_estimated
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      chatId,
+      orchestrator,
+      model,
+      source,
+      requestId,
+      taskId,
+      inputTokens,
+      outputTokens,
+      cachedTokens,
+      costUsd,
+      costEstimated ? 1 : 0
+    );
+  }
+
+  /**
+   * Dönem özeti: period = day (bugün) | month (bu ay) | all; chatId verilmezse tüm kullanıcılar
+   * Return: { period, totals, byOrchestrator: [{ orchestrator, model, ... }] }
+   */
+  getUsageSummary({ chatId = null, period = 'day' } = {}) {
+    const conditions = [];
+    const params = [];
+    if (period === 'day') {
+      conditions.push("date(created_at) = date('now')");
+    } else if (period === 'month') {
+      conditions.push("strftime('%Y-%m', created_at) = strftime('%Y-%m', 'now')");
+    }
+    if (chatId) {
+      conditions.push('chat_id = ?');
+      params.push(chatId);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const columns = `
+      COUNT(*) as requests,
+      COALESCE(SUM(input_tokens), 0) as inputTokens,
+      COALESCE(SUM(output_tokens), 0) as outputTokens,
+      COALESCE(SUM(cached_tokens), 0) as cachedTokens,
+      COALESCE(SUM(cost_usd), 0) as costUsd,
+      COALESCE(SUM(CASE WHEN cost_usd IS NULL THEN 1 ELSE 0 END), 0) as unpricedRequests
+    `;
+
+    const totals = this.db.prepare(`SELECT ${columns} FROM usage_records ${where}`).get(...params);
+    const byOrchestrator = this.db.prepare(`
+      SELECT orchestrator, model, ${columns}
+      FROM usage_records ${where}
+      GROUP BY orchestrator, model
+      ORDER BY costUsd DESC, inputTokens DESC
+    `).all(...params);
+
+    return { period, totals, byOrchestrator };
+  }
+
+  // Persona
+  getPersona(chatId) {
+    return (
+      this.db
+        .prepare('SELECT chat_id as chatId, content, template, updated_at as updatedAt FROM personas WHERE chat_id = ?')
+        .get(chatId) || null
+    );
+  }
+
+  setPersona({ chatId, content, template = null }) {
+    const stmt = this.db.prepare(`
+      INSERT INTO personas (chat_id, content, template, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(chat_id) DO UPDATE SET
+        content = excluded.content,
+        template = excluded.template,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    return stmt.run(chatId, content, template);
+  }
+
+  deletePersona(chatId) {
+    return this.db.prepare('DELETE FROM personas WHERE chat_id = ?').run(chatId).changes > 0;
+  }
+
+  listPersonas() {
+    return this.db
+      .prepare(
+        'SELECT chat_id as chatId, content, template, updated_at as updatedAt FROM personas ORDER BY updated_at DESC'
+      )
+      .all();
+  }
+
   // Incoming media
   addIncomingMedia({
     chatId,
@@ -304,6 +492,26 @@ class DB {
     return stmt.get(id) || null;
   }
 
+  setIncomingMediaTranscript(id, transcript) {
+    const stmt = this.db.prepare(`
+      UPDATE incoming_media
+      SET transcript = ?
+      WHERE id = ?
+    `);
+    return stmt.run(transcript, id);
+  }
+
+  getIncomingMediaByMessageId(chatId, messageId) {
+    const stmt = this.db.prepare(`
+      SELECT *
+      FROM incoming_media
+      WHERE chat_id = ? AND message_id = ?
+      ORDER BY id DESC
+      LIMIT 1
+    `);
+    return stmt.get(chatId, messageId) || null;
+  }
+
   listIncomingMedia({ limit = 50, mediaType = null } = {}) {
     const safeLimit = Math.max(1, Math.min(500, Number(limit) || 50));
 
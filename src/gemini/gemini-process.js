@@ -1,21 +1,25 @@
 import { spawn } from 'child_process';
 import EventEmitter from 'events';
-import fs from 'fs/promises';
-import path from 'path';
 import logger from '../logger.js';
-import { paths } from '../paths.js';
 import {
   buildOutboxEnv,
   createOutboxRequestId,
   getOutboxPaths,
   getOutboxPromptInstructions
 } from '../outbox/common.js';
+import { mergeUsage } from '../utils/usage.js';
+import { createProgressReporter } from '../outbox/progress-reporter.js';
+import { formatPersonaBlock } from '../utils/persona.js';
+import { runWithRetry } from '../orchestrator/retry-policy.js';
+import processPool from '../orchestrator/process-pool.js';
+import { terminateProcess } from '../utils/terminate-process.js';
 
 class GeminiProcess extends EventEmitter {
-  constructor(id, owner) {
+  constructor(id, owner, adapter) {
     super();
     this.id = id;
     this.owner = owner;
+    this.adapter = adapter;
     this.process = null;
     this.state = 'idle';
     this.createdAt = new Date();
@@ -24,54 +28,38 @@ class GeminiProcess extends EventEmitter {
     this.sessionId = null;
     this.sessionLoaded = false;
     this.lastExecutionMeta = null;
+    this.modelSettings = null; // !!model / !!effort tercihi (execute options'tan)
+    this.workdir = null; // !!proje ile bağlanan çalışma dizini (execute options'tan)
+    this.persona = null; // !!persona bloğu; sadece ilk tur talimatına eklenir
+    this.profile = null; // çalıştırma profili (execution-profiles.js, execute options'tan)
+    this.cancelRequested = false;
     this.outboxPaths = getOutboxPaths();
+    this.poolOwner = owner; // süreç havuzunda adalet sahibi (!!compare denemelerinde gerçek sohbet)
   }
 
   getSessionStorePath() {
-    return process.env.GEMINI_SESSION_STORE || path.join(paths.dataDir, 'gemini-sessions.json');
+    return this.adapter.getStorePath();
   }
 
   async loadSessionState() {
     if (this.sessionLoaded) return;
     this.sessionLoaded = true;
 
-    try {
-      const raw = await fs.readFile(this.getSessionStorePath(), 'utf8');
-      const data = JSON.parse(raw);
-      const entry = data?.[this.owner];
-      if (typeof entry === 'string' && entry.length > 0) {
-        this.sessionId = entry;
-        return;
-      }
-      if (entry && typeof entry === 'object' && typeof entry.id === 'string') {
-        this.sessionId = entry.id;
-      }
-    } catch {
-      // ignore missing/invalid file
+    const entry = await this.adapter.readStoredState(this.owner);
+    if (typeof entry === 'string' && entry.length > 0) {
+      this.sessionId = entry;
+      return;
+    }
+    if (entry && typeof entry === 'object' && typeof entry.id === 'string') {
+      this.sessionId = entry.id;
     }
   }
 
   async saveSessionState(sessionId) {
-    const storePath = this.getSessionStorePath();
-    const dir = path.dirname(storePath);
-    const tmpPath = `${storePath}.tmp.${process.pid}`;
-
-    let data = {};
-    try {
-      const raw = await fs.readFile(storePath, 'utf8');
-      data = JSON.parse(raw) || {};
-    } catch {
-      data = {};
-    }
-
-    data[this.owner] = {
+    await this.adapter.writeStoredState(this.owner, {
       id: sessionId,
       updatedAt: new Date().toISOString()
-    };
-
-    await fs.mkdir(dir, { recursive: true });
-    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2) + '\n');
-    await fs.rename(tmpPath, storePath);
+    });
   }
 
   getInitialInstructions() {
@@ -93,84 +81,73 @@ class GeminiProcess extends EventEmitter {
     );
   }
 
-  buildPrompt(message, images = [], isNewSession = false) {
+  /**
+   * Ekler (görsel, ses, PDF) @dosya referansı olarak eklenir (bkz. GeminiAdapter.appendFileReferences)
+   */
+  buildPrompt(message, attachments = [], isNewSession = false) {
     let base = String(message || '').trim();
     if (!base) return '';
 
-    if (images.length) {
-      const lines = images.filter(Boolean).map((img) => `- ${img}`);
-      if (lines.length) {
-        base = `${base}\n\nEk dosyalar (metin olmayan dosyalar olabilir):\n${lines.join('\n')}`;
-      }
-    }
+    base = this.adapter.appendFileReferences(base, attachments);
 
     if (!isNewSession) return base;
 
-    const instructions = this.getInitialInstructions();
+    const instructions = `${this.getInitialInstructions() || ''}${formatPersonaBlock(this.persona)}`.trim();
     if (!instructions) return base;
 
     return `${instructions}\n\nKullanıcı: ${base}\nAsistan:`;
   }
 
-  getIncludeDirectories() {
-    const raw = process.env.GEMINI_INCLUDE_DIRS || process.env.GEMINI_INCLUDE_DIRECTORIES || '';
-    if (!raw) return [];
-    return raw
-      .split(',')
-      .map((value) => value.trim())
-      .filter(Boolean);
+  /**
+   * Çalıştırmanın token kullanımını biriktir (bir mesaj birden fazla CLI çağrısı sürebilir)
+   */
+  addUsage(usage, model = null) {
+    if (!this.lastExecutionMeta || !usage) return;
+    this.lastExecutionMeta.usage = mergeUsage(this.lastExecutionMeta.usage, usage);
+    if (model) this.lastExecutionMeta.model = model;
   }
 
-  shouldUseYolo() {
-    const yolo = String(process.env.GEMINI_YOLO || '1').toLowerCase().trim();
-    return yolo === '1' || yolo === 'true' || yolo === 'yes';
+  /**
+   * Son çalıştırmanın hata durumunu kaydet (failover kararı için)
+   */
+  setFailure(reason, detail = '') {
+    if (!this.lastExecutionMeta) return;
+    this.lastExecutionMeta.failure = reason ? this.adapter.classifyFailure(reason, detail) : null;
   }
 
-  getApprovalMode() {
-    const mode = String(process.env.GEMINI_APPROVAL_MODE || '').trim();
-    if (mode) return mode;
-    return this.shouldUseYolo() ? 'yolo' : 'auto_edit';
-  }
-
-  async runGemini({ message, images = [], requestId = null }) {
-    const geminiBin = process.env.GEMINI_BIN || 'gemini';
-    const model = process.env.GEMINI_MODEL || '';
-    const outputFormat = process.env.GEMINI_OUTPUT_FORMAT || 'stream-json';
-    const timeoutMs = parseInt(process.env.GEMINI_TIMEOUT_MS || '600000', 10);
-    const workdir = process.env.GEMINI_WORKDIR || paths.appRoot;
-    const approvalMode = this.getApprovalMode();
-    const includeDirs = this.getIncludeDirectories();
-
-    const prompt = this.buildPrompt(message, images, !this.sessionId);
+  async runGemini({ message, attachments = [], requestId = null }) {
+    this.setFailure(null);
+    if (this.cancelRequested) return 'İptal edildi.';
+    const prompt = this.buildPrompt(message, attachments, !this.sessionId);
     if (!prompt) {
       this.state = 'idle';
       return '';
     }
 
-    const args = [];
-    if (this.sessionId) {
-      args.push('--resume', this.sessionId);
-    }
-    if (model) {
-      args.push('--model', model);
-    }
-    if (outputFormat) {
-      args.push('--output-format', outputFormat);
-    }
-    if (approvalMode && approvalMode !== 'yolo') {
-      args.push('--approval-mode', approvalMode);
-    }
-    if (approvalMode === 'yolo') {
-      args.push('--yolo');
-    }
-    for (const dir of includeDirs) {
-      args.push('--include-directories', dir);
-    }
+    const invocation = this.adapter.buildChatInvocation({
+      prompt,
+      resumeId: this.sessionId,
+      model: this.modelSettings?.model,
+      workdir: this.workdir,
+      profile: this.profile,
+      files: attachments
+    });
 
-    args.push(prompt);
+    // Global süreç havuzunda yer bekle (bkz. orchestrator/process-pool.js)
+    const slot = await processPool.acquire({
+      key: this.id,
+      owner: this.poolOwner,
+      notice: 'mesajın',
+      outboxPaths: this.outboxPaths
+    });
+    if (!slot) return 'İptal edildi.';
+    if (this.cancelRequested) {
+      slot.release();
+      return 'İptal edildi.';
+    }
 
     return await new Promise((resolve) => {
-      this.process = spawn(geminiBin, args, {
+      this.process = spawn(invocation.bin, invocation.args, {
         env: {
           ...process.env,
           ...buildOutboxEnv({
@@ -183,149 +160,105 @@ class GeminiProcess extends EventEmitter {
             }
           })
         },
-        cwd: workdir
+        cwd: invocation.cwd
       });
 
-      let stdoutBuf = '';
-      let rawStdout = '';
+      const progress = createProgressReporter({
+        chatId: this.owner,
+        requestId,
+        orchestrator: 'gemini',
+        cwd: invocation.cwd,
+        outboxPaths: this.outboxPaths
+      });
+      const parser = this.adapter.createOutputParser({
+        ...invocation.parserOptions,
+        onActivity: progress?.report
+      });
       let stderr = '';
-      let assistantText = '';
-      let errorText = '';
-      let sessionIdFromRun = null;
-      const isStreamJson = outputFormat === 'stream-json';
-
-      const handleEvent = (evt) => {
-        if (!evt || typeof evt !== 'object') return;
-        if (evt.type === 'init' && evt.session_id) {
-          sessionIdFromRun = String(evt.session_id);
-        }
-        if (evt.type === 'message' && evt.role === 'assistant') {
-          const content = String(evt.content || '');
-          if (evt.delta) {
-            assistantText += content;
-          } else if (content) {
-            assistantText = content;
-          }
-        }
-        if (evt.type === 'error') {
-          const msg = evt.message || evt.error || evt.detail || '';
-          if (msg) {
-            errorText = String(msg);
-          }
-        }
-        if (evt.type === 'result' && evt.status && evt.status !== 'success') {
-          const msg = evt.error || evt.message || evt.status;
-          if (msg) {
-            errorText = String(msg);
-          }
-        }
-      };
 
       this.process.stdout.on('data', (data) => {
-        const chunk = data.toString();
-        if (!isStreamJson) {
-          rawStdout += chunk;
-          return;
-        }
-
-        stdoutBuf += chunk;
-        const lines = stdoutBuf.split('\n');
-        stdoutBuf = lines.pop() || '';
-        for (const line of lines) {
-          const trimmed = line.trim();
-          if (!trimmed) continue;
-          try {
-            handleEvent(JSON.parse(trimmed));
-          } catch {
-            // ignore non-JSON output
-          }
-        }
+        parser.push(data.toString());
       });
 
       this.process.stderr.on('data', (data) => {
         stderr += data.toString();
       });
 
+      let timeoutTimer = null;
+      // Zaman aşımı/hata sonucu verdiyse geç gelen close, sonucu ve sonraki işin durumunu ezmesin
+      let settled = false;
+
       const finish = async (code) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutTimer);
+        await progress?.stop();
         this.state = 'idle';
         this.process = null;
 
-        if (isStreamJson) {
-          const tail = stdoutBuf.trim();
-          if (tail.startsWith('{')) {
-            try {
-              handleEvent(JSON.parse(tail));
-            } catch {
-              // ignore
-            }
-          }
-        } else if (rawStdout.trim()) {
-          if (outputFormat === 'json') {
-            try {
-              const payload = JSON.parse(rawStdout.trim());
-              if (payload && typeof payload === 'object') {
-                if (payload.error?.message) {
-                  errorText = String(payload.error.message);
-                }
-                if (payload.response) {
-                  assistantText = String(payload.response);
-                }
-                if (payload.session_id) {
-                  sessionIdFromRun = String(payload.session_id);
-                }
-              }
-            } catch {
-              assistantText = rawStdout.trim();
-            }
-          } else {
-            assistantText = rawStdout.trim();
-          }
-        }
+        const output = parser.finish();
+        this.addUsage(output.usage, output.model || invocation.model);
 
-        if (!this.sessionId && sessionIdFromRun) {
-          this.sessionId = sessionIdFromRun;
+        if (!this.sessionId && output.sessionId) {
+          this.sessionId = output.sessionId;
           try {
-            await this.saveSessionState(sessionIdFromRun);
-            logger.info(`Gemini session kaydedildi: ${sessionIdFromRun}`);
+            await this.saveSessionState(output.sessionId);
+            logger.info(`Gemini session kaydedildi: ${output.sessionId}`);
           } catch (e) {
             logger.warn(`Gemini session kaydedilemedi: ${e?.message || String(e)}`);
           }
         }
 
-        if (code === 0 && assistantText.trim()) {
-          const trimmed = assistantText.trim();
-          if (trimmed.length > 3500) {
-            resolve(trimmed.substring(0, 3500) + '\n\n... (kısaltıldı)');
+        if (this.cancelRequested) {
+          resolve('İptal edildi.');
+          return;
+        }
+
+        if (code === 0 && output.text) {
+          if (output.text.length > 3500) {
+            resolve(output.text.substring(0, 3500) + '\n\n... (kısaltıldı)');
             return;
           }
-          resolve(trimmed);
+          resolve(output.text);
           return;
         }
 
-        const errMsg = errorText || stderr || `Hata: ${code}`;
+        const errMsg = output.error || stderr || `Hata: ${code}`;
+        this.setFailure(code === 0 && !output.error ? 'empty' : 'error', errMsg);
         resolve(`Hata:\n${String(errMsg).trim().substring(0, 800)}`);
       };
 
+      // Havuzdaki yer süreç gerçekten çıkınca bırakılır (zaman aşımında SIGTERM'den hemen sonra değil)
       this.process.on('close', (code) => {
+        slot.release();
         void finish(code);
       });
 
       this.process.on('error', (error) => {
+        slot.release();
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutTimer);
+        void progress?.stop();
         this.state = 'idle';
         this.process = null;
         logger.error('Gemini process hatası:', error);
+        this.setFailure('error', error.message);
         resolve(`Sistem hatası: ${error.message}`);
       });
 
-      if (timeoutMs > 0) {
-        setTimeout(() => {
-          if (this.process) {
-            this.process.kill('SIGTERM');
+      if (invocation.timeoutMs > 0) {
+        timeoutTimer = setTimeout(() => {
+          if (!settled) {
+            settled = true;
+            terminateProcess(this.process);
             this.process = null;
             this.state = 'idle';
+            this.setFailure('timeout');
+            void progress?.stop();
             resolve('Zaman aşımı.');
           }
-        }, timeoutMs);
+        }, invocation.timeoutMs);
       }
     });
   }
@@ -342,11 +275,18 @@ class GeminiProcess extends EventEmitter {
         : [];
 
     const images = Array.isArray(options.images) ? options.images : imagesFromMessage;
+    // options.files: görsel dışındaki doğrudan okunabilen ekler (ses, PDF)
+    const files = Array.isArray(options.files) ? options.files : [];
 
     this.lastActivity = new Date();
     this.state = 'executing';
     this.messageCount++;
-    const requestId = createOutboxRequestId('chat');
+    this.cancelRequested = false;
+    this.modelSettings = { model: options.model || null, effort: options.effort || null };
+    this.workdir = options.workdir || null;
+    this.persona = options.persona || null;
+    this.profile = options.profile || null;
+    const requestId = options.requestId || createOutboxRequestId('chat');
     this.lastExecutionMeta = {
       requestId,
       orchestrator: 'gemini',
@@ -359,7 +299,11 @@ class GeminiProcess extends EventEmitter {
       `Gemini komutu [${this.id}]${this.sessionId ? ` (session ${this.sessionId})` : ''}: ${String(message || '').substring(0, 100)}...`
     );
 
-    return await this.runGemini({ message, images, requestId });
+    return await runWithRetry(
+      this,
+      () => this.runGemini({ message, attachments: [...images, ...files], requestId }),
+      { requestId, outboxPaths: this.outboxPaths }
+    );
   }
 
   getStatus() {
@@ -393,9 +337,26 @@ class GeminiProcess extends EventEmitter {
     return Date.now() - this.lastActivity.getTime() > timeoutMinutes * 60 * 1000;
   }
 
+  /**
+   * Çalışan isteği iptal et (!!stop); session/thread id korunur, oturum kullanılmaya devam eder
+   */
+  cancel() {
+    if (this.state !== 'executing') return false;
+    this.cancelRequested = true;
+    processPool.cancelWaiting(this.id);
+    if (this.lastExecutionMeta) {
+      this.lastExecutionMeta.cancelled = true;
+    }
+    if (this.process) {
+      terminateProcess(this.process);
+    }
+    return true;
+  }
+
   kill() {
+    processPool.cancelWaiting(this.id);
     if (this.process) {
-      this.process.kill('SIGTERM');
+      terminateProcess(this.process);
       this.process = null;
     }
     this.state = 'killed';
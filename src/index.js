@@ -8,6 +8,7 @@ import fs from 'fs';
 import path from 'path';
 import { paths } from './paths.js';
 import { taskManager } from './background/task-manager.js';
+import capabilityProbe from './orchestrator/capability-probe.js';
 import OutboxDispatcher from './outbox/dispatcher.js';
 import { ensureOutboxDirs, getOutboxPaths } from './outbox/common.js';
 
@@ -51,6 +52,10 @@ class WhatsAppCodexApp {
       await taskManager.loadTasks();
       await taskManager.cleanOldTasks();
 
+      // Orkestratör CLI/backend kontrolleri (sonra PROBE_INTERVAL_MS aralıkla tekrarlanır)
+      logger.info('Orkestratörler kontrol ediliyor...');
+      await capabilityProbe.start();
+
       // Session manager
       logger.info('Oturum yöneticisi başlatılıyor...');
       this.sessionManager = new SessionManager(this.db, MAX_SESSIONS, SESSION_TIMEOUT);
@@ -89,10 +94,11 @@ class WhatsAppCodexApp {
       this.outboxDispatcher = new OutboxDispatcher({
         outboxPaths,
         sendMessage: async (chatId, text, envelope) => {
+          const sendOptions = this.messageHandler.getOutboxSendOptions(envelope);
           if (envelope?.filePath) {
-            await this.waClient.sendMediaMessage(chatId, envelope.filePath, text || '');
+            await this.waClient.sendMediaMessage(chatId, envelope.filePath, text || '', sendOptions);
           } else {
-            await this.messageHandler.sendTextToChat(chatId, text);
+            await this.messageHandler.sendTextToChat(chatId, text, 3, sendOptions);
           }
         },
         onDelivered: async (payload) => {
@@ -135,6 +141,23 @@ class WhatsAppCodexApp {
       }
     });
 
+    // Kuyruktaki/çalışan mesaj düzenlenir veya silinirse
+    this.waClient.on('message_edit', async (message, newBody, prevBody) => {
+      try {
+        await this.messageHandler.handleMessageEdit(message, newBody, prevBody);
+      } catch (error) {
+        logger.error('Mesaj düzenleme işleme hatası:', error);
+      }
+    });
+
+    this.waClient.on('message_revoke', async (message, revokedMessage) => {
+      try {
+        await this.messageHandler.handleMessageRevoke(message, revokedMessage);
+      } catch (error) {
+        logger.error('Mesaj silme işleme hatası:', error);
+      }
+    });
+
     // WhatsApp bağlantı durumu
     this.waClient.on('ready', () => {
       logger.info('WhatsApp hazır, mesaj bekleniyor...');
@@ -180,6 +203,8 @@ class WhatsAppCodexApp {
     logger.info('Sistem kapatılıyor...');
 
     try {
+      capabilityProbe.stop();
+
       if (this.sessionManager) {
         this.sessionManager.destroy();
       }
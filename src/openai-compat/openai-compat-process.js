@@ -0,0 +1,263 @@
+import EventEmitter from 'events';
+import logger from '../logger.js';
+import { createOutboxRequestId, getOutboxPaths } from '../outbox/common.js';
+import { mergeUsage } from '../utils/usage.js';
+import { formatPersonaBlock } from '../utils/persona.js';
+import { resolveExecutionProfile } from '../orchestrator/execution-profiles.js';
+import { runWithRetry } from '../orchestrator/retry-policy.js';
+
+/**
+ * OpenAI uyumlu HTTP backend oturumu.
+ * CLI oturumlarıyla aynı arayüz (execute/kill/getStatus); geçmiş adaptörün
+ * store dosyasında { messages, updatedAt } olarak tutulur.
+ */
+class OpenAICompatProcess extends EventEmitter {
+  constructor(id, owner, adapter) {
+    super();
+    this.id = id;
+    this.owner = owner;
+    this.adapter = adapter;
+    this.process = null;
+    this.abortController = null;
+    this.state = 'idle';
+    this.createdAt = new Date();
+    this.lastActivity = new Date();
+    this.messageCount = 0;
+    this.history = [];
+    this.historyLoaded = false;
+    this.lastExecutionMeta = null;
+    this.modelSettings = null; // !!model / !!effort tercihi (execute options'tan)
+    this.persona = null; // !!persona bloğu (geçmiş bridge'de tutulduğu için her istekte system mesajına eklenir)
+    this.profile = null; // çalıştırma profili; readonly'de outbox araçları verilmez
+    this.cancelRequested = false;
+    this.outboxPaths = getOutboxPaths();
+  }
+
+  async loadHistory() {
+    if (this.historyLoaded) return;
+    this.historyLoaded = true;
+
+    const entry = await this.adapter.readStoredState(this.owner);
+    if (entry && Array.isArray(entry.messages)) {
+      this.history = entry.messages.filter(
+        (msg) => msg && typeof msg.role === 'string' && typeof msg.content === 'string'
+      );
+    }
+  }
+
+  /**
+   * Geçmişi mesaj sayısı ve toplam karakter limitine göre kırp (en eskiler düşer)
+   */
+  trimHistory() {
+    const limit = this.adapter.getHistoryLimit();
+    const maxChars = this.adapter.getHistoryMaxChars();
+
+    if (limit > 0 && this.history.length > limit) {
+      this.history = this.history.slice(-limit);
+    }
+
+    let total = this.history.reduce((sum, msg) => sum + msg.content.length, 0);
+    while (maxChars > 0 && total > maxChars && this.history.length > 2) {
+      total -= this.history.shift().content.length;
+    }
+
+    // Geçmiş her zaman kullanıcı mesajıyla başlamalı
+    while (this.history.length && this.history[0].role !== 'user') {
+      this.history.shift();
+    }
+  }
+
+  async saveHistory() {
+    this.trimHistory();
+    await this.adapter.writeStoredState(this.owner, {
+      messages: this.history,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Çalıştırmanın token kullanımını biriktir (bir mesaj birden fazla CLI çağrısı sürebilir)
+   */
+  addUsage(usage, model = null) {
+    if (!this.lastExecutionMeta || !usage) return;
+    this.lastExecutionMeta.usage = mergeUsage(this.lastExecutionMeta.usage, usage);
+    if (model) this.lastExecutionMeta.model = model;
+  }
+
+  /**
+   * Son çalıştırmanın hata durumunu kaydet (failover kararı için)
+   */
+  setFailure(reason, detail = '') {
+    if (!this.lastExecutionMeta) return;
+    this.lastExecutionMeta.failure = reason ? this.adapter.classifyFailure(reason, detail) : null;
+  }
+
+  async runChat({ message, images = [], requestId = null }) {
+    this.setFailure(null);
+    const prompt = String(message || '').trim();
+    if (!prompt) {
+      this.state = 'idle';
+      return '';
+    }
+
+    const controller = new AbortController();
+    this.abortController = controller;
+    let timedOut = false;
+    const timeoutMs = this.adapter.getTimeoutMs();
+    const timer =
+      timeoutMs > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, timeoutMs)
+        : null;
+
+    try {
+      const content = await this.adapter.buildUserContent(prompt, images);
+      const { text, model, usage } = await this.adapter.complete({
+        messages: [
+          { role: 'system', content: `${this.adapter.getSystemPrompt()}${formatPersonaBlock(this.persona)}` },
+          ...this.history,
+          { role: 'user', content }
+        ],
+        model: this.modelSettings?.model || this.adapter.getModel(),
+        outbox: resolveExecutionProfile(this.profile).outbox
+          ? { chatId: this.owner, requestId, outboxPaths: this.outboxPaths }
+          : null,
+        signal: controller.signal
+      });
+      this.addUsage(usage, model);
+
+      // Görseller geçmişe base64 olarak yazılmaz, sadece dosya yolu notu kalır
+      this.history.push({ role: 'user', content: this.adapter.appendImageNotes(prompt, images) });
+      this.history.push({ role: 'assistant', content: text });
+      try {
+        await this.saveHistory();
+      } catch (e) {
+        logger.warn(`Local LLM geçmişi kaydedilemedi: ${e?.message || String(e)}`);
+      }
+
+      if (!text) {
+        this.setFailure('empty');
+        return 'Hata:\nBoş yanıt';
+      }
+      if (text.length > 3500) {
+        return text.substring(0, 3500) + '\n\n... (kısaltıldı)';
+      }
+      return text;
+    } catch (error) {
+      if (timedOut) {
+        this.setFailure('timeout');
+        return 'Zaman aşımı.';
+      }
+      if (controller.signal.aborted) {
+        return 'İptal edildi.';
+      }
+      logger.error('Local LLM isteği hatası:', error);
+      this.setFailure('error', error?.message || String(error));
+      return `Hata:\n${String(error?.message || error).trim().substring(0, 800)}`;
+    } finally {
+      if (timer) clearTimeout(timer);
+      if (this.abortController === controller) {
+        this.abortController = null;
+      }
+      if (this.state === 'executing') {
+        this.state = 'idle';
+      }
+    }
+  }
+
+  async execute(userMessage, options = {}) {
+    const message =
+      userMessage && typeof userMessage === 'object'
+        ? userMessage.message
+        : userMessage;
+
+    const imagesFromMessage =
+      userMessage && typeof userMessage === 'object' && Array.isArray(userMessage.images)
+        ? userMessage.images
+        : [];
+
+    const images = Array.isArray(options.images) ? options.images : imagesFromMessage;
+
+    this.lastActivity = new Date();
+    this.state = 'executing';
+    this.messageCount++;
+    this.cancelRequested = false;
+    this.modelSettings = { model: options.model || null, effort: options.effort || null };
+    this.persona = options.persona || null;
+    this.profile = options.profile || null;
+    const requestId = options.requestId || createOutboxRequestId('chat');
+    this.lastExecutionMeta = {
+      requestId,
+      orchestrator: this.adapter.type,
+      sessionId: this.id
+    };
+
+    await this.loadHistory();
+
+    logger.info(
+      `Local LLM komutu [${this.id}] (${this.history.length} geçmiş mesaj): ${String(message || '').substring(0, 100)}...`
+    );
+
+    return await runWithRetry(this, () => this.runChat({ message, images, requestId }), {
+      requestId,
+      outboxPaths: this.outboxPaths
+    });
+  }
+
+  getStatus() {
+    const uptime = Date.now() - this.createdAt.getTime();
+    return {
+      id: this.id,
+      owner: this.owner,
+      state: this.state,
+      createdAt: this.createdAt.toISOString(),
+      lastActivity: this.lastActivity.toISOString(),
+      uptime: this.formatUptime(uptime),
+      messageCount: this.messageCount
+    };
+  }
+
+  formatUptime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+
+    if (hours > 0) return `${hours}sa ${minutes % 60}dk`;
+    if (minutes > 0) return `${minutes}dk ${seconds % 60}sn`;
+    return `${seconds}sn`;
+  }
+
+  isIdle() {
+    return this.state === 'idle';
+  }
+
+  isTimedOut(timeoutMinutes = 30) {
+    return Date.now() - this.lastActivity.getTime() > timeoutMinutes * 60 * 1000;
+  }
+
+  /**
+   * Çalışan isteği iptal et (!!stop); geçmiş korunur, oturum kullanılmaya devam eder
+   */
+  cancel() {
+    if (this.state !== 'executing') return false;
+    if (this.lastExecutionMeta) {
+      this.lastExecutionMeta.cancelled = true;
+    }
+    // İstek yoksa tekrar denemeyi bekliyordur (bkz. runWithRetry)
+    this.cancelRequested = true;
+    this.abortController?.abort();
+    return true;
+  }
+
+  kill() {
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+    this.state = 'killed';
+  }
+}
+
+export default OpenAICompatProcess;
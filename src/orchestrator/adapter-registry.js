@@ -0,0 +1,186 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import logger from '../logger.js';
+import { paths } from '../paths.js';
+import OrchestratorAdapter from './adapters/base-adapter.js';
+import ClaudeAdapter from './adapters/claude-adapter.js';
+import CodexAdapter from './adapters/codex-adapter.js';
+import GeminiAdapter from './adapters/gemini-adapter.js';
+import OpenAICompatAdapter from './adapters/openai-compat-adapter.js';
+import EchoAdapter from './adapters/echo-adapter.js';
+
+const BUILTIN_ADAPTERS = [ClaudeAdapter, CodexAdapter, GeminiAdapter, OpenAICompatAdapter, EchoAdapter];
+
+/**
+ * Orkestratör Adaptör Kaydı
+ *
+ * Yerleşik adaptörleri (claude, codex, gemini, local, echo) kaydeder, ardından
+ * config/orchestrators.json'daki girdileri uygular:
+ *
+ *   { "adapters": [
+ *     { "type": "gemini", "enabled": false },
+ *     { "type": "local" },
+ *     { "type": "echo" },
+ *     { "module": "./adapters/my-backend.js", "description": "..." }
+ *   ] }
+ *
+ * "module" yolu APP_ROOT'a göre çözülür; modül default export olarak
+ * OrchestratorAdapter örneği veya sınıfı vermelidir.
+ */
+class AdapterRegistry {
+  constructor() {
+    this.adapters = new Map(); // type -> OrchestratorAdapter
+    this.builtins = new Map(); // type -> yerleşik adaptör (kapalı olanlar dahil)
+    this.configPath =
+      process.env.ORCHESTRATORS_CONFIG_PATH || path.join(paths.configDir, 'orchestrators.json');
+
+    for (const AdapterClass of BUILTIN_ADAPTERS) {
+      const adapter = new AdapterClass();
+      this.builtins.set(adapter.type, adapter);
+      if (adapter.isEnabledByDefault()) {
+        this.register(adapter);
+      }
+    }
+
+    this.initialized = false;
+    this.initPromise = this.init();
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    try {
+      await this.loadConfig();
+    } catch (err) {
+      logger.warn('Orkestratör config yüklenemedi:', err.message);
+    }
+    this.initialized = true;
+  }
+
+  async ensureInitialized() {
+    if (!this.initialized) {
+      await this.initPromise;
+    }
+  }
+
+  async loadConfig() {
+    let parsed;
+    try {
+      parsed = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+
+    const entries = Array.isArray(parsed?.adapters) ? parsed.adapters : [];
+    for (const entry of entries) {
+      if (!entry || typeof entry !== 'object') continue;
+
+      try {
+        await this.applyConfigEntry(entry);
+      } catch (err) {
+        logger.warn(`Orkestratör adaptörü yüklenemedi (${entry.module || entry.type}): ${err.message}`);
+      }
+    }
+
+    logger.info(`Orkestratör adaptörleri: ${this.list().join(', ')}`);
+  }
+
+  async applyConfigEntry(entry) {
+    const type = entry.type ? String(entry.type).toLowerCase().trim() : null;
+    let adapter = type ? this.adapters.get(type) || this.builtins.get(type) : null;
+
+    if (entry.module) {
+      adapter = await this.loadModule(entry.module);
+    }
+
+    if (!adapter) {
+      throw new Error('Bilinmeyen adaptör');
+    }
+
+    if (entry.enabled === false) {
+      this.adapters.delete(adapter.type);
+      return;
+    }
+
+    adapter.configure(entry);
+    this.register(adapter);
+  }
+
+  async loadModule(modulePath) {
+    const resolved = path.resolve(paths.appRoot, String(modulePath));
+    const mod = await import(pathToFileURL(resolved).href);
+    const exported = mod.default;
+
+    const adapter = typeof exported === 'function' ? new exported() : exported;
+    if (!(adapter instanceof OrchestratorAdapter)) {
+      throw new Error('Modül bir OrchestratorAdapter export etmiyor');
+    }
+    return adapter;
+  }
+
+  register(adapter) {
+    if (!(adapter instanceof OrchestratorAdapter)) {
+      throw new Error('Geçersiz adaptör');
+    }
+    this.adapters.set(adapter.type, adapter);
+    return adapter;
+  }
+
+  unregister(type) {
+    return this.adapters.delete(this.normalizeType(type));
+  }
+
+  /**
+   * Kullanıcı/AI girdisini adaptör tipine çevir.
+   * Sıra: tam eşleşme → alias → önek (ör: "gemini-2.5-pro" → gemini)
+   */
+  normalizeType(input) {
+    if (!input) return null;
+
+    const normalized = String(input).toLowerCase().trim();
+    if (!normalized) return null;
+
+    if (this.adapters.has(normalized)) {
+      return normalized;
+    }
+
+    for (const adapter of this.adapters.values()) {
+      if (adapter.aliases.includes(normalized)) {
+        return adapter.type;
+      }
+    }
+
+    for (const adapter of this.adapters.values()) {
+      if (adapter.prefixes.some((prefix) => normalized.startsWith(prefix))) {
+        return adapter.type;
+      }
+    }
+
+    return null;
+  }
+
+  get(type) {
+    const normalized = this.normalizeType(type);
+    return normalized ? this.adapters.get(normalized) : null;
+  }
+
+  has(type) {
+    return Boolean(this.get(type));
+  }
+
+  list() {
+    return Array.from(this.adapters.keys());
+  }
+
+  getAll() {
+    return Array.from(this.adapters.values());
+  }
+}
+
+// Singleton instance
+const adapterRegistry = new AdapterRegistry();
+
+export default adapterRegistry;
+export { AdapterRegistry };
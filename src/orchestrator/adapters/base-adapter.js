@@ -0,0 +1,378 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { paths } from '../../paths.js';
+import { parseRetryAfterMs } from '../retry-policy.js';
+
+const QUOTA_PATTERN =
+  /\b429\b|rate.?limit|quota|resource.?exhausted|too many requests|usage limit|credit balance/i;
+
+// Birkaç saniye/dakika içinde düzelmesi beklenen hatalar (bkz. retry-policy.js)
+const TRANSIENT_PATTERN =
+  /\b(429|500|502|503|504|529)\b|rate.?limit|too many requests|overloaded|temporarily unavailable|service unavailable|internal server error|bad gateway|gateway time-?out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|ENOTFOUND|socket hang up|network error|fetch failed/i;
+
+// Beklemekle düzelmeyen kota/kimlik hataları: tekrar denenmez, doğrudan failover'a gider
+const FATAL_PATTERN =
+  /usage limit|credit balance|insufficient.?quota|exceeded your current quota|billing|per day|daily (limit|quota)|invalid.?api.?key|unauthori[sz]ed|authentication|\b40[13]\b/i;
+
+/**
+ * Satır satır gelen JSON event akışını (JSONL) ayrıştırır.
+ * Parça parça gelen stdout verisini tamponlar, tamamlanan her satırı onEvent'e verir.
+ */
+export function createJsonLineReader(onEvent) {
+  let buffer = '';
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{')) return;
+    try {
+      onEvent(JSON.parse(trimmed));
+    } catch {
+      // JSON olmayan satırları yok say
+    }
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      for (const line of lines) {
+        handleLine(line);
+      }
+    },
+    flush() {
+      const tail = buffer;
+      buffer = '';
+      handleLine(tail);
+    }
+  };
+}
+
+/**
+ * Probe komutunu çalıştır (stdin kapalı, zaman aşımlı)
+ * Return: { ok, stdout } | { ok: false, error }
+ */
+function runProbeCommand({ bin, args = [] }, timeoutMs) {
+  return new Promise((resolve) => {
+    const child = execFile(bin, args, { timeout: timeoutMs, env: process.env, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+      if (!err) {
+        resolve({ ok: true, stdout: String(stdout || '') });
+        return;
+      }
+      if (err.code === 'ENOENT') {
+        resolve({ ok: false, error: `komut bulunamadı (${bin})` });
+        return;
+      }
+      if (err.killed) {
+        resolve({ ok: false, error: `zaman aşımı (${timeoutMs}ms)` });
+        return;
+      }
+      const detail = String(stderr || stdout || '').trim().split('\n')[0];
+      resolve({ ok: false, error: (detail || `çıkış kodu ${err.code}`).substring(0, 200) });
+    });
+    child.stdin?.end();
+  });
+}
+
+/**
+ * Orkestratör Adaptörü (temel sınıf)
+ *
+ * Bir backend'e ait her şeyi tek yerde toplar:
+ * - meta bilgi (ad, açıklama, alias'lar)
+ * - CLI spawn argümanları (ön plan sohbeti ve arka plan görevi)
+ * - çıktı ayrıştırma (createOutputParser)
+ * - session/thread saklama (store dosyası)
+ *
+ * SessionManager ve BackgroundTaskManager backend'leri sadece bu arayüz
+ * üzerinden kullanır. Yeni bir backend eklemek için bu sınıfı genişleten
+ * bir modül yazıp config/orchestrators.json'a eklemek yeterlidir.
+ */
+class OrchestratorAdapter {
+  constructor({
+    type,
+    name,
+    description = '',
+    aliases = [],
+    prefixes = [],
+    envModel = null,
+    envTimeout = null,
+    defaultTimeout = 600000,
+    storeEnv = null,
+    storeFile = null,
+    models = [],
+    efforts = []
+  }) {
+    if (!type) {
+      throw new Error('Adaptör tipi zorunlu');
+    }
+    this.type = String(type).toLowerCase().trim();
+    this.name = name || this.type;
+    this.description = description;
+    this.aliases = aliases.map((a) => String(a).toLowerCase());
+    this.prefixes = prefixes.map((p) => String(p).toLowerCase());
+    this.envModel = envModel;
+    this.envTimeout = envTimeout;
+    this.defaultTimeout = defaultTimeout;
+    this.storeEnv = storeEnv;
+    this.storeFile = storeFile || `${this.type}-sessions.json`;
+    this.models = models.map((m) => String(m));
+    this.efforts = efforts.map((e) => String(e).toLowerCase());
+  }
+
+  /**
+   * OrchestratorManager'ın kullandığı meta bilgi
+   */
+  getInfo() {
+    return {
+      type: this.type,
+      name: this.name,
+      description: this.description,
+      aliases: this.aliases,
+      envModel: this.envModel,
+      envTimeout: this.envTimeout,
+      defaultTimeout: this.defaultTimeout,
+      models: this.models,
+      efforts: this.efforts,
+      inputs: this.getInputCapabilities()
+    };
+  }
+
+  /**
+   * Backend'in yol notu olarak değil doğrudan girdi olarak alabildiği dosya türleri
+   * images: görseller, audio: ses kayıtları, pdf: PDF belgeleri
+   */
+  getInputCapabilities() {
+    return { images: false, audio: false, pdf: false };
+  }
+
+  acceptsInput(kind) {
+    return this.getInputCapabilities()[kind] === true;
+  }
+
+  /**
+   * Yerleşik adaptör config'de anılmadan kayıtlı gelsin mi?
+   */
+  isEnabledByDefault() {
+    return true;
+  }
+
+  /**
+   * Uzayan session/thread otomatik sıkıştırılsın mı? (compaction-handler)
+   * Geçmişi kendi kırpan veya saklamayan backend'ler false döner.
+   */
+  supportsCompaction() {
+    return true;
+  }
+
+  /**
+   * Config'den gelen meta bilgi override'larını uygula
+   */
+  configure(options = {}) {
+    if (options.name) this.name = String(options.name);
+    if (options.description) this.description = String(options.description);
+    if (Array.isArray(options.aliases)) {
+      this.aliases = options.aliases.map((a) => String(a).toLowerCase());
+    }
+    if (Array.isArray(options.models)) {
+      this.models = options.models.map((m) => String(m));
+    }
+    return this;
+  }
+
+  // --- Session/thread store ---
+
+  getStorePath() {
+    return (this.storeEnv && process.env[this.storeEnv]) || path.join(paths.dataDir, this.storeFile);
+  }
+
+  async readStore() {
+    try {
+      const raw = await fs.readFile(this.getStorePath(), 'utf8');
+      const data = JSON.parse(raw);
+      return data && typeof data === 'object' ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  async readStoredState(owner) {
+    const data = await this.readStore();
+    return data?.[owner] || null;
+  }
+
+  /**
+   * Kullanıcının store kaydını yaz (entry null ise sil)
+   */
+  async writeStoredState(owner, entry) {
+    const storePath = this.getStorePath();
+    const tmpPath = `${storePath}.tmp.${process.pid}`;
+    const data = await this.readStore();
+
+    if (entry) {
+      data[owner] = entry;
+    } else {
+      delete data[owner];
+    }
+
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2) + '\n');
+    await fs.rename(tmpPath, storePath);
+  }
+
+  async clearStoredState(owner) {
+    const data = await this.readStore();
+    if (!Object.prototype.hasOwnProperty.call(data, owner)) return false;
+    await this.writeStoredState(owner, null);
+    return true;
+  }
+
+  // --- Ortak yardımcılar ---
+
+  parseTimeout(value, fallback) {
+    const parsed = parseInt(value || '', 10);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  }
+
+  /**
+   * Başarısız çalıştırmayı failover için sınıflandır.
+   * reason: 'timeout' | 'error' | 'empty'; kota/429 belirtileri 'quota' olarak işaretlenir.
+   */
+  classifyFailure(reason, detail = '') {
+    const raw = String(detail || '').trim();
+    const text = raw.substring(0, 300);
+    const retry = reason === 'error' ? this.classifyRetry(raw) : { retryable: false, retryAfterMs: null };
+    if (reason !== 'timeout' && QUOTA_PATTERN.test(text)) {
+      return { reason: 'quota', detail: text, ...retry };
+    }
+    return { reason, detail: text, ...retry };
+  }
+
+  /**
+   * Hata geçici mi (rate limit, aşırı yük, ağ)? Backend'e özgü kalıplar
+   * getTransientErrorPatterns ile eklenir. retryAfterMs: hatadaki bekleme ipucu
+   */
+  classifyRetry(detail = '') {
+    const text = String(detail || '');
+    const transient =
+      TRANSIENT_PATTERN.test(text) || this.getTransientErrorPatterns().some((pattern) => pattern.test(text));
+    if (!transient || FATAL_PATTERN.test(text)) {
+      return { retryable: false, retryAfterMs: null };
+    }
+    return { retryable: true, retryAfterMs: parseRetryAfterMs(text) };
+  }
+
+  /**
+   * Backend'in stderr/JSON hata event'lerinde geçici hata sayılacak ek kalıplar
+   */
+  getTransientErrorPatterns() {
+    return [];
+  }
+
+  /**
+   * !!model listesinde önerilen modeller (serbest model adı da kabul edilir)
+   */
+  getModelChoices() {
+    return this.models;
+  }
+
+  /**
+   * !!effort seviyeleri; boşsa backend effort ayarını desteklemiyor
+   */
+  getEffortChoices() {
+    return this.efforts;
+  }
+
+  // --- Yetenek kontrolü (bkz. orchestrator/capability-probe.js) ---
+
+  /**
+   * Kullanılabilirlik için sırayla çalıştırılacak komutlar: [{ name, bin, args }]
+   * name === 'version' olan komutun ilk stdout satırı sürüm olarak alınır.
+   * Boşsa adaptör her zaman kullanılabilir sayılır.
+   */
+  getProbeCommands() {
+    return [];
+  }
+
+  /**
+   * Return: { available, version, error }
+   * Süreç spawn etmeyen backend'ler bunu override edebilir (ör: HTTP sağlık isteği)
+   */
+  async probe({ timeoutMs = 15000 } = {}) {
+    let version = null;
+    for (const command of this.getProbeCommands()) {
+      const result = await runProbeCommand(command, timeoutMs);
+      if (!result.ok) {
+        return { available: false, version, error: `${command.name}: ${result.error}` };
+      }
+      if (command.name === 'version') {
+        version = result.stdout.trim().split('\n')[0].substring(0, 100) || null;
+      }
+    }
+    return { available: true, version, error: null };
+  }
+
+  appendImageNotes(prompt, images = []) {
+    if (!images || images.length === 0) return prompt;
+    const lines = images.filter(Boolean).map((img) => `- ${img}`);
+    if (lines.length === 0) return prompt;
+    return `${prompt}\n\nEk dosyalar (metin olmayan dosyalar olabilir):\n${lines.join('\n')}`;
+  }
+
+  // --- Alt sınıfların uygulaması gerekenler ---
+
+  /**
+   * Ön plan oturumu oluştur (execute/kill/getStatus arayüzü olan nesne)
+   */
+  createSession(_id, _owner) {
+    throw new Error(`${this.type} adaptörü createSession desteklemiyor`);
+  }
+
+  /**
+   * Çalıştırma profilini (execution-profiles.js) CLI bayraklarına çevir
+   * options.background: arka plan görevi için mi
+   */
+  buildProfileArgs(_profile, _options = {}) {
+    return [];
+  }
+
+  /**
+   * Arka plan görevi için spawn bilgisi
+   * options.model / options.effort kullanıcının !!model / !!effort tercihidir (yoksa env),
+   * options.workdir terminalin !!proje ile bağlandığı dizindir (yoksa adaptörün varsayılanı),
+   * options.profile görev sahibinin çalıştırma profilidir (full | workspace | readonly)
+   * Return: { bin, args, stdin, cwd, model, timeoutMs, parserOptions }
+   *
+   * Süreç spawn etmeyen backend'ler bunun yerine
+   * runTask({ task, prompt, images, defaultInstructions, signal, outboxPaths, model, effort, profile })
+   * tanımlar; dönüş değeri resolveTaskOutcome ile aynı biçimdedir
+   * (opsiyonel usage: { inputTokens, outputTokens, cachedTokens, costUsd }).
+   */
+  buildTaskInvocation(_options) {
+    throw new Error(`${this.type} adaptörü arka plan görevi desteklemiyor`);
+  }
+
+  /**
+   * CLI çıktısı için parser
+   * options.onActivity verilirse araç çağrıları akarken { kind, target } ile çağrılır
+   * (kind: command|edit|read|search|web|fetch|tool; bkz. outbox/progress-reporter.js)
+   * Return: { push(chunk), finish() => { text, sessionId, isError, error, usage?, model? } }
+   * usage biçimi için bkz. utils/usage.js
+   */
+  createOutputParser(_options) {
+    throw new Error(`${this.type} adaptörü çıktı ayrıştırma desteklemiyor`);
+  }
+
+  /**
+   * Arka plan görevinin sonucunu belirle
+   */
+  resolveTaskOutcome({ code, output, stderr }) {
+    if (code === 0 && !output?.isError) {
+      return { status: 'completed', result: String(output?.text || '').trim() };
+    }
+    const error = output?.error || String(stderr || '').trim() || `Çıkış kodu: ${code}`;
+    return { status: 'failed', error };
+  }
+}
+
+export default OrchestratorAdapter;
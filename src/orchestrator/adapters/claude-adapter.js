@@ -0,0 +1,310 @@
+import OrchestratorAdapter, { createJsonLineReader } from './base-adapter.js';
+import ClaudeProcess from '../../claude/claude-process.js';
+import { paths } from '../../paths.js';
+import { getOutboxCommands } from '../../outbox/common.js';
+import { createUsage } from '../../utils/usage.js';
+import { resolveExecutionProfile } from '../execution-profiles.js';
+
+// workspace profilinde izin sorulmadan çalışabilen tek kabuk komutları (prompt'taki mutlak yolla aynı)
+const OUTBOX_COMMANDS = getOutboxCommands();
+const OUTBOX_TOOL_RULES = [`Bash(${OUTBOX_COMMANDS.message}:*)`, `Bash(${OUTBOX_COMMANDS.media}:*)`];
+const WRITE_TOOLS = ['Bash', 'Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+
+/**
+ * Claude araç adı → ilerleme aktivitesi
+ */
+function toClaudeActivity(name, input = {}) {
+  switch (name) {
+    case 'Bash':
+      return { kind: 'command', target: input.command };
+    case 'Edit':
+    case 'MultiEdit':
+    case 'Write':
+      return { kind: 'edit', target: input.file_path };
+    case 'NotebookEdit':
+      return { kind: 'edit', target: input.notebook_path };
+    case 'Read':
+      return { kind: 'read', target: input.file_path };
+    case 'Grep':
+    case 'Glob':
+      return { kind: 'search', target: input.pattern };
+    case 'WebSearch':
+      return { kind: 'web', target: input.query };
+    case 'WebFetch':
+      return { kind: 'fetch', target: input.url };
+    case 'TodoWrite':
+      return null;
+    case 'Task':
+      return { kind: 'tool', target: input.description || name };
+    default:
+      return name ? { kind: 'tool', target: name } : null;
+  }
+}
+
+/**
+ * Claude Code CLI çıktısı:
+ * - stream-json: satır satır event (system/assistant/user/result), araç çağrıları canlı okunur
+ * - json: tek bir JSON blob (result event'i ile aynı biçim)
+ */
+class ClaudeOutputParser {
+  constructor({ onActivity = null } = {}) {
+    this.stdout = '';
+    this.sessionId = null;
+    this.onActivity = onActivity;
+    this.sawEvents = false;
+    this.result = null;
+    this.assistantText = '';
+    this.model = null;
+    this.reader = createJsonLineReader((evt) => this.handleEvent(evt));
+  }
+
+  handleEvent(evt) {
+    if (!evt || typeof evt !== 'object') return;
+    this.sawEvents = true;
+
+    if (evt.session_id) {
+      this.sessionId = String(evt.session_id);
+    }
+    if (evt.type === 'system' && evt.model) {
+      this.model = String(evt.model);
+    }
+    if (evt.type === 'result') {
+      this.result = evt;
+      return;
+    }
+    if (evt.type !== 'assistant' || !Array.isArray(evt.message?.content)) return;
+
+    for (const block of evt.message.content) {
+      if (block?.type === 'text' && block.text) {
+        this.assistantText = String(block.text);
+      }
+      if (block?.type === 'tool_use' && this.onActivity) {
+        const activity = toClaudeActivity(block.name, block.input || {});
+        if (activity) this.onActivity(activity);
+      }
+    }
+  }
+
+  push(chunk) {
+    this.stdout += chunk;
+    this.reader.push(chunk);
+  }
+
+  finish() {
+    this.reader.flush();
+    const output = { text: '', sessionId: this.sessionId, isError: false, error: '', usage: null, model: this.model };
+    let response = this.result;
+
+    if (!this.sawEvents) {
+      const raw = this.stdout.trim();
+      try {
+        response = JSON.parse(raw);
+      } catch {
+        // JSON parse edilemezse raw output kullan
+        if (raw) output.text = raw;
+      }
+    } else if (!response) {
+      // result event'i gelmeden kesildi: son asistan metni
+      output.text = this.assistantText.trim();
+    }
+
+    if (response) {
+      if (response.type === 'result' && response.result) {
+        output.text = String(response.result);
+      }
+      if (response.session_id) {
+        output.sessionId = String(response.session_id);
+      }
+      if (response.is_error) {
+        output.isError = true;
+        output.error = String(response.result || response.error || 'Bilinmeyen hata');
+      }
+      output.usage = this.extractUsage(response);
+    }
+
+    this.sessionId = output.sessionId;
+    return output;
+  }
+
+  /**
+   * result.usage: input_tokens cache'siz kısım; cache yazma/okuma ayrı sayılır
+   */
+  extractUsage(response) {
+    const usage = response.usage;
+    if (!usage && response.total_cost_usd === undefined) return null;
+    const cacheRead = Number(usage?.cache_read_input_tokens) || 0;
+    return createUsage({
+      inputTokens:
+        (Number(usage?.input_tokens) || 0) + (Number(usage?.cache_creation_input_tokens) || 0) + cacheRead,
+      outputTokens: usage?.output_tokens,
+      cachedTokens: cacheRead,
+      costUsd: response.total_cost_usd ?? null
+    });
+  }
+}
+
+class ClaudeAdapter extends OrchestratorAdapter {
+  constructor() {
+    super({
+      type: 'claude',
+      name: 'Claude',
+      description: 'Anthropic Claude - Genel amaçlı AI',
+      aliases: ['anthropic', 'sonnet', 'opus', 'haiku'],
+      prefixes: ['claude'],
+      envModel: 'CLAUDE_MODEL',
+      envTimeout: 'CLAUDE_TIMEOUT_MS',
+      defaultTimeout: 300000,
+      storeEnv: 'CLAUDE_SESSION_STORE',
+      storeFile: 'claude-sessions.json',
+      models: ['opus', 'sonnet', 'haiku']
+    });
+  }
+
+  getBin() {
+    return process.env.CLAUDE_BIN || 'claude';
+  }
+
+  getProbeCommands() {
+    return [{ name: 'version', bin: this.getBin(), args: ['--version'] }];
+  }
+
+  // stream-json result event'inde API hata tipi geçer: overloaded_error, api_error
+  getTransientErrorPatterns() {
+    return [/overloaded_error|api_error|request timed out|connection error/i];
+  }
+
+  getWorkdir() {
+    return process.env.CLAUDE_WORKDIR || paths.appRoot;
+  }
+
+  getModel({ background = false } = {}) {
+    if (background) {
+      return process.env.CLAUDE_BG_MODEL || process.env.CLAUDE_MODEL || 'sonnet';
+    }
+    return process.env.CLAUDE_MODEL || 'sonnet';
+  }
+
+  getTimeoutMs({ background = false } = {}) {
+    if (background) {
+      return this.parseTimeout(
+        process.env.CLAUDE_BG_TIMEOUT_MS || process.env.CLAUDE_TIMEOUT_MS,
+        600000
+      );
+    }
+    return this.parseTimeout(process.env.CLAUDE_TIMEOUT_MS, this.defaultTimeout);
+  }
+
+  /**
+   * stream-json araç çağrılarını canlı verir (ilerleme mesajları için); json tek blob
+   */
+  getOutputFormat() {
+    const format = String(process.env.CLAUDE_OUTPUT_FORMAT || 'stream-json').trim();
+    return format === 'json' ? 'json' : 'stream-json';
+  }
+
+  buildOutputArgs() {
+    const format = this.getOutputFormat();
+    // --print ile stream-json, --verbose olmadan kabul edilmiyor
+    return format === 'stream-json' ? ['--output-format', format, '--verbose'] : ['--output-format', format];
+  }
+
+  // Görsel yolları stdin'de verilir, CLI Read aracıyla açar
+  getInputCapabilities() {
+    return { images: true, audio: false, pdf: false };
+  }
+
+  createSession(id, owner) {
+    return new ClaudeProcess(id, owner, this);
+  }
+
+  /**
+   * full: izin sormadan her şey; workspace: çalışma dizininde düzenleme + outbox script'leri;
+   * readonly: sadece okuma araçları (--print modunda izin isteyen araçlar zaten reddedilir)
+   */
+  buildProfileArgs(profile) {
+    const { name } = resolveExecutionProfile(profile);
+    if (name === 'full') {
+      return ['--dangerously-skip-permissions'];
+    }
+    if (name === 'workspace') {
+      return ['--permission-mode', 'acceptEdits', '--allowedTools', ...OUTBOX_TOOL_RULES];
+    }
+    return ['--permission-mode', 'default', '--disallowedTools', ...WRITE_TOOLS];
+  }
+
+  /**
+   * Ön plan sohbeti: resumeId varsa --resume, yoksa system prompt ile yeni session
+   */
+  buildChatInvocation({
+    prompt,
+    images = [],
+    resumeId = null,
+    systemPrompt = '',
+    model: modelOverride = null,
+    workdir = null,
+    profile = null
+  }) {
+    const model = modelOverride || this.getModel();
+    const args = [
+      ...this.buildProfileArgs(profile),
+      '--print',
+      ...this.buildOutputArgs(),
+      '--model', model
+    ];
+
+    if (resumeId) {
+      args.push('--resume', resumeId);
+    } else {
+      args.push('--system-prompt', systemPrompt);
+    }
+
+    let stdin = prompt;
+    if (images && images.length > 0) {
+      stdin += `\n\n[Gönderilen görseller: ${images.join(', ')}]`;
+    }
+
+    return {
+      bin: this.getBin(),
+      args,
+      stdin,
+      cwd: workdir || this.getWorkdir(),
+      model,
+      timeoutMs: this.getTimeoutMs()
+    };
+  }
+
+  buildTaskInvocation({
+    prompt,
+    images = [],
+    defaultInstructions = '',
+    model: modelOverride = null,
+    workdir = null,
+    profile = null
+  }) {
+    const model = modelOverride || this.getModel({ background: true });
+    const systemPrompt = process.env.CLAUDE_BG_INSTRUCTIONS || defaultInstructions;
+
+    return {
+      bin: this.getBin(),
+      args: [
+        ...this.buildProfileArgs(profile, { background: true }),
+        '--print',
+        ...this.buildOutputArgs(),
+        '--model',
+        model,
+        '--system-prompt',
+        systemPrompt
+      ],
+      stdin: this.appendImageNotes(`Görev: ${prompt}`, images),
+      cwd: workdir || this.getWorkdir(),
+      model,
+      timeoutMs: this.getTimeoutMs({ background: true })
+    };
+  }
+
+  createOutputParser(options = {}) {
+    return new ClaudeOutputParser(options);
+  }
+}
+
+export default ClaudeAdapter;
@@ -0,0 +1,273 @@
+import OrchestratorAdapter, { createJsonLineReader } from './base-adapter.js';
+import CodexProcess from '../../claude/process-wrapper.js';
+import { paths } from '../../paths.js';
+import { createUsage, mergeUsage } from '../../utils/usage.js';
+import { getOutboxPaths } from '../../outbox/common.js';
+import { resolveExecutionProfile } from '../execution-profiles.js';
+
+const PROFILE_SANDBOX = {
+  workspace: 'workspace-write',
+  readonly: 'read-only'
+};
+
+/**
+ * Codex CLI çıktısı (exec --json): satır satır JSON event
+ */
+class CodexOutputParser {
+  constructor({ onActivity = null } = {}) {
+    this.onActivity = onActivity;
+    this.sessionId = null;
+    this.messages = [];
+    this.commandOutputs = [];
+    this.errors = [];
+    this.usage = null;
+    this.reader = createJsonLineReader((evt) => this.handleEvent(evt));
+  }
+
+  handleEvent(evt) {
+    if (!evt) return;
+    if (evt.type === 'thread.started' && typeof evt.thread_id === 'string') {
+      this.sessionId = evt.thread_id;
+    }
+    if (evt.type === 'item.completed' && evt.item?.type === 'agent_message') {
+      const text = String(evt.item.text || '').trim();
+      if (text) this.messages.push(text);
+    }
+    if (evt.type === 'turn.completed' && evt.usage) {
+      this.usage = mergeUsage(
+        this.usage,
+        createUsage({
+          inputTokens: evt.usage.input_tokens,
+          outputTokens: evt.usage.output_tokens,
+          cachedTokens: evt.usage.cached_input_tokens
+        })
+      );
+    }
+    // Hata event'leri (rate limit, bağlantı kopması); retry/failover sınıflandırması için
+    if (evt.type === 'error' && evt.message) {
+      this.errors.push(String(evt.message).trim());
+    }
+    if (evt.type === 'turn.failed' && evt.error?.message) {
+      this.errors.push(String(evt.error.message).trim());
+    }
+    // Tool call çıktılarını da yakala (agent_message yoksa teşhis için kullanılır)
+    if (evt.type === 'item.completed' && evt.item?.type === 'command_execution') {
+      const output = String(evt.item.aggregated_output || '').trim();
+      const cmd = String(evt.item.command || '').trim();
+      if (cmd) this.commandOutputs.push({ cmd, output, exitCode: evt.item.exit_code });
+    }
+    if (this.onActivity) {
+      this.reportActivity(evt);
+    }
+  }
+
+  /**
+   * Araç event'leri → ilerleme aktivitesi (komut başlarken, dosya değişikliği uygulanınca)
+   */
+  reportActivity(evt) {
+    const item = evt.item;
+    if (!item) return;
+
+    if (evt.type === 'item.started' && item.type === 'command_execution') {
+      this.onActivity({ kind: 'command', target: item.command });
+    }
+    if (evt.type === 'item.started' && item.type === 'mcp_tool_call') {
+      this.onActivity({ kind: 'tool', target: [item.server, item.tool].filter(Boolean).join('.') });
+    }
+    if (evt.type === 'item.started' && item.type === 'web_search') {
+      this.onActivity({ kind: 'web', target: item.query });
+    }
+    if (evt.type === 'item.completed' && item.type === 'file_change') {
+      for (const change of Array.isArray(item.changes) ? item.changes : []) {
+        if (change?.path) this.onActivity({ kind: 'edit', target: change.path });
+      }
+    }
+  }
+
+  push(chunk) {
+    this.reader.push(chunk);
+  }
+
+  finish() {
+    this.reader.flush();
+    return {
+      text: this.messages.join('\n').trim(),
+      sessionId: this.sessionId,
+      // Codex yeniden bağlanırken de error event'i basar; cevap geldiyse hata sayılmaz
+      isError: this.errors.length > 0 && this.messages.length === 0,
+      error: [...new Set(this.errors)].join('\n'),
+      usage: this.usage,
+      commandOutputs: this.commandOutputs
+    };
+  }
+}
+
+class CodexAdapter extends OrchestratorAdapter {
+  constructor() {
+    super({
+      type: 'codex',
+      name: 'Codex',
+      description: 'OpenAI Codex/GPT - Kod ve genel amaçlı',
+      aliases: ['openai', 'gpt', 'gpt4', 'gpt5'],
+      prefixes: ['codex', 'openai', 'gpt'],
+      envModel: 'CODEX_MODEL',
+      envTimeout: 'CODEX_TIMEOUT_MS',
+      defaultTimeout: 600000,
+      storeEnv: 'CODEX_THREAD_STORE',
+      storeFile: 'codex-threads.json',
+      models: ['gpt-5.3-codex', 'gpt-5', 'gpt-5-mini'],
+      efforts: ['low', 'medium', 'high']
+    });
+  }
+
+  getBin() {
+    return process.env.CODEX_BIN || 'codex';
+  }
+
+  // Codex, bağlantı kopunca "stream disconnected before completion" / "error sending request" yazar
+  getTransientErrorPatterns() {
+    return [/stream disconnected|error sending request|reconnecting|connection (reset|closed)/i];
+  }
+
+  getProbeCommands() {
+    const commands = [{ name: 'version', bin: this.getBin(), args: ['--version'] }];
+    // Kayıtlı oturum yoksa sıfırdan farklı çıkış kodu döner (CODEX_PROBE_AUTH=0 ile kapatılır)
+    if (process.env.CODEX_PROBE_AUTH !== '0') {
+      commands.push({ name: 'auth', bin: this.getBin(), args: ['login', 'status'] });
+    }
+    return commands;
+  }
+
+  getWorkdir() {
+    return process.env.CODEX_WORKDIR || paths.appRoot;
+  }
+
+  getModel() {
+    return process.env.CODEX_MODEL || 'gpt-5.3-codex';
+  }
+
+  getReasoningEffort() {
+    return process.env.CODEX_REASONING_EFFORT || 'medium';
+  }
+
+  getTimeoutMs({ background = false } = {}) {
+    if (background) {
+      return this.parseTimeout(process.env.CODEX_BG_TIMEOUT_MS, 1800000); // 30 dakika
+    }
+    return this.parseTimeout(process.env.CODEX_TIMEOUT_MS, this.defaultTimeout);
+  }
+
+  // Görseller -i ile eklenir
+  getInputCapabilities() {
+    return { images: true, audio: false, pdf: false };
+  }
+
+  createSession(id, owner) {
+    return new CodexProcess(id, owner, this);
+  }
+
+  /**
+   * full: CODEX_YOLO / CODEX_SANDBOX ayarları; workspace: çalışma dizini + outbox'a yazabilen sandbox;
+   * readonly: read-only sandbox. Kısıtlı profillerde sandbox resume'da da geçerli olsun diye üst seviyede verilir.
+   */
+  buildProfileArgs(profile, { outboxDir = null } = {}) {
+    const { name } = resolveExecutionProfile(profile);
+    if (name === 'full') {
+      const yolo = (process.env.CODEX_YOLO || '1') !== '0';
+      return yolo ? ['--dangerously-bypass-approvals-and-sandbox'] : ['-a', 'never'];
+    }
+
+    const args = ['-a', 'never', '-s', PROFILE_SANDBOX[name]];
+    if (name === 'workspace') {
+      const writableRoots = [outboxDir || getOutboxPaths().baseDir];
+      args.push('-c', `sandbox_workspace_write.writable_roots=${JSON.stringify(writableRoots)}`);
+    }
+    return args;
+  }
+
+  /**
+   * exec (yeni thread) veya exec resume argümanları
+   */
+  buildExecArgs({ threadId = null, images = [], model, effort = null, workdir, profile = null, outboxDir = null }) {
+    const { name } = resolveExecutionProfile(profile);
+    const sandboxMode = PROFILE_SANDBOX[name] || process.env.CODEX_SANDBOX || 'workspace-write';
+    const args = [...this.buildProfileArgs(profile, { outboxDir })];
+
+    args.push('exec');
+    if (threadId) {
+      args.push('resume');
+    }
+
+    for (const img of images || []) {
+      if (img) args.push('-i', img);
+    }
+
+    args.push(
+      '--skip-git-repo-check',
+      '--json',
+      '-m',
+      model,
+      '-c',
+      `model_reasoning_effort=${JSON.stringify(effort || this.getReasoningEffort())}`
+    );
+
+    if (threadId) {
+      args.push(threadId, '-');
+    } else {
+      args.push('-C', workdir, '-s', sandboxMode, '-');
+    }
+
+    return args;
+  }
+
+  buildChatInvocation({
+    prompt,
+    images = [],
+    threadId = null,
+    model = null,
+    effort = null,
+    workdir: cwd = null,
+    profile = null,
+    outboxDir = null
+  }) {
+    const selectedModel = model || this.getModel();
+    const workdir = cwd || this.getWorkdir();
+    return {
+      bin: this.getBin(),
+      args: this.buildExecArgs({ threadId, images, model: selectedModel, effort, workdir, profile, outboxDir }),
+      stdin: prompt,
+      cwd: workdir,
+      model: selectedModel,
+      timeoutMs: this.getTimeoutMs()
+    };
+  }
+
+  buildTaskInvocation({
+    prompt,
+    images = [],
+    defaultInstructions = '',
+    model: modelOverride = null,
+    effort = null,
+    workdir: cwd = null,
+    profile = null
+  }) {
+    const model = modelOverride || this.getModel();
+    const workdir = cwd || this.getWorkdir();
+    const systemPrompt = process.env.CODEX_BG_INSTRUCTIONS || defaultInstructions;
+
+    return {
+      bin: this.getBin(),
+      args: this.buildExecArgs({ images, model, effort, workdir, profile }),
+      stdin: `${systemPrompt}\n\nGörev: ${prompt}\n\nBaşla:`,
+      cwd: workdir,
+      model,
+      timeoutMs: this.getTimeoutMs({ background: true })
+    };
+  }
+
+  createOutputParser(options = {}) {
+    return new CodexOutputParser(options);
+  }
+}
+
+export default CodexAdapter;
@@ -0,0 +1,244 @@
+import fs from 'fs';
+import EventEmitter from 'events';
+import OrchestratorAdapter from './base-adapter.js';
+import logger from '../../logger.js';
+import { createOutboxRequestId, getOutboxPaths, writeOutboxMessage } from '../../outbox/common.js';
+
+/**
+ * Deterministik "echo" orkestratörü (testler ve çevrimdışı geliştirme için)
+ *
+ * Hiçbir dış süreç/servis çağırmaz. Varsayılan olarak kapalıdır:
+ * ECHO_ORCHESTRATOR=1 veya config/orchestrators.json'da { "type": "echo" } ile açılır.
+ *
+ * ECHO_SCRIPT bir JSON dosyasıdır; adımlar sırayla denenir, ilk eşleşen kullanılır:
+ *   { "steps": [
+ *     { "match": "merhaba", "reply": "Selam! {{message}}", "outbox": [{ "type": "progress", "text": "..." }] },
+ *     { "match": "yavaş", "delayMs": 2000, "reply": "geç cevap" },
+ *     { "match": "patla", "error": "sahte hata" },
+ *     { "match": "sessiz", "reply": "" }
+ *   ] }
+ * Eşleşme yoksa "Echo: <mesaj>" döner.
+ */
+class EchoSession extends EventEmitter {
+  constructor(id, owner, adapter) {
+    super();
+    this.id = id;
+    this.owner = owner;
+    this.adapter = adapter;
+    this.process = null;
+    this.state = 'idle';
+    this.createdAt = new Date();
+    this.lastActivity = new Date();
+    this.messageCount = 0;
+    this.lastExecutionMeta = null;
+    this.outboxPaths = getOutboxPaths();
+    this.abortController = null;
+  }
+
+  async execute(userMessage, options = {}) {
+    const message =
+      userMessage && typeof userMessage === 'object' ? userMessage.message : userMessage;
+    const images = Array.isArray(options.images) ? options.images : [];
+
+    this.lastActivity = new Date();
+    this.state = 'executing';
+    this.messageCount++;
+    const requestId = options.requestId || createOutboxRequestId('chat');
+    this.lastExecutionMeta = {
+      requestId,
+      orchestrator: this.adapter.type,
+      sessionId: this.id
+    };
+
+    const controller = new AbortController();
+    this.abortController = controller;
+
+    try {
+      const result = await this.adapter.run({
+        message,
+        images,
+        chatId: this.owner,
+        requestId,
+        outboxPaths: this.outboxPaths,
+        signal: controller.signal
+      });
+
+      // Failover testleri için hata/boş cevap CLI oturumlarıyla aynı şekilde işaretlenir
+      if (result.startsWith('Hata:\n')) {
+        this.lastExecutionMeta.failure = this.adapter.classifyFailure('error', result.slice(6));
+      } else if (!result.trim()) {
+        this.lastExecutionMeta.failure = this.adapter.classifyFailure('empty');
+      }
+      return result;
+    } finally {
+      if (this.abortController === controller) {
+        this.abortController = null;
+      }
+      if (this.state === 'executing') {
+        this.state = 'idle';
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      id: this.id,
+      owner: this.owner,
+      state: this.state,
+      createdAt: this.createdAt.toISOString(),
+      lastActivity: this.lastActivity.toISOString(),
+      uptime: `${Math.floor((Date.now() - this.createdAt.getTime()) / 1000)}sn`,
+      messageCount: this.messageCount
+    };
+  }
+
+  isIdle() {
+    return this.state === 'idle';
+  }
+
+  isTimedOut(timeoutMinutes = 30) {
+    return Date.now() - this.lastActivity.getTime() > timeoutMinutes * 60 * 1000;
+  }
+
+  /**
+   * Çalışan isteği iptal et (!!stop); geçmiş korunur, oturum kullanılmaya devam eder
+   */
+  cancel() {
+    if (this.state !== 'executing' || !this.abortController) return false;
+    if (this.lastExecutionMeta) {
+      this.lastExecutionMeta.cancelled = true;
+    }
+    this.abortController.abort();
+    return true;
+  }
+
+  kill() {
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+    this.state = 'killed';
+  }
+}
+
+class EchoAdapter extends OrchestratorAdapter {
+  constructor() {
+    super({
+      type: 'echo',
+      name: 'Echo',
+      description: 'Deterministik test orkestratörü',
+      aliases: ['fake', 'test'],
+      defaultTimeout: 0
+    });
+  }
+
+  isEnabledByDefault() {
+    const raw = String(process.env.ECHO_ORCHESTRATOR || '').toLowerCase().trim();
+    return raw === '1' || raw === 'true' || raw === 'yes';
+  }
+
+  supportsCompaction() {
+    return false;
+  }
+
+  // {{images}} ile yankılanır (testler için)
+  getInputCapabilities() {
+    return { images: true, audio: false, pdf: false };
+  }
+
+  getModel() {
+    return 'echo';
+  }
+
+  getTimeoutMs() {
+    return 0;
+  }
+
+  createSession(id, owner) {
+    return new EchoSession(id, owner, this);
+  }
+
+  loadSteps() {
+    const scriptPath = process.env.ECHO_SCRIPT;
+    if (!scriptPath) return [];
+    try {
+      const parsed = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+      return Array.isArray(parsed?.steps) ? parsed.steps : [];
+    } catch (err) {
+      logger.warn(`ECHO_SCRIPT okunamadı: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Prompt'a eklenen sistem blokları ([MESAJ ZAMANI] vb.) öncesindeki kullanıcı metni
+   */
+  extractUserText(prompt) {
+    const text = String(prompt || '');
+    const blockIndex = text.search(/\n\n(\[[A-ZİĞÜŞÖÇ _]+\]|## )/);
+    return (blockIndex >= 0 ? text.slice(0, blockIndex) : text).trim();
+  }
+
+  findStep(text) {
+    for (const step of this.loadSteps()) {
+      if (!step || typeof step !== 'object') continue;
+      if (!step.match || new RegExp(step.match, 'i').test(text)) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  async run({ message, images = [], chatId, requestId, outboxPaths, signal = null }) {
+    const text = this.extractUserText(message);
+    const step = this.findStep(text) || {};
+
+    if (step.delayMs > 0) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, step.delayMs);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    }
+    if (signal?.aborted) {
+      return 'İptal edildi.';
+    }
+
+    for (const item of Array.isArray(step.outbox) ? step.outbox : []) {
+      await writeOutboxMessage(
+        { chatId, requestId, orchestrator: this.type, type: item.type, text: item.text },
+        { outboxPaths }
+      );
+    }
+
+    if (step.error) {
+      return `Hata:\n${step.error}`;
+    }
+
+    const template = step.reply ?? 'Echo: {{message}}';
+    const reply = String(template)
+      .replace(/\{\{message\}\}/g, text)
+      .replace(/\{\{images\}\}/g, images.join(', '));
+    return reply;
+  }
+
+  async runTask({ task, prompt, images = [], signal, outboxPaths }) {
+    const result = await this.run({
+      message: prompt,
+      images,
+      chatId: task.owner,
+      requestId: task.requestId,
+      outboxPaths,
+      signal
+    });
+
+    if (result.startsWith('Hata:\n')) {
+      return { status: 'failed', error: result.slice('Hata:\n'.length) };
+    }
+    return { status: 'completed', result };
+  }
+}
+
+export default EchoAdapter;
@@ -0,0 +1,429 @@
+import path from 'path';
+import OrchestratorAdapter, { createJsonLineReader } from './base-adapter.js';
+import GeminiProcess from '../../gemini/gemini-process.js';
+import { paths } from '../../paths.js';
+import { getOutboxCommands } from '../../outbox/common.js';
+import { createUsage, mergeUsage } from '../../utils/usage.js';
+import { resolveExecutionProfile } from '../execution-profiles.js';
+
+// workspace profilinde onaysız çalışabilen tek kabuk komutları (prompt'taki mutlak yolla aynı)
+const OUTBOX_COMMANDS = getOutboxCommands();
+const OUTBOX_TOOL_RULES = [
+  `run_shell_command(${OUTBOX_COMMANDS.message})`,
+  `run_shell_command(${OUTBOX_COMMANDS.media})`
+];
+
+const IMAGE_EXTENSIONS = new Set(['jpg', 'jpeg', 'png', 'webp', 'gif', 'heic', 'heif', 'bmp']);
+const AUDIO_EXTENSIONS = new Set(['ogg', 'opus', 'mp3', 'm4a', 'aac', 'wav', 'flac', 'amr']);
+
+/**
+ * Gemini araç adı → ilerleme aktivitesi
+ */
+function toGeminiActivity(name, params = {}) {
+  switch (name) {
+    case 'run_shell_command':
+      return { kind: 'command', target: params.command };
+    case 'write_file':
+    case 'replace':
+    case 'edit':
+      return { kind: 'edit', target: params.file_path || params.absolute_path };
+    case 'read_file':
+      return { kind: 'read', target: params.absolute_path || params.file_path };
+    case 'read_many_files':
+      return { kind: 'read', target: Array.isArray(params.paths) ? params.paths.join(', ') : '' };
+    case 'search_file_content':
+    case 'glob':
+      return { kind: 'search', target: params.pattern };
+    case 'list_directory':
+      return { kind: 'search', target: params.path };
+    case 'google_web_search':
+      return { kind: 'web', target: params.query };
+    case 'web_fetch':
+      return { kind: 'fetch', target: params.url || params.prompt };
+    case 'save_memory':
+    case 'write_todos':
+      return null;
+    default:
+      return name ? { kind: 'tool', target: name } : null;
+  }
+}
+
+/**
+ * Gemini CLI çıktısı: stream-json (satır satır event), json (tek blob) veya düz metin
+ */
+class GeminiOutputParser {
+  constructor({ outputFormat = 'stream-json', onActivity = null } = {}) {
+    this.outputFormat = outputFormat;
+    this.onActivity = onActivity;
+    this.isStreamJson = outputFormat === 'stream-json';
+    this.rawStdout = '';
+    this.assistantText = '';
+    this.errorText = '';
+    this.sessionId = null;
+    this.model = null;
+    this.usage = null;
+    this.reader = createJsonLineReader((evt) => this.handleEvent(evt));
+  }
+
+  handleEvent(evt) {
+    if (!evt || typeof evt !== 'object') return;
+    if (evt.type === 'init' && evt.session_id) {
+      this.sessionId = String(evt.session_id);
+    }
+    if (evt.type === 'init' && evt.model) {
+      this.model = String(evt.model);
+    }
+    if (evt.type === 'message' && evt.role === 'assistant') {
+      const content = String(evt.content || '');
+      if (evt.delta) {
+        this.assistantText += content;
+      } else if (content) {
+        this.assistantText = content;
+      }
+    }
+    if (evt.type === 'tool_use' && this.onActivity) {
+      const activity = toGeminiActivity(evt.tool_name, evt.parameters || {});
+      if (activity) this.onActivity(activity);
+    }
+    if (evt.type === 'error') {
+      const msg = evt.message || evt.error || evt.detail || '';
+      if (msg) this.errorText = String(msg);
+    }
+    if (evt.type === 'result' && evt.stats) {
+      this.usage = this.extractUsage(evt.stats);
+    }
+    if (evt.type === 'result' && evt.status && evt.status !== 'success') {
+      const msg = evt.error || evt.message || evt.status;
+      if (msg) this.errorText = String(msg);
+    }
+  }
+
+  push(chunk) {
+    if (!this.isStreamJson) {
+      this.rawStdout += chunk;
+      return;
+    }
+    this.reader.push(chunk);
+  }
+
+  finish() {
+    if (this.isStreamJson) {
+      this.reader.flush();
+    } else if (this.rawStdout.trim()) {
+      const raw = this.rawStdout.trim();
+      if (this.outputFormat === 'json') {
+        try {
+          const payload = JSON.parse(raw);
+          if (payload?.error?.message) {
+            this.errorText = String(payload.error.message);
+          }
+          if (payload?.response) {
+            this.assistantText = String(payload.response);
+          }
+          if (payload?.session_id) {
+            this.sessionId = String(payload.session_id);
+          }
+          if (payload?.stats) {
+            this.usage = this.extractUsage(payload.stats);
+          }
+        } catch {
+          this.assistantText = raw;
+        }
+      } else {
+        this.assistantText = raw;
+      }
+    }
+
+    return {
+      text: this.assistantText.trim(),
+      sessionId: this.sessionId,
+      isError: Boolean(this.errorText),
+      error: this.errorText,
+      usage: this.usage,
+      model: this.model
+    };
+  }
+
+  /**
+   * stream-json result.stats düz sayılar; json çıktısında stats.models[model].tokens
+   */
+  extractUsage(stats) {
+    if (stats.models && typeof stats.models === 'object') {
+      let usage = null;
+      for (const [model, entry] of Object.entries(stats.models)) {
+        const tokens = entry?.tokens || {};
+        this.model = this.model || model;
+        usage = mergeUsage(
+          usage,
+          createUsage({ inputTokens: tokens.prompt, outputTokens: tokens.candidates, cachedTokens: tokens.cached })
+        );
+      }
+      return usage;
+    }
+    return createUsage({
+      inputTokens: stats.input_tokens,
+      outputTokens: stats.output_tokens,
+      cachedTokens: stats.cached_tokens ?? stats.cached
+    });
+  }
+}
+
+class GeminiAdapter extends OrchestratorAdapter {
+  constructor() {
+    super({
+      type: 'gemini',
+      name: 'Gemini',
+      description: 'Google Gemini - Multimodal AI',
+      aliases: ['google', 'bard'],
+      prefixes: ['gemini'],
+      envModel: 'GEMINI_MODEL',
+      envTimeout: 'GEMINI_TIMEOUT_MS',
+      defaultTimeout: 600000,
+      storeEnv: 'GEMINI_SESSION_STORE',
+      storeFile: 'gemini-sessions.json',
+      models: ['gemini-2.5-pro', 'gemini-2.5-flash']
+    });
+  }
+
+  getBin() {
+    return process.env.GEMINI_BIN || 'gemini';
+  }
+
+  // Google API hata durumları (google.rpc.Status); RESOURCE_EXHAUSTED günlük kota değilse geçicidir
+  getTransientErrorPatterns() {
+    return [/\bUNAVAILABLE\b|RESOURCE_EXHAUSTED|model is overloaded|DEADLINE_EXCEEDED/];
+  }
+
+  getProbeCommands() {
+    return [{ name: 'version', bin: this.getBin(), args: ['--version'] }];
+  }
+
+  getWorkdir() {
+    return process.env.GEMINI_WORKDIR || paths.appRoot;
+  }
+
+  getModel({ background = false } = {}) {
+    if (background) {
+      return process.env.GEMINI_BG_MODEL || process.env.GEMINI_MODEL || '';
+    }
+    return process.env.GEMINI_MODEL || '';
+  }
+
+  getOutputFormat({ background = false } = {}) {
+    if (background) {
+      return process.env.GEMINI_BG_OUTPUT_FORMAT || process.env.GEMINI_OUTPUT_FORMAT || 'stream-json';
+    }
+    return process.env.GEMINI_OUTPUT_FORMAT || 'stream-json';
+  }
+
+  getTimeoutMs({ background = false } = {}) {
+    if (background) {
+      return this.parseTimeout(
+        process.env.GEMINI_BG_TIMEOUT_MS || process.env.GEMINI_TIMEOUT_MS,
+        600000
+      );
+    }
+    return this.parseTimeout(process.env.GEMINI_TIMEOUT_MS, this.defaultTimeout);
+  }
+
+  getIncludeDirectories() {
+    const raw = process.env.GEMINI_INCLUDE_DIRS || process.env.GEMINI_INCLUDE_DIRECTORIES || '';
+    if (!raw) return [];
+    return raw
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Görsel, ses ve PDF'ler @dosya referansıyla verilir; CLI içeriği modele doğrudan ekler.
+   * GEMINI_FILE_REFS=0 ise eski davranış (sadece yol notu); virgüllü tür listesiyle
+   * (ör. `images,pdf`) sadece o türler referans olur.
+   */
+  getInputCapabilities() {
+    const raw = String(process.env.GEMINI_FILE_REFS || '1').toLowerCase().trim();
+    if (raw === '0' || raw === '1') {
+      const native = raw === '1';
+      return { images: native, audio: native, pdf: native };
+    }
+    const kinds = raw.split(',').map((value) => value.trim());
+    return { images: kinds.includes('images'), audio: kinds.includes('audio'), pdf: kinds.includes('pdf') };
+  }
+
+  /**
+   * Dosyanın girdi türü (getInputCapabilities anahtarı); kayıtlı medya adları uzantı taşır
+   */
+  getFileInputKind(file) {
+    const ext = path.extname(String(file || '')).slice(1).toLowerCase();
+    if (IMAGE_EXTENSIONS.has(ext)) return 'images';
+    if (AUDIO_EXTENSIONS.has(ext)) return 'audio';
+    if (ext === 'pdf') return 'pdf';
+    return null;
+  }
+
+  /**
+   * Türü doğrudan desteklenen ekler (@ referansı) ve geri kalanlar (yol notu)
+   */
+  splitFileReferences(files = []) {
+    const capabilities = this.getInputCapabilities();
+    const native = [];
+    const notes = [];
+    for (const file of (files || []).filter(Boolean)) {
+      const kind = this.getFileInputKind(file);
+      (kind && capabilities[kind] ? native : notes).push(file);
+    }
+    return { native, notes };
+  }
+
+  /**
+   * @dosya referansları (boşluklar kaçışlanır); desteklenmeyen türler yol notu olarak kalır
+   */
+  appendFileReferences(prompt, files = []) {
+    const { native, notes } = this.splitFileReferences(files);
+    let result = prompt;
+    if (native.length > 0) {
+      const refs = native.map((file) => `@${path.resolve(file).replace(/ /g, '\\ ')}`);
+      result = `${result}\n\nEk dosyalar (içerikleri ekte):\n${refs.join('\n')}`;
+    }
+    return this.appendImageNotes(result, notes);
+  }
+
+  /**
+   * @ referansları sadece çalışma alanındaki dosyaları okur: dosya dizinleri de dahil edilir
+   */
+  getIncludeDirectoriesFor(files = []) {
+    const dirs = this.getIncludeDirectories();
+    for (const file of this.splitFileReferences(files).native) {
+      const dir = path.dirname(path.resolve(file));
+      if (!dirs.includes(dir)) dirs.push(dir);
+    }
+    return dirs;
+  }
+
+  shouldUseYolo({ background = false } = {}) {
+    const raw = background
+      ? process.env.GEMINI_BG_YOLO || process.env.GEMINI_YOLO
+      : process.env.GEMINI_YOLO;
+    const yolo = String(raw || '1').toLowerCase().trim();
+    return yolo === '1' || yolo === 'true' || yolo === 'yes';
+  }
+
+  getApprovalMode({ background = false } = {}) {
+    const raw = background
+      ? process.env.GEMINI_BG_APPROVAL_MODE || process.env.GEMINI_APPROVAL_MODE
+      : process.env.GEMINI_APPROVAL_MODE;
+    const mode = String(raw || '').trim();
+    if (mode) return mode;
+    return this.shouldUseYolo({ background }) ? 'yolo' : 'auto_edit';
+  }
+
+  createSession(id, owner) {
+    return new GeminiProcess(id, owner, this);
+  }
+
+  /**
+   * full: GEMINI_*_APPROVAL_MODE / GEMINI_*_YOLO ayarları; workspace: düzenlemeler onaysız,
+   * kabukta sadece outbox script'leri; readonly: onay isteyen araçlar (yazma, kabuk) reddedilir.
+   * Değişken sayılı --allowed-tools prompt'u yutmasın diye liste bir bayrakla biter.
+   */
+  buildProfileArgs(profile, { background = false } = {}) {
+    const { name } = resolveExecutionProfile(profile);
+    if (name === 'workspace') {
+      return ['--allowed-tools', ...OUTBOX_TOOL_RULES, '--approval-mode', 'auto_edit'];
+    }
+    if (name === 'readonly') {
+      return ['--approval-mode', 'default'];
+    }
+
+    const approvalMode = this.getApprovalMode({ background });
+    if (approvalMode === 'yolo') return ['--yolo'];
+    return approvalMode ? ['--approval-mode', approvalMode] : [];
+  }
+
+  buildArgs({
+    prompt,
+    resumeId = null,
+    background = false,
+    model: modelOverride = null,
+    profile = null,
+    files = []
+  }) {
+    const model = modelOverride || this.getModel({ background });
+    const outputFormat = this.getOutputFormat({ background });
+    const args = [...this.buildProfileArgs(profile, { background })];
+
+    if (resumeId) {
+      args.push('--resume', resumeId);
+    }
+    if (model) {
+      args.push('--model', model);
+    }
+    if (outputFormat) {
+      args.push('--output-format', outputFormat);
+    }
+    for (const dir of this.getIncludeDirectoriesFor(files)) {
+      args.push('--include-directories', dir);
+    }
+
+    args.push(prompt);
+    return { args, model, outputFormat };
+  }
+
+  /**
+   * Gemini prompt'u argüman olarak alır; stdin kullanılmaz
+   */
+  buildChatInvocation({
+    prompt,
+    resumeId = null,
+    model: modelOverride = null,
+    workdir = null,
+    profile = null,
+    files = []
+  }) {
+    const { args, model, outputFormat } = this.buildArgs({ prompt, resumeId, model: modelOverride, profile, files });
+    return {
+      bin: this.getBin(),
+      args,
+      stdin: null,
+      cwd: workdir || this.getWorkdir(),
+      model: model || null,
+      timeoutMs: this.getTimeoutMs(),
+      parserOptions: { outputFormat }
+    };
+  }
+
+  buildTaskInvocation({
+    prompt,
+    images = [],
+    defaultInstructions = '',
+    model: modelOverride = null,
+    workdir = null,
+    profile = null
+  }) {
+    const instructions = process.env.GEMINI_BG_INSTRUCTIONS || defaultInstructions;
+    const fullPrompt = this.appendFileReferences(`${instructions}\n\nGörev: ${prompt}`, images);
+    const { args, model, outputFormat } = this.buildArgs({
+      prompt: fullPrompt,
+      background: true,
+      model: modelOverride,
+      profile,
+      files: images
+    });
+
+    return {
+      bin: this.getBin(),
+      args,
+      stdin: null,
+      cwd: workdir || this.getWorkdir(),
+      model: model || null,
+      timeoutMs: this.getTimeoutMs({ background: true }),
+      parserOptions: { outputFormat }
+    };
+  }
+
+  createOutputParser(options = {}) {
+    return new GeminiOutputParser(options);
+  }
+}
+
+export default GeminiAdapter;
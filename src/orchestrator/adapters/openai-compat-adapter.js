@@ -0,0 +1,418 @@
+import fs from 'fs/promises';
+import path from 'path';
+import OrchestratorAdapter from './base-adapter.js';
+import OpenAICompatProcess from '../../openai-compat/openai-compat-process.js';
+import { writeOutboxMessage } from '../../outbox/common.js';
+import { createUsage, mergeUsage } from '../../utils/usage.js';
+import { resolveExecutionProfile } from '../execution-profiles.js';
+
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * CLI'daki scripts/ai-outbox-*.js komutlarının tool karşılıkları.
+ * HTTP backend'i komut çalıştıramadığı için outbox'a bu araçlarla yazar.
+ */
+const TRANSIENT_STATUS_PATTERN = /^HTTP (408|425|429|5\d\d)\b/;
+
+const OUTBOX_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'ai_outbox_message',
+      description: 'Kullanıcıya WhatsApp üzerinden anlık mesaj gönderir.',
+      parameters: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['start', 'progress', 'final', 'error'] },
+          text: { type: 'string' }
+        },
+        required: ['type', 'text']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'ai_outbox_media',
+      description: 'Sunucudaki bir dosyayı WhatsApp üzerinden gönderir.',
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: 'Mutlak dosya yolu' },
+          caption: { type: 'string' }
+        },
+        required: ['filePath']
+      }
+    }
+  }
+];
+
+function isTruthy(value, fallback) {
+  const raw = String(value ?? '').toLowerCase().trim();
+  if (!raw) return fallback;
+  return raw === '1' || raw === 'true' || raw === 'yes';
+}
+
+/**
+ * OpenAI uyumlu HTTP backend'i (llama.cpp server, vLLM, Ollama ...)
+ *
+ * CLI backend'lerinden farkı:
+ * - Süreç spawn etmez; /v1/chat/completions'a istek atar
+ * - Konuşma geçmişi bridge tarafında store dosyasında tutulur
+ * - Outbox mesajları tool çağrılarıyla yazılır (aynı chatId/requestId sözleşmesi)
+ *
+ * OPENAI_COMPAT_BASE_URL tanımlı değilse kayıtlı gelmez;
+ * config/orchestrators.json'da { "type": "local" } ile açılabilir.
+ */
+class OpenAICompatAdapter extends OrchestratorAdapter {
+  constructor() {
+    super({
+      type: 'local',
+      name: 'Local LLM',
+      description: 'OpenAI uyumlu HTTP sunucusu (llama.cpp, vLLM, Ollama)',
+      aliases: ['openai-compat', 'llama', 'llamacpp', 'vllm', 'ollama'],
+      prefixes: ['local'],
+      envModel: 'OPENAI_COMPAT_MODEL',
+      envTimeout: 'OPENAI_COMPAT_TIMEOUT_MS',
+      defaultTimeout: 300000,
+      storeEnv: 'OPENAI_COMPAT_HISTORY_STORE',
+      storeFile: 'openai-compat-history.json'
+    });
+  }
+
+  isEnabledByDefault() {
+    return Boolean(process.env.OPENAI_COMPAT_BASE_URL);
+  }
+
+  // Geçmiş zaten OPENAI_COMPAT_HISTORY_* limitleriyle kırpılıyor
+  supportsCompaction() {
+    return false;
+  }
+
+  getBaseUrl() {
+    const raw = process.env.OPENAI_COMPAT_BASE_URL || 'http://127.0.0.1:8080/v1';
+    return raw.replace(/\/+$/, '');
+  }
+
+  getModel({ background = false } = {}) {
+    if (background) {
+      return process.env.OPENAI_COMPAT_BG_MODEL || process.env.OPENAI_COMPAT_MODEL || 'local';
+    }
+    return process.env.OPENAI_COMPAT_MODEL || 'local';
+  }
+
+  /**
+   * Sunucudaki modeller bilinmez; OPENAI_COMPAT_MODELS (virgüllü) veya config "models"
+   */
+  getModelChoices() {
+    const raw = String(process.env.OPENAI_COMPAT_MODELS || '').trim();
+    if (raw) {
+      return raw.split(',').map((value) => value.trim()).filter(Boolean);
+    }
+    return this.models.length ? this.models : [this.getModel()];
+  }
+
+  getTimeoutMs({ background = false } = {}) {
+    if (background) {
+      return this.parseTimeout(
+        process.env.OPENAI_COMPAT_BG_TIMEOUT_MS || process.env.OPENAI_COMPAT_TIMEOUT_MS,
+        600000
+      );
+    }
+    return this.parseTimeout(process.env.OPENAI_COMPAT_TIMEOUT_MS, this.defaultTimeout);
+  }
+
+  getHistoryLimit() {
+    return this.parseTimeout(process.env.OPENAI_COMPAT_HISTORY_MESSAGES, 40);
+  }
+
+  getHistoryMaxChars() {
+    return this.parseTimeout(process.env.OPENAI_COMPAT_HISTORY_MAX_CHARS, 60000);
+  }
+
+  getMaxToolRounds() {
+    return this.parseTimeout(process.env.OPENAI_COMPAT_MAX_TOOL_ROUNDS, 8);
+  }
+
+  toolsEnabled() {
+    return isTruthy(process.env.OPENAI_COMPAT_TOOLS, true);
+  }
+
+  visionEnabled() {
+    return isTruthy(process.env.OPENAI_COMPAT_VISION, true);
+  }
+
+  // Görseller data URL olarak gönderilir (OPENAI_COMPAT_VISION=0 ise kapalı)
+  getInputCapabilities() {
+    return { images: this.visionEnabled(), audio: false, pdf: false };
+  }
+
+  createSession(id, owner) {
+    return new OpenAICompatProcess(id, owner, this);
+  }
+
+  getTransientErrorPatterns() {
+    return [TRANSIENT_STATUS_PATTERN];
+  }
+
+  /**
+   * HTTP hatalarında karar durum koduna göre verilir: 408/425/429 ve 5xx geçici,
+   * diğer 4xx'ler (geçersiz istek, model yok...) beklemekle düzelmez
+   */
+  classifyRetry(detail = '') {
+    const text = String(detail || '');
+    if (/^HTTP 4\d\d\b/.test(text) && !TRANSIENT_STATUS_PATTERN.test(text)) {
+      return { retryable: false, retryAfterMs: null };
+    }
+    return super.classifyRetry(text);
+  }
+
+  /**
+   * CLI outbox talimatlarının bu backend'deki karşılığı
+   */
+  getOutboxNote() {
+    if (!this.toolsEnabled()) {
+      return [
+        'Bu ortamda komut çalıştıramazsın; node scripts/ai-outbox-*.js komutlarını KULLANMA.',
+        'Cevabını doğrudan metin olarak yaz, sistem kullanıcıya iletir.'
+      ].join('\n');
+    }
+    return [
+      'Bu ortamda komut çalıştıramazsın. node scripts/ai-outbox-message.js yerine',
+      'ai_outbox_message aracını, node scripts/ai-outbox-media.js yerine ai_outbox_media aracını çağır.',
+      'Araç kullanmazsan cevap metnin kullanıcıya iletilir.'
+    ].join('\n');
+  }
+
+  getSystemPrompt() {
+    const base =
+      process.env.OPENAI_COMPAT_SYSTEM_PROMPT ||
+      [
+        'Sen WhatsApp üzerinden erişilen bir asistansın. Türkçe ve samimi ol.',
+        '',
+        '## ARKA PLAN GÖREVLERİ',
+        'Kullanıcı "task oluştur", "arka planda yap", "görev oluştur" gibi bir şey derse işi kendin yapma. Sadece bg-task bloğu oluştur:',
+        '```bg-task',
+        '{"title": "Başlık", "steps": ["Adım 1", "Adım 2"], "prompt": "Detaylı talimat", "orchestrator": "codex|claude|gemini|local"}',
+        '```',
+        '[ARKA PLAN GÖREVLERİ] bloğu varsa bunları kullanıcıya aynen gösterme, özetle.'
+      ].join('\n');
+    return `${base}\n\n${this.getOutboxNote()}`;
+  }
+
+  /**
+   * Kullanıcı mesajı içeriği: görseller data URL olarak eklenir
+   */
+  async buildUserContent(prompt, images = []) {
+    const files = (images || []).filter(Boolean);
+    if (!files.length) return prompt;
+
+    if (!this.visionEnabled()) {
+      return this.appendImageNotes(prompt, files);
+    }
+
+    const parts = [{ type: 'text', text: prompt }];
+    const skipped = [];
+    for (const file of files) {
+      const mime = IMAGE_MIME_TYPES[path.extname(file).toLowerCase()];
+      if (!mime) {
+        skipped.push(file);
+        continue;
+      }
+      try {
+        const data = await fs.readFile(file);
+        parts.push({
+          type: 'image_url',
+          image_url: { url: `data:${mime};base64,${data.toString('base64')}` }
+        });
+      } catch {
+        skipped.push(file);
+      }
+    }
+
+    if (skipped.length) {
+      parts[0].text = this.appendImageNotes(prompt, skipped);
+    }
+    return parts.length > 1 ? parts : parts[0].text;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_COMPAT_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_COMPAT_API_KEY}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Sağlık kontrolü: GET /models (sunucu ayakta ve anahtar geçerli mi)
+   */
+  async probe({ timeoutMs = 15000 } = {}) {
+    try {
+      const response = await fetch(`${this.getBaseUrl()}/models`, {
+        headers: this.getHeaders(),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) {
+        const raw = await response.text().catch(() => '');
+        return { available: false, version: null, error: `HTTP ${response.status}: ${raw.trim().substring(0, 200)}` };
+      }
+      const data = await response.json().catch(() => null);
+      const models = Array.isArray(data?.data) ? data.data.map((m) => m?.id).filter(Boolean) : [];
+      return { available: true, version: models.length ? models.join(', ').substring(0, 100) : null, error: null };
+    } catch (err) {
+      const error = err?.name === 'TimeoutError' ? `zaman aşımı (${timeoutMs}ms)` : err?.message || String(err);
+      return { available: false, version: null, error };
+    }
+  }
+
+  async postChatCompletion(body, signal) {
+    const headers = this.getHeaders();
+
+    const response = await fetch(`${this.getBaseUrl()}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+
+    const raw = await response.text();
+    if (!response.ok) {
+      // Retry-After başlığı mesaja eklenir; retry-policy bekleme süresini oradan okur
+      const retryAfter = response.headers.get('retry-after');
+      const hint = retryAfter ? ` (retry-after: ${retryAfter})` : '';
+      throw new Error(`HTTP ${response.status}${hint}: ${raw.trim().substring(0, 500)}`);
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch {
+      throw new Error(`Geçersiz JSON yanıtı: ${raw.trim().substring(0, 200)}`);
+    }
+  }
+
+  async executeToolCall(call, outbox) {
+    const name = call?.function?.name;
+    let args = {};
+    try {
+      args = JSON.parse(call?.function?.arguments || '{}');
+    } catch {
+      return JSON.stringify({ ok: false, error: 'Argümanlar JSON değil' });
+    }
+
+    const base = {
+      chatId: outbox.chatId,
+      requestId: outbox.requestId,
+      orchestrator: this.type
+    };
+
+    try {
+      if (name === 'ai_outbox_message') {
+        await writeOutboxMessage(
+          { ...base, type: args.type, text: args.text },
+          { outboxPaths: outbox.outboxPaths }
+        );
+      } else if (name === 'ai_outbox_media') {
+        await writeOutboxMessage(
+          { ...base, type: 'media', text: args.caption || '', filePath: args.filePath },
+          { outboxPaths: outbox.outboxPaths }
+        );
+      } else {
+        return JSON.stringify({ ok: false, error: `Bilinmeyen araç: ${name}` });
+      }
+    } catch (error) {
+      return JSON.stringify({ ok: false, error: error.message });
+    }
+    return JSON.stringify({ ok: true });
+  }
+
+  /**
+   * Tool çağrıları bitene kadar completion döngüsü
+   * Return: { text, model, toolCalls, usage } (usage tüm turların toplamı)
+   */
+  async complete({ messages, model, outbox = null, signal }) {
+    const conversation = [...messages];
+    const useTools = Boolean(outbox) && this.toolsEnabled();
+    const maxTokens = parseInt(process.env.OPENAI_COMPAT_MAX_TOKENS || '', 10);
+    const temperature = parseFloat(process.env.OPENAI_COMPAT_TEMPERATURE || '');
+    let toolCallCount = 0;
+    let usage = null;
+
+    for (let round = 0; round <= this.getMaxToolRounds(); round++) {
+      const body = { model, messages: conversation };
+      if (useTools) body.tools = OUTBOX_TOOLS;
+      if (Number.isFinite(maxTokens) && maxTokens > 0) body.max_tokens = maxTokens;
+      if (Number.isFinite(temperature)) body.temperature = temperature;
+
+      const data = await this.postChatCompletion(body, signal);
+      if (data?.usage) {
+        usage = mergeUsage(
+          usage,
+          createUsage({
+            inputTokens: data.usage.prompt_tokens,
+            outputTokens: data.usage.completion_tokens,
+            cachedTokens: data.usage.prompt_tokens_details?.cached_tokens
+          })
+        );
+      }
+      const message = data?.choices?.[0]?.message || {};
+      const toolCalls = useTools && Array.isArray(message.tool_calls) ? message.tool_calls : [];
+
+      if (!toolCalls.length) {
+        return {
+          text: String(message.content || '').trim(),
+          model: data?.model || model,
+          toolCalls: toolCallCount,
+          usage
+        };
+      }
+
+      conversation.push({
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: toolCalls
+      });
+      for (const call of toolCalls) {
+        toolCallCount++;
+        conversation.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: await this.executeToolCall(call, outbox)
+        });
+      }
+    }
+
+    throw new Error('Araç çağrısı limiti aşıldı');
+  }
+
+  /**
+   * Arka plan görevi: spawn yerine doğrudan HTTP isteği
+   * Return: { status, result } | { status, error }
+   */
+  async runTask({ task, prompt, images = [], defaultInstructions = '', signal, outboxPaths, model = null, profile = null }) {
+    const instructions = process.env.OPENAI_COMPAT_BG_INSTRUCTIONS || defaultInstructions;
+    const content = await this.buildUserContent(`Görev: ${prompt}`, images);
+
+    const { text, usage } = await this.complete({
+      messages: [
+        { role: 'system', content: `${instructions}\n\n${this.getOutboxNote()}` },
+        { role: 'user', content }
+      ],
+      model: model || this.getModel({ background: true }),
+      outbox: resolveExecutionProfile(profile).outbox
+        ? { chatId: task.owner, requestId: task.requestId, outboxPaths }
+        : null,
+      signal
+    });
+
+    return { status: 'completed', result: text, usage };
+  }
+}
+
+export default OpenAICompatAdapter;
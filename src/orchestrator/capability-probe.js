@@ -0,0 +1,113 @@
+import adapterRegistry from './adapter-registry.js';
+import logger from '../logger.js';
+
+/**
+ * Orkestratör Yetenek Kontrolü
+ *
+ * Başlangıçta ve PROBE_INTERVAL_MS aralıkla her adaptörün probe()'unu çalıştırır
+ * (CLI'larda --version, codex'te ayrıca login durumu, local'de GET /models).
+ * Kontrolü geçemeyen orkestratörler OrchestratorManager.getAvailableOrchestrators'tan düşer:
+ * !!switch listesinde görünmez, seçilemez, failover ve !!compare'de atlanır.
+ * Henüz kontrol edilmemiş orkestratör kullanılabilir sayılır.
+ */
+class CapabilityProbe {
+  constructor() {
+    this.results = new Map(); // type -> { type, available, version, error, latencyMs, checkedAt }
+    this.timer = null;
+    this.running = null;
+  }
+
+  getIntervalMs() {
+    const value = parseInt(process.env.PROBE_INTERVAL_MS || '600000', 10);
+    return Number.isFinite(value) && value >= 0 ? value : 600000;
+  }
+
+  getTimeoutMs() {
+    const value = parseInt(process.env.PROBE_TIMEOUT_MS || '15000', 10);
+    return Number.isFinite(value) && value > 0 ? value : 15000;
+  }
+
+  async probeOne(adapter) {
+    const timeoutMs = this.getTimeoutMs();
+    const startedAt = Date.now();
+    let outcome;
+    try {
+      outcome = await adapter.probe({ timeoutMs });
+    } catch (err) {
+      outcome = { available: false, version: null, error: err?.message || String(err) };
+    }
+
+    const result = {
+      type: adapter.type,
+      available: Boolean(outcome?.available),
+      version: outcome?.version || null,
+      error: outcome?.available ? null : outcome?.error || 'bilinmeyen hata',
+      latencyMs: Date.now() - startedAt,
+      checkedAt: new Date().toISOString()
+    };
+
+    // Sadece durum değişiminde logla (periyodik kontrol log'u doldurmasın)
+    const previous = this.results.get(adapter.type);
+    if (!previous || previous.available !== result.available) {
+      if (result.available) {
+        logger.info(`Orkestratör kullanılabilir: ${adapter.type}${result.version ? ` (${result.version})` : ''}`);
+      } else {
+        logger.warn(`Orkestratör kullanılamıyor: ${adapter.type} - ${result.error}`);
+      }
+    }
+
+    this.results.set(adapter.type, result);
+    return result;
+  }
+
+  /**
+   * Kayıtlı tüm adaptörleri kontrol et (aynı anda tek tur çalışır)
+   */
+  async probeAll() {
+    if (this.running) return this.running;
+
+    this.running = (async () => {
+      await adapterRegistry.ensureInitialized();
+      return Promise.all(adapterRegistry.getAll().map((adapter) => this.probeOne(adapter)));
+    })().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  /**
+   * İlk kontrolü çalıştır ve periyodik kontrolü kur (PROBE_INTERVAL_MS=0: sadece başlangıçta)
+   */
+  start() {
+    const intervalMs = this.getIntervalMs();
+    if (!this.timer && intervalMs > 0) {
+      this.timer = setInterval(() => {
+        this.probeAll().catch((err) => logger.warn(`Orkestratör kontrolü başarısız: ${err.message}`));
+      }, intervalMs);
+      this.timer.unref?.();
+    }
+    return this.probeAll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isAvailable(type) {
+    const result = this.results.get(type);
+    return result ? result.available : true;
+  }
+
+  getResult(type) {
+    return this.results.get(type) || null;
+  }
+}
+
+// Singleton instance
+const capabilityProbe = new CapabilityProbe();
+
+export default capabilityProbe;
+export { CapabilityProbe };
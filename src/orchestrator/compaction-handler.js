@@ -0,0 +1,254 @@
+import fs from 'fs/promises';
+import path from 'path';
+import adapterRegistry from './adapter-registry.js';
+import orchestratorManager from './orchestrator-manager.js';
+import logger from '../logger.js';
+import { paths } from '../paths.js';
+import { maskPhoneLike } from '../utils/redact.js';
+import { recordExecutionUsage } from '../utils/usage.js';
+import { createOutboxRequestId, getOutboxPaths } from '../outbox/common.js';
+
+const MAX_RECENT_LINE_CHARS = 300;
+
+/**
+ * Otomatik Sıkıştırma (compaction)
+ *
+ * Claude --resume, Codex thread ve Gemini session'ları her turda büyür ve sonunda
+ * CLI bağlam sınırı hatası verir. Her başarılı turda tur sayısı ve yaklaşık boyut
+ * (prompt + cevap karakteri) aktif terminalin (terminal yoksa kullanıcının) registry
+ * kaydında tutulur. Eşik aşıldıysa sıradaki mesajdan önce:
+ *
+ *   1. mevcut orkestratörden konuşmanın özeti istenir (geçici outbox'la: özet turunun
+ *      ilerleme/outbox mesajları kullanıcıya gitmez),
+ *   2. store'daki session/thread silinir, oturum kapatılır,
+ *   3. yeni session'ın ilk prompt'una özet + messages tablosundaki son mesajlar eklenir,
+ *   4. sıkıştırma terminal registry'sine yazılır (!!tlist'te 🗜️).
+ *
+ * COMPACTION_MAX_TURNS / COMPACTION_MAX_CHARS ile ayarlanır (ikisi de 0 ise kapalı).
+ */
+class CompactionHandler {
+  constructor(sessionManager, terminalHandler, db) {
+    this.sessionManager = sessionManager;
+    this.terminalHandler = terminalHandler;
+    this.db = db;
+  }
+
+  readLimit(name, fallback) {
+    const value = parseInt(process.env[name] || '', 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  }
+
+  getConfig() {
+    return {
+      maxTurns: this.readLimit('COMPACTION_MAX_TURNS', 40),
+      maxChars: this.readLimit('COMPACTION_MAX_CHARS', 300000),
+      recentMessages: this.readLimit('COMPACTION_RECENT_MESSAGES', 6),
+      summaryMaxChars: this.readLimit('COMPACTION_SUMMARY_MAX_CHARS', 4000)
+    };
+  }
+
+  isEnabled(orchestratorType) {
+    const { maxTurns, maxChars } = this.getConfig();
+    if (maxTurns === 0 && maxChars === 0) return false;
+    return adapterRegistry.get(orchestratorType)?.supportsCompaction() === true;
+  }
+
+  /**
+   * Sayaçlar başka orkestratöre aitse (switch sonrası) sıfırdan başlar
+   */
+  getContext(owner, orchestratorType) {
+    if (owner.context?.orchestrator !== orchestratorType) {
+      owner.context = { orchestrator: orchestratorType, turns: 0, chars: 0 };
+    }
+    return owner.context;
+  }
+
+  /**
+   * Başarılı bir turdan sonra sayaçları güncelle
+   */
+  async track(chatId, { orchestrator, chars = 0 }) {
+    if (!this.isEnabled(orchestrator)) return;
+    const { owner } = await this.terminalHandler.getContextOwner(chatId);
+    const context = this.getContext(owner, orchestrator);
+    context.turns += 1;
+    context.chars += chars;
+    this.terminalHandler.debouncedSave();
+  }
+
+  async needsCompaction(chatId) {
+    const orchestrator = await orchestratorManager.getOrchestrator(chatId);
+    if (!this.isEnabled(orchestrator)) return false;
+
+    const { owner } = await this.terminalHandler.getContextOwner(chatId);
+    if (owner.context?.orchestrator !== orchestrator) return false;
+
+    const { maxTurns, maxChars } = this.getConfig();
+    const { turns = 0, chars = 0 } = owner.context;
+    return (maxTurns > 0 && turns >= maxTurns) || (maxChars > 0 && chars >= maxChars);
+  }
+
+  getSummaryPrompt() {
+    const { summaryMaxChars } = this.getConfig();
+    return [
+      'Bu konuşma bağlam sınırına yaklaştı ve yeni bir oturuma taşınacak.',
+      'Şimdiye kadarki konuşmanın özetini çıkar: kullanıcının hedefleri, alınan kararlar, yapılan işler',
+      '(dosya yolları, komutlar), açık kalan işler ve kullanıcının tercihleri.',
+      `En fazla ${summaryMaxChars} karakter, madde işaretli düz metin yaz.`,
+      'Outbox\'a mesaj gönderme, araç çalıştırma; özeti sadece cevap olarak dön.'
+    ].join('\n');
+  }
+
+  /**
+   * messages tablosundaki son mesajlar (eskiden yeniye). İşlenmekte olan mesaj zaten
+   * loglandığı için en yeni satır o mesajsa atlanır.
+   */
+  getRecentLines(chatId, currentText = '') {
+    const { recentMessages } = this.getConfig();
+    if (recentMessages === 0) return [];
+
+    let rows = [];
+    try {
+      rows = this.db?.getMessages?.(chatId, recentMessages * 3 + 1) || [];
+    } catch {
+      rows = [];
+    }
+
+    const current = String(currentText || '').trim();
+    if (rows[0]?.direction === 'incoming' && String(rows[0].message || '').trim() === current) {
+      rows = rows.slice(1);
+    }
+
+    const lines = [];
+    for (const row of rows) {
+      let text = String(row?.message || '').replace(/\s+/g, ' ').trim();
+      if (!text || text.startsWith('!!')) continue;
+      if (text.length > MAX_RECENT_LINE_CHARS) {
+        text = `${text.slice(0, MAX_RECENT_LINE_CHARS)}...`;
+      }
+      lines.push(`${row.direction === 'incoming' ? 'Kullanıcı' : 'Asistan'}: ${text}`);
+      if (lines.length >= recentMessages) break;
+    }
+    return lines.reverse();
+  }
+
+  /**
+   * Mevcut oturumdan özet iste; başarısızsa null (sıkıştırma sonraki tura ertelenir).
+   * Tur süresince oturumun outbox'ı geçici bir dizine yönlendirilir (bkz. !!compare).
+   */
+  async requestSummary(chatId, session, profile = null) {
+    const { summaryMaxChars } = this.getConfig();
+    const modelSettings = await orchestratorManager.getModelSettings(
+      chatId,
+      session.orchestratorType,
+      session._terminalKey || null
+    );
+
+    const requestId = createOutboxRequestId('compact');
+    const liveOutboxPaths = session.outboxPaths;
+    const outboxPaths = getOutboxPaths(path.join(paths.dataDir, 'compaction-outbox', requestId));
+    session.outboxPaths = outboxPaths;
+
+    try {
+      const response = await session.execute(this.getSummaryPrompt(), {
+        requestId,
+        model: modelSettings.model,
+        effort: modelSettings.effort,
+        workdir: await this.terminalHandler.getWorkdir(chatId),
+        profile
+      });
+      const meta = session.lastExecutionMeta || null;
+      recordExecutionUsage(this.db, {
+        chatId,
+        orchestrator: meta?.orchestrator,
+        model: meta?.model,
+        usage: meta?.usage,
+        requestId: meta?.requestId
+      });
+
+      const summary = String(response || '').trim();
+      if (meta?.failure || meta?.cancelled || !summary) {
+        logger.warn(`Sıkıştırma özeti alınamadı (${maskPhoneLike(chatId)}): ${meta?.failure?.reason || 'boş yanıt'}`);
+        return null;
+      }
+      return summary.length > summaryMaxChars ? `${summary.slice(0, summaryMaxChars)}...` : summary;
+    } catch (err) {
+      logger.warn(`Sıkıştırma özeti alınamadı (${maskPhoneLike(chatId)}): ${err.message}`);
+      return null;
+    } finally {
+      session.outboxPaths = liveOutboxPaths;
+      await fs.rm(outboxPaths.baseDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  buildSeed(summary, recentLines) {
+    const parts = [
+      'Önceki konuşma bağlam sınırına ulaştığı için özetlendi ve yeni bir oturum başlatıldı.',
+      'Aşağıdakileri konuşmanın devamıymış gibi bil; kullanıcıya sıkıştırmadan bahsetme.'
+    ];
+    parts.push('', `Özet:\n${summary}`);
+    if (recentLines.length > 0) {
+      parts.push('', `Son mesajlar (${recentLines.length}):`, ...recentLines);
+    }
+    return parts.join('\n');
+  }
+
+  /**
+   * Eşik aşıldıysa özetle, session/thread'i sıfırla ve yeni session'ın tohumunu hazırla.
+   * profile: özet turu, sıkıştırmayı tetikleyen işin profiliyle çalışır.
+   * Özet alınamazsa (kota, geçici hata, zaman aşımı, !!stop) oturum ve sayaçlar olduğu gibi kalır;
+   * sonraki turda yeniden denenir.
+   * Return: true = sıkıştırıldı (oturum kapatıldı, yeni oturum oluşturulmalı)
+   */
+  async compactIfNeeded(chatId, currentText = '', profile = null) {
+    if (!(await this.needsCompaction(chatId))) return false;
+
+    const { owner, terminalKey } = await this.terminalHandler.getContextOwner(chatId);
+    const { turns, chars, orchestrator } = owner.context;
+    logger.info(
+      `Oturum sıkıştırılıyor: ${maskPhoneLike(chatId)} (${orchestrator}, ${terminalKey || 'varsayılan'}, ${turns} tur, ~${chars} karakter)`
+    );
+
+    let session = this.sessionManager.getSession(chatId);
+    if (!session) {
+      session = await this.sessionManager.createSession(chatId);
+      session._terminalKey = terminalKey;
+    }
+
+    const summary = await this.requestSummary(chatId, session, profile);
+    if (!summary) {
+      logger.warn(`Sıkıştırma ertelendi, oturum korunuyor: ${maskPhoneLike(chatId)}`);
+      return false;
+    }
+    const recentLines = this.getRecentLines(chatId, currentText);
+
+    await this.sessionManager.endSession(chatId);
+    await this.sessionManager.resetStoredState(chatId, orchestrator);
+    if (terminalKey) {
+      owner.stateData = null;
+    }
+
+    owner.context = { orchestrator, turns: 0, chars: 0 };
+    owner.compactionSeed = this.buildSeed(summary, recentLines);
+    owner.compactions = (owner.compactions || 0) + 1;
+    owner.lastCompactedAt = new Date().toISOString();
+    await this.terminalHandler.saveRegistry();
+
+    logger.info(`Oturum sıkıştırıldı: ${maskPhoneLike(chatId)} (özet ${summary.length} karakter, ${recentLines.length} son mesaj)`);
+    return true;
+  }
+
+  /**
+   * Sıkıştırma sonrası yeni session'ın ilk prompt'una girecek blok (bir kez döner)
+   */
+  async consumeSeed(chatId) {
+    const { owner } = await this.terminalHandler.getContextOwner(chatId);
+    const seed = owner.compactionSeed || '';
+    if (seed) {
+      delete owner.compactionSeed;
+      await this.terminalHandler.saveRegistry();
+    }
+    return seed;
+  }
+}
+
+export default CompactionHandler;
@@ -0,0 +1,305 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import adapterRegistry from './adapter-registry.js';
+import orchestratorManager from './orchestrator-manager.js';
+import logger from '../logger.js';
+import { paths } from '../paths.js';
+import { maskPhoneLike } from '../utils/redact.js';
+import { recordExecutionUsage } from '../utils/usage.js';
+import { recordRetryMetrics } from './retry-policy.js';
+import { FAILURE_LABELS } from './failover-handler.js';
+import { getOutboxPaths } from '../outbox/common.js';
+import { getPersonaContent } from '../utils/persona.js';
+
+const COMPARE_COMMANDS = ['!!compare', '!!karsilastir', '!!karşılaştır'];
+
+// Bridge'in kendi yazdığı bildirimler (bkz. progress-reporter, retry-policy, process-pool)
+const SYSTEM_NOTICE_SOURCES = ['stream', 'retry', 'process-pool'];
+
+/**
+ * Karşılaştırma İşleyicisi
+ *
+ * !!compare <prompt>: aynı prompt'u kayıtlı tüm orkestratörlerde paralel çalıştırır,
+ * cevapları süreleriyle tek mesajda (uzunsa markdown belge olarak) döner.
+ * Denemeler kullanıcıdan bağımsız geçici oturumlarla yapılır: kullanıcının kayıtlı
+ * thread'leri ve outbox'ı etkilenmez. Paralellik SessionManager'daki boş kapasiteyle sınırlıdır.
+ */
+class CompareHandler {
+  constructor(sessionManager, db, options = {}) {
+    this.sessionManager = sessionManager;
+    this.db = db;
+
+    // Prompt'a eklenecek not bloğunu biçimlendiren callback (handlers.js'den gelecek)
+    this.formatSystemNotes = options.formatSystemNotes || ((notes) => `\n\n${notes.join('\n')}\n`);
+
+    // Uzun sonuç belgesini kullanıcıya gönderen callback (handlers.js'den gelecek)
+    this.sendDocument = options.sendDocument || null;
+
+    // chatId -> çalışan geçici oturumlar (!!stop için)
+    this.activeSessions = new Map();
+  }
+
+  isCompareCommand(text) {
+    const lower = String(text || '').toLowerCase().trim();
+    return COMPARE_COMMANDS.some((cmd) => lower === cmd || lower.startsWith(`${cmd} `) || lower.startsWith(`${cmd}\n`));
+  }
+
+  parsePrompt(text) {
+    const trimmed = String(text || '').trim();
+    const cmd = COMPARE_COMMANDS.find((candidate) => trimmed.toLowerCase().startsWith(candidate));
+    return cmd ? trimmed.slice(cmd.length).trim() : trimmed;
+  }
+
+  /**
+   * COMPARE_ORCHESTRATORS (virgüllü) verilmişse onlar, yoksa kullanılabilir tüm orkestratörler
+   * (yetenek kontrolünü geçemeyenler iki durumda da atlanır)
+   */
+  getTargets() {
+    const available = orchestratorManager.getAvailableOrchestrators();
+    const raw = String(process.env.COMPARE_ORCHESTRATORS || '').trim();
+    if (!raw) return available;
+
+    const targets = [];
+    for (const part of raw.split(',')) {
+      const type = adapterRegistry.normalizeType(part);
+      if (type && available.includes(type) && !targets.includes(type)) {
+        targets.push(type);
+      }
+    }
+    return targets;
+  }
+
+  getMaxInlineChars() {
+    const value = parseInt(process.env.COMPARE_MAX_INLINE_CHARS || '3500', 10);
+    return Number.isFinite(value) && value > 0 ? value : 3500;
+  }
+
+  /**
+   * Çalışan karşılaştırmanın tüm oturumlarını iptal et
+   */
+  cancel(chatId) {
+    const sessions = this.activeSessions.get(chatId);
+    if (!sessions?.size) return false;
+    let cancelled = false;
+    for (const session of sessions) {
+      cancelled = Boolean(session.cancel?.()) || cancelled;
+    }
+    return cancelled;
+  }
+
+  trackSession(chatId, session) {
+    if (!this.activeSessions.has(chatId)) {
+      this.activeSessions.set(chatId, new Set());
+    }
+    this.activeSessions.get(chatId).add(session);
+  }
+
+  untrackSession(chatId, session) {
+    const sessions = this.activeSessions.get(chatId);
+    if (!sessions) return;
+    sessions.delete(session);
+    if (sessions.size === 0) this.activeSessions.delete(chatId);
+  }
+
+  /**
+   * Geçici oturumun outbox'a yazdığı mesajlar (canlı ilerleme, tekrar ve sıra bildirimleri hariç)
+   */
+  async readCapturedOutbox(outboxPaths) {
+    let files;
+    try {
+      files = (await fs.readdir(outboxPaths.pendingDir)).filter((f) => f.endsWith('.json')).sort();
+    } catch {
+      return [];
+    }
+
+    const texts = [];
+    for (const file of files) {
+      try {
+        const envelope = JSON.parse(await fs.readFile(path.join(outboxPaths.pendingDir, file), 'utf8'));
+        if (SYSTEM_NOTICE_SOURCES.includes(envelope?.meta?.source)) continue;
+        const text = String(envelope?.text || '').trim();
+        if (text) texts.push(text);
+      } catch {
+        // bozuk dosya: atla
+      }
+    }
+    return texts;
+  }
+
+  /**
+   * Tek orkestratörde prompt'u çalıştır
+   * Return: { orchestrator, ok, text, latencyMs, failure, cancelled }
+   */
+  async runOne({ chatId, type, prompt, runId, profile = null }) {
+    const adapter = adapterRegistry.get(type);
+    const owner = `compare-${runId}-${type}`;
+    const outboxPaths = getOutboxPaths(path.join(paths.dataDir, 'compare-outbox', `${runId}-${type}`));
+    const session = adapter.createSession(`compare-${crypto.randomBytes(3).toString('hex')}`, owner);
+    session.orchestratorType = adapter.type;
+    session.outboxPaths = outboxPaths;
+    // Süreç havuzunda denemeler kullanıcının kendi süreçleri sayılır (adalet)
+    session.poolOwner = chatId;
+
+    const note =
+      'Bu mesaj !!compare ile birden fazla orkestratöre aynı anda soruldu; cevabın diğerleriyle yan yana gösterilecek. ' +
+      'Cevabını doğrudan ve tek mesajda ver, arka plan görevi oluşturma.';
+
+    const startedAt = Date.now();
+    let response = '';
+    let thrown = null;
+    this.trackSession(chatId, session);
+    try {
+      response = await session.execute(`${prompt}${this.formatSystemNotes([note])}`, {
+        persona: getPersonaContent(this.db, chatId),
+        profile
+      });
+    } catch (err) {
+      thrown = err;
+    } finally {
+      this.untrackSession(chatId, session);
+      session.kill();
+    }
+    const latencyMs = Date.now() - startedAt;
+
+    const executionMeta = session.lastExecutionMeta || null;
+    recordExecutionUsage(this.db, {
+      chatId,
+      orchestrator: type,
+      model: executionMeta?.model,
+      usage: executionMeta?.usage,
+      requestId: executionMeta?.requestId
+    });
+    recordRetryMetrics(this.db, executionMeta);
+
+    const captured = await this.readCapturedOutbox(outboxPaths);
+    await fs.rm(outboxPaths.baseDir, { recursive: true, force: true }).catch(() => {});
+    // Geçici oturumun kaydettiği thread/session id'yi store'da bırakma
+    await adapter.clearStoredState(owner).catch(() => {});
+
+    if (thrown) {
+      const failure = adapter.classifyFailure('error', thrown?.message || String(thrown));
+      return { orchestrator: type, ok: false, text: thrown?.message || String(thrown), latencyMs, failure };
+    }
+    if (executionMeta?.cancelled) {
+      return { orchestrator: type, ok: false, text: '', latencyMs, failure: null, cancelled: true };
+    }
+    // Cevabı outbox'tan verdiyse boş response başarısızlık sayılmaz
+    if (executionMeta?.failure && !(executionMeta.failure.reason === 'empty' && captured.length)) {
+      return { orchestrator: type, ok: false, text: String(response || ''), latencyMs, failure: executionMeta.failure };
+    }
+
+    const text = captured.length ? captured.join('\n\n') : String(response || '').trim();
+    return { orchestrator: type, ok: Boolean(text), text, latencyMs, failure: text ? null : { reason: 'empty' } };
+  }
+
+  /**
+   * Hedefleri en fazla `concurrency` paralel çalıştır; sonuç sırası hedef sırasıdır
+   */
+  async runAll({ chatId, targets, prompt, concurrency, profile = null }) {
+    const runId = crypto.randomBytes(4).toString('hex');
+    const results = new Array(targets.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < targets.length) {
+        const index = next++;
+        results[index] = await this.runOne({ chatId, type: targets[index], prompt, runId, profile });
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, () => worker()));
+    return results;
+  }
+
+  formatLatency(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)}sn` : `${ms}ms`;
+  }
+
+  formatStatus(result) {
+    const latency = this.formatLatency(result.latencyMs);
+    if (result.cancelled) return `⏹️ ${latency}`;
+    if (result.ok) return `✅ ${latency}`;
+    const reason = result.failure?.reason;
+    return `❌ ${latency} (${FAILURE_LABELS[reason] || reason || 'hata'})`;
+  }
+
+  formatMessage(prompt, results) {
+    const lines = [`🔀 *Karşılaştırma* (${results.length} orkestratör)`, `_${prompt.substring(0, 200)}_`];
+    for (const result of results) {
+      lines.push('', `*${result.orchestrator}* — ${this.formatStatus(result)}`);
+      if (result.text && !result.cancelled) lines.push(result.text.trim());
+    }
+    return lines.join('\n');
+  }
+
+  formatDocument(prompt, results) {
+    const lines = ['# Karşılaştırma', '', `> ${prompt.replace(/\n/g, '\n> ')}`, ''];
+    lines.push('| Orkestratör | Durum |', '| --- | --- |');
+    for (const result of results) {
+      lines.push(`| ${result.orchestrator} | ${this.formatStatus(result)} |`);
+    }
+    for (const result of results) {
+      lines.push('', `## ${result.orchestrator}`, '', result.text?.trim() || '_(yanıt yok)_');
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  async writeDocument(prompt, results) {
+    const dir = path.join(paths.dataDir, 'compare');
+    await fs.mkdir(dir, { recursive: true });
+    const filePath = path.join(dir, `karsilastirma-${Date.now()}-${crypto.randomBytes(2).toString('hex')}.md`);
+    await fs.writeFile(filePath, this.formatDocument(prompt, results), 'utf8');
+    return filePath;
+  }
+
+  /**
+   * profile: isteyenin çalıştırma profili; denemeler de aynı yetkiyle çalışır
+   * Return: kullanıcıya gidecek metin; sonuç belge olarak gönderildiyse null
+   */
+  async handle(chatId, text, { profile = null } = {}) {
+    const prompt = this.parsePrompt(text);
+    if (!prompt) {
+      return 'Kullanım: `!!compare <soru>` — soruyu tüm orkestratörlere sorar ve cevapları yan yana gösterir.';
+    }
+
+    const targets = this.getTargets();
+    if (targets.length === 0) {
+      return 'Karşılaştırılacak orkestratör yok.';
+    }
+
+    const concurrency = this.sessionManager.acquireEphemeralSlots(targets.length);
+    if (concurrency === 0) {
+      return 'Şu anda tüm oturum yerleri dolu; karşılaştırma biraz sonra tekrar denenebilir.';
+    }
+
+    logger.info(
+      `Karşılaştırma [${maskPhoneLike(chatId)}]: ${targets.join(', ')} (paralel ${concurrency})`
+    );
+
+    let results;
+    try {
+      results = await this.runAll({ chatId, targets, prompt, concurrency, profile });
+    } finally {
+      this.sessionManager.releaseEphemeralSlots(concurrency);
+    }
+
+    try {
+      this.db?.recordMetric?.('compare_request', 1);
+    } catch {
+      // metrik yazılamazsa karşılaştırmayı bozma
+    }
+
+    const message = this.formatMessage(prompt, results);
+    if (message.length <= this.getMaxInlineChars() || !this.sendDocument) {
+      return message;
+    }
+
+    const filePath = await this.writeDocument(prompt, results);
+    const summary = results.map((result) => `${result.orchestrator}: ${this.formatStatus(result)}`).join('\n');
+    await this.sendDocument(chatId, filePath, `🔀 Karşılaştırma sonuçları\n${summary}`);
+    return null;
+  }
+}
+
+export default CompareHandler;
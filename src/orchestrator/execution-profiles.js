@@ -0,0 +1,82 @@
+/**
+ * Çalıştırma Profilleri
+ *
+ * Orkestratör CLI'larının hangi yetkiyle çalışacağını belirler. Profil, gönderenin
+ * config/sessions.json'daki rolünden gelir (adminNumbers → admin, guestNumbers → guest,
+ * diğerleri → user) ve ön plan oturumları, failover, !!compare ve arka plan görevlerinde
+ * aynı şekilde uygulanır. Her adaptör profili kendi bayraklarına çevirir (buildProfileArgs):
+ *
+ *   full      - tam sistem erişimi (claude --dangerously-skip-permissions, codex bypass, gemini --yolo)
+ *   workspace - sadece çalışma dizinine yazma; kabuk komutları sandbox içinde veya sadece outbox script'leri
+ *   readonly  - dosya okuma; yazma, kabuk ve outbox yok (cevap düz metin olarak döner)
+ *
+ * Rol → profil eşlemesi sessions.json'daki executionProfiles ile değiştirilebilir:
+ *
+ *   "executionProfiles": { "admin": "full", "user": "workspace", "guest": "readonly" }
+ */
+
+export const EXECUTION_PROFILES = {
+  full: {
+    name: 'full',
+    label: 'tam erişim',
+    outbox: true
+  },
+  workspace: {
+    name: 'workspace',
+    label: 'çalışma dizini',
+    outbox: true
+  },
+  readonly: {
+    name: 'readonly',
+    label: 'salt okunur',
+    outbox: false
+  }
+};
+
+export const DEFAULT_ROLE_PROFILES = {
+  admin: 'full',
+  user: 'workspace',
+  guest: 'readonly'
+};
+
+// Profil belirtilmeyen çağrılar tam erişime düşmesin
+export const DEFAULT_PROFILE = 'workspace';
+
+export const PROFILE_TAG = 'CALISMA IZINLERI';
+
+/**
+ * Profil adı → profil (bilinmeyen/boş ad varsayılan profile düşer)
+ */
+export function resolveExecutionProfile(name) {
+  const key = String(name || '').toLowerCase().trim();
+  return EXECUTION_PROFILES[key] || EXECUTION_PROFILES[DEFAULT_PROFILE];
+}
+
+/**
+ * Rol → profil adı (sessions.json executionProfiles override'ı ile)
+ */
+export function getProfileForRole(role, overrides = {}) {
+  const configured = overrides && typeof overrides === 'object' ? overrides[role] : null;
+  if (configured && EXECUTION_PROFILES[String(configured).toLowerCase()]) {
+    return String(configured).toLowerCase();
+  }
+  return DEFAULT_ROLE_PROFILES[role] || DEFAULT_PROFILE;
+}
+
+/**
+ * Kısıtlı profillerde orkestratöre verilecek izin notu (full için boş)
+ */
+export function getProfilePromptNote(name) {
+  const profile = resolveExecutionProfile(name);
+  if (profile.name === 'full') return '';
+  if (profile.name === 'workspace') {
+    return [
+      'Bu kullanıcı için kısıtlı modda çalışıyorsun: sadece çalışma dizinindeki dosyaları okuyup düzenleyebilirsin.',
+      'Sistem genelinde komut çalıştırma, paket kurma, servis yönetimi gibi işleri yapma; gerekiyorsa yetkin olmadığını söyle.'
+    ].join('\n');
+  }
+  return [
+    'Bu kullanıcı için salt okunur moddasın: dosya yazamaz, komut çalıştıramaz ve outbox script\'lerini kullanamazsın.',
+    'Cevabını doğrudan metin olarak yaz; değişiklik gerektiren istekler için yetkin olmadığını söyle.'
+  ].join('\n');
+}
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import adapterRegistry from './adapter-registry.js';
+import orchestratorManager from './orchestrator-manager.js';
+import logger from '../logger.js';
+import { maskPhoneLike } from '../utils/redact.js';
+import { recordExecutionUsage } from '../utils/usage.js';
+import { recordRetryMetrics } from './retry-policy.js';
+
+const FAILURE_REASONS = ['timeout', 'error', 'quota', 'empty'];
+
+const FAILURE_LABELS = {
+  timeout: 'zaman aşımı',
+  error: 'hata',
+  quota: 'kota/limit',
+  empty: 'boş yanıt'
+};
+
+/**
+ * Failover İşleyicisi
+ *
+ * Orkestratör zaman aşımı, hata, kota (429) veya boş cevapla dönerse aynı
+ * prompt'u FAILOVER_CHAIN'deki sıradaki orkestratörde dener (ör: claude,codex,gemini).
+ * Denemeler geçici oturumlarla yapılır; kullanıcının seçtiği orkestratör değişmez.
+ */
+class FailoverHandler {
+  constructor(switchHandler, db, options = {}) {
+    this.switchHandler = switchHandler;
+    this.db = db;
+
+    // Prompt'a eklenecek not bloğunu biçimlendiren callback (handlers.js'den gelecek)
+    this.formatSystemNotes = options.formatSystemNotes || ((notes) => `\n\n${notes.join('\n')}\n`);
+
+    // chatId -> o an denenen geçici oturum (!!stop için)
+    this.activeSessions = new Map();
+  }
+
+  /**
+   * Çalışan failover denemesini iptal et; zincirin geri kalanı denenmez
+   */
+  cancel(chatId) {
+    const session = this.activeSessions.get(chatId);
+    return session ? session.cancel() : false;
+  }
+
+  /**
+   * FAILOVER_CHAIN → kayıtlı orkestratör tipleri (tekrarsız, sıralı)
+   */
+  getChain() {
+    const chain = [];
+    for (const part of String(process.env.FAILOVER_CHAIN || '').split(',')) {
+      const type = adapterRegistry.normalizeType(part);
+      if (type && !chain.includes(type)) {
+        chain.push(type);
+      }
+    }
+    return chain;
+  }
+
+  getTriggerReasons() {
+    const raw = String(process.env.FAILOVER_ON || '').trim();
+    if (!raw) return FAILURE_REASONS;
+    return raw
+      .split(',')
+      .map((value) => value.trim().toLowerCase())
+      .filter((value) => FAILURE_REASONS.includes(value));
+  }
+
+  /**
+   * Başarısız orkestratörden sonra denenecekler (zincir başa sarar)
+   */
+  getFallbacks(fromType) {
+    // Yetenek kontrolünü geçemeyenler atlanır (kaynak orkestratörün zincirdeki yeri korunur)
+    const chain = this.getChain().filter(
+      (type) => type === fromType || !orchestratorManager.getUnavailableReason(type)
+    );
+    const index = chain.indexOf(fromType);
+    if (index < 0) return chain;
+    return [...chain.slice(index + 1), ...chain.slice(0, index)];
+  }
+
+  shouldFailover(failure, fromType) {
+    if (!failure?.reason) return false;
+    if (!this.getTriggerReasons().includes(failure.reason)) return false;
+    return this.getFallbacks(fromType).length > 0;
+  }
+
+  describeFailure({ orchestrator, reason }) {
+    return `${orchestrator} (${FAILURE_LABELS[reason] || reason})`;
+  }
+
+  /**
+   * Prompt'u sıradaki orkestratörlerde dene
+   * Return: { response, executionMeta, orchestrator, failures }
+   * Hepsi başarısızsa executionMeta null döner; iptal edildiyse executionMeta.cancelled true olur.
+   */
+  async run({
+    chatId,
+    fromType,
+    failure,
+    prompt,
+    images = [],
+    files = [],
+    terminalKey = null,
+    workdir = null,
+    persona = null,
+    profile = null
+  }) {
+    const failures = [{ orchestrator: fromType, ...failure }];
+
+    for (const type of this.getFallbacks(fromType)) {
+      const adapter = adapterRegistry.get(type);
+      if (!adapter) continue;
+
+      const previous = failures[failures.length - 1];
+      const handoffNote = this.switchHandler.buildHandoffNote(chatId, fromType, type);
+      const failoverNote =
+        `${previous.orchestrator} bu mesaja yanıt veremedi (${FAILURE_LABELS[previous.reason] || previous.reason}). ` +
+        `Mesajı şimdi sen (${type}) cevaplıyorsun.`;
+      const fallbackPrompt = `${prompt}${this.formatSystemNotes([failoverNote, handoffNote])}`;
+
+      logger.warn(
+        `Failover [${maskPhoneLike(chatId)}]: ${this.describeFailure(previous)} → ${type} deneniyor`
+      );
+
+      const session = adapter.createSession(`failover-${crypto.randomBytes(3).toString('hex')}`, chatId);
+      session.orchestratorType = adapter.type;
+
+      // Kullanıcının yedek orkestratör için !!model / !!effort tercihi
+      const { model, effort } = await orchestratorManager.getModelSettings(chatId, type, terminalKey);
+
+      let response;
+      this.activeSessions.set(chatId, session);
+      try {
+        response = await session.execute(fallbackPrompt, {
+          images: adapter.acceptsInput('images') ? images : [],
+          files,
+          model,
+          effort,
+          workdir,
+          persona,
+          profile
+        });
+      } catch (err) {
+        failures.push({ orchestrator: type, ...adapter.classifyFailure('error', err?.message || String(err)) });
+        continue;
+      } finally {
+        this.activeSessions.delete(chatId);
+        session.kill();
+      }
+
+      const executionMeta = session.lastExecutionMeta || null;
+      // Başarısız denemeler de token harcamış olabilir
+      recordExecutionUsage(this.db, {
+        chatId,
+        orchestrator: type,
+        model: executionMeta?.model,
+        usage: executionMeta?.usage,
+        requestId: executionMeta?.requestId
+      });
+      recordRetryMetrics(this.db, executionMeta);
+      if (executionMeta?.cancelled) {
+        return { response, executionMeta, orchestrator: type, failures };
+      }
+      if (executionMeta?.failure) {
+        failures.push({ orchestrator: type, ...executionMeta.failure });
+        continue;
+      }
+
+      try {
+        this.db?.recordMetric?.('orchestrator_failover', 1);
+      } catch {
+        // metrik yazılamazsa failover'ı bozma
+      }
+
+      logger.info(`Failover başarılı [${maskPhoneLike(chatId)}]: ${type} yanıt verdi`);
+      return { response, executionMeta, orchestrator: type, failures };
+    }
+
+    logger.error(
+      `Failover başarısız [${maskPhoneLike(chatId)}]: ${failures.map((f) => this.describeFailure(f)).join(', ')}`
+    );
+    return { response: null, executionMeta: null, orchestrator: null, failures };
+  }
+
+  /**
+   * Kullanıcıya gösterilecek failover özeti
+   */
+  formatNotice({ orchestrator, failures }) {
+    const failed = failures.map((f) => this.describeFailure(f)).join(', ');
+    if (!orchestrator) {
+      return `Hiçbir orkestratör yanıt veremedi: ${failed}. Biraz sonra tekrar dener misin?`;
+    }
+    return `ℹ️ ${failed} yanıt veremedi; cevap ${orchestrator} tarafından verildi.`;
+  }
+}
+
+export default FailoverHandler;
+export { FAILURE_LABELS };
@@ -0,0 +1,170 @@
+import orchestratorManager from './orchestrator-manager.js';
+import adapterRegistry from './adapter-registry.js';
+import logger from '../logger.js';
+import { maskPhoneLike } from '../utils/redact.js';
+
+const RESET_WORDS = ['default', 'varsayilan', 'varsayılan', 'reset', 'sifirla', 'sıfırla'];
+const MODEL_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:/@-]{0,79}$/;
+
+const SCOPE_LABELS = {
+  terminal: 'bu terminal',
+  user: 'tüm terminaller'
+};
+
+/**
+ * Model Komut İşleyicisi
+ *
+ * !!model [ad|default] ve !!effort [seviye|default]: kullanıcının (aktif terminal
+ * varsa o terminalin) orkestratör bazlı model/effort tercihini OrchestratorManager'a yazar.
+ * Tercih sıradaki mesajdan itibaren ön plan sohbeti ve arka plan görevlerinde kullanılır.
+ */
+class ModelHandler {
+  constructor(options = {}) {
+    // Aktif terminal anahtarı (handlers.js'den gelecek); yoksa tercih kullanıcı geneline yazılır
+    this.getTerminalKey = options.getTerminalKey || (() => null);
+  }
+
+  isModelCommand(text) {
+    const lower = String(text || '').toLowerCase().trim();
+    return /^!!(model|effort)(\s|$)/.test(lower);
+  }
+
+  /**
+   * "!!model codex gpt-5" → { command, target: 'codex', value: 'gpt-5' }
+   * "!!model gpt-5"       → { command, target: null, value: 'gpt-5' }
+   */
+  parseCommand(text) {
+    const parts = String(text || '').trim().split(/\s+/);
+    const command = parts.shift().toLowerCase().slice(2);
+
+    let target = null;
+    if (parts.length > 1) {
+      target = adapterRegistry.normalizeType(parts[0]);
+      if (target && adapterRegistry.get(target)) parts.shift();
+      else target = null;
+    } else if (parts.length === 1 && adapterRegistry.list().includes(parts[0].toLowerCase())) {
+      // "!!model codex": o orkestratörün durumunu göster (önek eşleşmesi yok: "gpt-5" bir model adı)
+      return { command, target: parts[0].toLowerCase(), value: '' };
+    }
+
+    return { command, target, value: parts.join(' ') };
+  }
+
+  async handle(phoneNumber, text) {
+    const { command, target, value } = this.parseCommand(text);
+    const type = target || (await orchestratorManager.getOrchestrator(phoneNumber));
+    const adapter = adapterRegistry.get(type);
+    if (!adapter) {
+      return `Bilinmeyen orkestratör: ${type}`;
+    }
+
+    const terminalKey = this.getTerminalKey(phoneNumber);
+    if (command === 'effort') {
+      return this.handleEffort(phoneNumber, adapter, value, terminalKey);
+    }
+    return this.handleModel(phoneNumber, adapter, value, terminalKey);
+  }
+
+  async handleModel(phoneNumber, adapter, value, terminalKey) {
+    if (!value) {
+      return this.formatStatus(phoneNumber, adapter, terminalKey);
+    }
+
+    const reset = RESET_WORDS.includes(value.toLowerCase());
+    if (!reset && !MODEL_NAME_PATTERN.test(value)) {
+      return `Geçersiz model adı: "${value}"`;
+    }
+
+    const result = await orchestratorManager.setModelSettings(
+      phoneNumber,
+      adapter.type,
+      { model: reset ? null : value },
+      terminalKey
+    );
+    if (!result.success) {
+      return `Hata: ${result.error}`;
+    }
+
+    logger.info(`Model tercihi [${maskPhoneLike(phoneNumber)}] ${adapter.type}: ${reset ? 'varsayılan' : value}`);
+    const current = result.model || this.getDefaultModel(adapter);
+    const scope = terminalKey ? ` (${SCOPE_LABELS.terminal}: \`${terminalKey}\`)` : '';
+    const note = reset
+      ? `${adapter.name} modeli varsayılana döndü: *${current}*`
+      : `${adapter.name} modeli: *${value}*${scope}`;
+
+    const choices = adapter.getModelChoices();
+    if (!reset && choices.length > 0 && !choices.includes(value)) {
+      return `${note}\n_Listede olmayan model; CLI tanımıyorsa hata verir._`;
+    }
+    return note;
+  }
+
+  async handleEffort(phoneNumber, adapter, value, terminalKey) {
+    const levels = adapter.getEffortChoices();
+    if (levels.length === 0) {
+      return `${adapter.name} effort ayarını desteklemiyor.`;
+    }
+
+    if (!value) {
+      const settings = await orchestratorManager.getModelSettings(phoneNumber, adapter.type, terminalKey);
+      const current = settings.effort || this.getDefaultEffort(adapter);
+      return `${adapter.name} effort: *${current}*\nSeviyeler: ${levels.join(', ')}`;
+    }
+
+    const level = value.toLowerCase();
+    const reset = RESET_WORDS.includes(level);
+    if (!reset && !levels.includes(level)) {
+      return `Geçersiz effort: "${value}"\nSeviyeler: ${levels.join(', ')}`;
+    }
+
+    const result = await orchestratorManager.setModelSettings(
+      phoneNumber,
+      adapter.type,
+      { effort: reset ? null : level },
+      terminalKey
+    );
+    if (!result.success) {
+      return `Hata: ${result.error}`;
+    }
+
+    logger.info(`Effort tercihi [${maskPhoneLike(phoneNumber)}] ${adapter.type}: ${reset ? 'varsayılan' : level}`);
+    if (reset) {
+      return `${adapter.name} effort varsayılana döndü: *${result.effort || this.getDefaultEffort(adapter)}*`;
+    }
+    const scope = terminalKey ? ` (${SCOPE_LABELS.terminal}: \`${terminalKey}\`)` : '';
+    return `${adapter.name} effort: *${level}*${scope}`;
+  }
+
+  getDefaultModel(adapter) {
+    return adapter.getModel?.() || 'CLI varsayılanı';
+  }
+
+  getDefaultEffort(adapter) {
+    return adapter.getReasoningEffort?.() || 'varsayılan';
+  }
+
+  async formatStatus(phoneNumber, adapter, terminalKey) {
+    const settings = await orchestratorManager.getModelSettings(phoneNumber, adapter.type, terminalKey);
+    const current = settings.model || this.getDefaultModel(adapter);
+    const source = SCOPE_LABELS[settings.modelScope] || 'varsayılan';
+
+    const lines = [`🧠 *${adapter.name}* modeli: *${current}* (${source})`];
+    if (adapter.getEffortChoices().length > 0) {
+      lines.push(`Effort: *${settings.effort || this.getDefaultEffort(adapter)}*`);
+    }
+
+    lines.push('', '*Modeller*');
+    for (const type of adapterRegistry.list()) {
+      const other = adapterRegistry.get(type);
+      const choices = other.getModelChoices();
+      if (choices.length === 0) continue;
+      const marked = choices.map((choice) => (type === adapter.type && choice === current ? `*${choice}* ✓` : choice));
+      lines.push(`• ${type}: ${marked.join(', ')}`);
+    }
+
+    lines.push('', '`!!model <ad>` seç, `!!model default` sıfırla, `!!model <orkestratör> <ad>` başka orkestratör için');
+    return lines.join('\n');
+  }
+}
+
+export default ModelHandler;
@@ -2,43 +2,22 @@ import fs from 'fs/promises';
 import path from 'path';
 import logger from '../logger.js';
 import { paths } from '../paths.js';
+import adapterRegistry from './adapter-registry.js';
+import capabilityProbe from './capability-probe.js';
+
+// Terminalden bağımsız (kullanıcı geneli) model tercihlerinin anahtarı
+const USER_SCOPE = '*';
 
 /**
  * Merkezi Orkestratör Yönetimi
  *
  * Tüm AI orkestratör (claude, codex, gemini) yönetimini tek bir yerde toplar.
- * Kullanıcı tercihlerini kalıcı olarak saklar.
+ * Kullanıcı tercihlerini (orkestratör, !!model / !!effort) kalıcı olarak saklar.
+ * Desteklenen orkestratörler ve meta bilgileri adaptör kaydından (AdapterRegistry) gelir;
+ * yetenek kontrolünü (CapabilityProbe) geçemeyenler kullanılabilir listesinden düşer.
  */
 class OrchestratorManager {
   constructor() {
-    // Desteklenen orkestratörler ve meta bilgileri
-    this.orchestrators = new Map([
-      ['claude', {
-        name: 'Claude',
-        description: 'Anthropic Claude - Genel amaçlı AI',
-        aliases: ['anthropic', 'sonnet', 'opus', 'haiku'],
-        envModel: 'CLAUDE_MODEL',
-        envTimeout: 'CLAUDE_TIMEOUT_MS',
-        defaultTimeout: 300000
-      }],
-      ['codex', {
-        name: 'Codex',
-        description: 'OpenAI Codex/GPT - Kod ve genel amaçlı',
-        aliases: ['openai', 'gpt', 'gpt4', 'gpt5'],
-        envModel: 'CODEX_MODEL',
-        envTimeout: 'CODEX_TIMEOUT_MS',
-        defaultTimeout: 600000
-      }],
-      ['gemini', {
-        name: 'Gemini',
-        description: 'Google Gemini - Multimodal AI',
-        aliases: ['google', 'bard'],
-        envModel: 'GEMINI_MODEL',
-        envTimeout: 'GEMINI_TIMEOUT_MS',
-        defaultTimeout: 600000
-      }]
-    ]);
-
     // Varsayılan orkestratör
     this.defaultOrchestrator = this.normalizeType(process.env.ORCHESTRATOR_TYPE) || 'claude';
 
@@ -60,6 +39,11 @@ class OrchestratorManager {
     if (this.initialized) return;
 
     try {
+      // Config'den gelen adaptörler yüklendikten sonra varsayılanı tekrar çöz
+      await adapterRegistry.ensureInitialized();
+      this.defaultOrchestrator =
+        this.normalizeType(process.env.ORCHESTRATOR_TYPE) || adapterRegistry.list()[0];
+
       await fs.mkdir(path.dirname(this.preferencesPath), { recursive: true });
       await this.loadPreferences();
       this.initialized = true;
@@ -88,9 +72,10 @@ class OrchestratorManager {
         for (const [phone, pref] of Object.entries(parsed)) {
           if (pref && typeof pref === 'object') {
             this.userPreferences.set(phone, {
-              orchestrator: this.normalizeType(pref.orchestrator) || this.defaultOrchestrator,
+              orchestrator: this.normalizeType(pref.orchestrator) || null,
               updatedAt: pref.updatedAt || new Date().toISOString(),
-              switchCount: pref.switchCount || 0
+              switchCount: pref.switchCount || 0,
+              models: pref.models && typeof pref.models === 'object' ? pref.models : {}
             });
           }
         }
@@ -128,37 +113,42 @@ class OrchestratorManager {
    * Orkestratör tipini normalize et
    */
   normalizeType(input) {
-    if (!input) return null;
-
-    const normalized = String(input).toLowerCase().trim();
-
-    // Direkt eşleşme
-    if (this.orchestrators.has(normalized)) {
-      return normalized;
-    }
+    return adapterRegistry.normalizeType(input);
+  }
 
-    // Alias kontrolü
-    for (const [type, meta] of this.orchestrators) {
-      if (meta.aliases.includes(normalized)) {
-        return type;
-      }
-    }
+  /**
+   * Kullanılabilir orkestratör listesi (son yetenek kontrolünü geçemeyenler hariç)
+   */
+  getAvailableOrchestrators() {
+    return adapterRegistry.list().filter((type) => capabilityProbe.isAvailable(type));
+  }
 
-    return null;
+  /**
+   * Orkestratör yetenek kontrolünü geçemediyse sebebi, kullanılabilirse null
+   */
+  getUnavailableReason(type) {
+    const normalized = this.normalizeType(type);
+    if (!normalized || capabilityProbe.isAvailable(normalized)) return null;
+    return capabilityProbe.getResult(normalized)?.error || 'kullanılamıyor';
   }
 
   /**
-   * Desteklenen orkestratör listesi
+   * Kayıtlı tüm orkestratörler ve son kontrol sonuçları (/api/orchestrators)
    */
-  getAvailableOrchestrators() {
-    return Array.from(this.orchestrators.keys());
+  getOrchestratorStatuses() {
+    return adapterRegistry.list().map((type) => ({
+      ...this.getOrchestratorInfo(type),
+      available: capabilityProbe.isAvailable(type),
+      probe: capabilityProbe.getResult(type)
+    }));
   }
 
   /**
    * Orkestratör detaylarını al
    */
   getOrchestratorInfo(type) {
-    return this.orchestrators.get(this.normalizeType(type)) || null;
+    const adapter = adapterRegistry.get(type);
+    return adapter ? adapter.getInfo() : null;
   }
 
   /**
@@ -186,6 +176,12 @@ class OrchestratorManager {
       return { success: false, error: 'Geçersiz orkestratör tipi' };
     }
 
+    const unavailable = this.getUnavailableReason(normalized);
+    if (unavailable) {
+      const name = this.getOrchestratorInfo(normalized)?.name || normalized;
+      return { success: false, error: `${name} şu anda kullanılamıyor (${unavailable})` };
+    }
+
     const current = await this.getOrchestrator(phoneNumber);
     const pref = this.userPreferences.get(phoneNumber) || {
       orchestrator: this.defaultOrchestrator,
@@ -224,8 +220,15 @@ class OrchestratorManager {
 
     const current = await this.getOrchestrator(phoneNumber);
 
-    if (this.userPreferences.has(phoneNumber)) {
-      this.userPreferences.delete(phoneNumber);
+    const pref = this.userPreferences.get(phoneNumber);
+    if (pref) {
+      // Model tercihleri varsayılana dönüşte korunur
+      if (Object.keys(pref.models || {}).length > 0) {
+        pref.orchestrator = null;
+        pref.updatedAt = new Date().toISOString();
+      } else {
+        this.userPreferences.delete(phoneNumber);
+      }
 
       this.savePreferences().catch(err => {
         logger.warn('Tercih kaydetme hatası:', err.message);
@@ -239,6 +242,89 @@ class OrchestratorManager {
     };
   }
 
+  /**
+   * Kullanıcının bir orkestratör için model/effort tercihi
+   * Terminal tercihi kullanıcı genelindekini ezer; hiçbiri yoksa null alanlar (env varsayılanı)
+   * Return: { model, effort, modelScope, effortScope } (scope: 'terminal' | 'user' | null)
+   */
+  async getModelSettings(phoneNumber, type, terminalKey = null) {
+    await this.ensureInitialized();
+
+    const models = this.userPreferences.get(phoneNumber)?.models || {};
+    const userLevel = models[USER_SCOPE]?.[type] || {};
+    const terminalLevel = (terminalKey && models[terminalKey]?.[type]) || {};
+
+    const pick = (field) => {
+      if (terminalLevel[field]) return [terminalLevel[field], 'terminal'];
+      if (userLevel[field]) return [userLevel[field], 'user'];
+      return [null, null];
+    };
+    const [model, modelScope] = pick('model');
+    const [effort, effortScope] = pick('effort');
+
+    return { model, effort, modelScope, effortScope };
+  }
+
+  /**
+   * Model/effort tercihini kaydet (terminalKey varsa sadece o terminal için)
+   * changes.model / changes.effort: undefined → dokunma, null → temizle
+   */
+  async setModelSettings(phoneNumber, type, changes = {}, terminalKey = null) {
+    await this.ensureInitialized();
+
+    const normalized = this.normalizeType(type);
+    if (!normalized) {
+      return { success: false, error: 'Geçersiz orkestratör tipi' };
+    }
+
+    const pref = this.userPreferences.get(phoneNumber) || {
+      orchestrator: null,
+      switchCount: 0
+    };
+    pref.models = pref.models || {};
+
+    const scopeKey = terminalKey || USER_SCOPE;
+    const scope = pref.models[scopeKey] || {};
+    const entry = { ...(scope[normalized] || {}) };
+
+    for (const field of ['model', 'effort']) {
+      if (changes[field] === undefined) continue;
+      if (changes[field]) entry[field] = String(changes[field]);
+      else delete entry[field];
+    }
+
+    if (Object.keys(entry).length > 0) scope[normalized] = entry;
+    else delete scope[normalized];
+
+    if (Object.keys(scope).length > 0) pref.models[scopeKey] = scope;
+    else delete pref.models[scopeKey];
+
+    pref.updatedAt = new Date().toISOString();
+    this.userPreferences.set(phoneNumber, pref);
+
+    this.savePreferences().catch(err => {
+      logger.warn('Tercih kaydetme hatası:', err.message);
+    });
+
+    return { success: true, ...(await this.getModelSettings(phoneNumber, normalized, terminalKey)) };
+  }
+
+  /**
+   * Silinen terminalin model tercihlerini temizle
+   */
+  async clearTerminalModelSettings(phoneNumber, terminalKey) {
+    await this.ensureInitialized();
+
+    const pref = this.userPreferences.get(phoneNumber);
+    if (!terminalKey || !pref?.models?.[terminalKey]) return false;
+
+    delete pref.models[terminalKey];
+    this.savePreferences().catch(err => {
+      logger.warn('Tercih kaydetme hatası:', err.message);
+    });
+    return true;
+  }
+
   /**
    * Bir sonraki orkestratöre geç (cycle)
    */
@@ -247,6 +333,9 @@ class OrchestratorManager {
 
     const current = await this.getOrchestrator(phoneNumber);
     const available = this.getAvailableOrchestrators();
+    if (available.length === 0) {
+      return { success: false, error: 'Kullanılabilir orkestratör yok' };
+    }
     const currentIndex = available.indexOf(current);
     const nextIndex = (currentIndex + 1) % available.length;
     const next = available[nextIndex];
@@ -0,0 +1,110 @@
+import logger from '../logger.js';
+import { maskPhoneLike } from '../utils/redact.js';
+import { getPersonaMaxChars, loadPersonaTemplates, savePersona } from '../utils/persona.js';
+
+const RESET_WORDS = ['sil', 'reset', 'default', 'varsayilan', 'varsayılan', 'sifirla', 'sıfırla'];
+const LIST_WORDS = ['sablonlar', 'şablonlar', 'templates'];
+const TEMPLATE_WORDS = ['sablon', 'şablon', 'template'];
+
+/**
+ * Persona Komut İşleyicisi
+ *
+ * !!persona [metin | şablon <ad> | şablonlar | sil]: kullanıcının kalıcı talimat
+ * bloğunu SQLite'a yazar. Blok yeni session/thread'lerin ilk tur talimatına eklenir;
+ * açık sohbete ise bir kerelik sistem notu olarak iletilir.
+ */
+class PersonaHandler {
+  constructor(db, options = {}) {
+    this.db = db;
+
+    // System note ekleme callback'i (handlers.js'den gelecek)
+    this.addSystemNote = options.addSystemNote || (() => {});
+  }
+
+  isPersonaCommand(text) {
+    const lower = String(text || '').toLowerCase().trim();
+    return /^!!persona(\s|$)/.test(lower);
+  }
+
+  handle(phoneNumber, text) {
+    if (typeof this.db?.getPersona !== 'function') {
+      return 'Persona kaydı tutulmuyor.';
+    }
+
+    const arg = String(text || '').trim().slice('!!persona'.length).trim();
+    const [first = '', ...rest] = arg.split(/\s+/);
+    const keyword = first.toLowerCase();
+
+    if (!arg) {
+      return this.handleShow(phoneNumber);
+    }
+    if (LIST_WORDS.includes(keyword) && rest.length === 0) {
+      return this.handleTemplates();
+    }
+    if (RESET_WORDS.includes(keyword) && rest.length === 0) {
+      return this.handleReset(phoneNumber);
+    }
+    if (TEMPLATE_WORDS.includes(keyword)) {
+      if (rest.length !== 1) {
+        return 'Kullanım: `!!persona şablon <ad>` (liste: `!!persona şablonlar`)';
+      }
+      return this.handleSet(phoneNumber, { template: rest[0] });
+    }
+    return this.handleSet(phoneNumber, { content: arg });
+  }
+
+  handleShow(phoneNumber) {
+    const persona = this.db.getPersona(phoneNumber);
+    if (!persona) {
+      return [
+        '🎭 Persona tanımlı değil; varsayılan talimatlar kullanılıyor.',
+        '',
+        '`!!persona <metin>` kendi talimatını yaz',
+        '`!!persona şablon <ad>` hazır şablon seç (`!!persona şablonlar`)'
+      ].join('\n');
+    }
+
+    const source = persona.template ? `şablon: ${persona.template}` : `${persona.content.length}/${getPersonaMaxChars()} karakter`;
+    return [`🎭 *Persona* (${source})`, '', persona.content, '', '`!!persona sil` kaldır'].join('\n');
+  }
+
+  handleTemplates() {
+    const templates = Object.entries(loadPersonaTemplates());
+    if (templates.length === 0) {
+      return 'Tanımlı persona şablonu yok (config/personas.json).';
+    }
+    const lines = ['🎭 *Persona şablonları*', ''];
+    for (const [name, entry] of templates) {
+      lines.push(`• \`${name}\`${entry.description ? ` — ${entry.description}` : ''}`);
+    }
+    lines.push('', '`!!persona şablon <ad>` seç');
+    return lines.join('\n');
+  }
+
+  handleSet(phoneNumber, input) {
+    const result = savePersona(this.db, phoneNumber, input);
+    if (result.error) {
+      return result.error;
+    }
+
+    const { persona } = result;
+    logger.info(`Persona güncellendi [${maskPhoneLike(phoneNumber)}]${persona.template ? ` (şablon: ${persona.template})` : ''}`);
+    // Açık session/thread ilk tur talimatını tekrar görmez; değişikliği not olarak ilet
+    this.addSystemNote(phoneNumber, `Kullanıcı personasını güncelledi. Bundan sonra şu tercihleri uygula:\n${persona.content}`);
+
+    return persona.template
+      ? `🎭 Persona şablonu uygulandı: *${persona.template}*`
+      : `🎭 Persona kaydedildi (${persona.content.length} karakter).`;
+  }
+
+  handleReset(phoneNumber) {
+    if (!this.db.deletePersona(phoneNumber)) {
+      return 'Zaten persona tanımlı değil.';
+    }
+    logger.info(`Persona silindi [${maskPhoneLike(phoneNumber)}]`);
+    this.addSystemNote(phoneNumber, 'Kullanıcı personasını kaldırdı; önceki persona tercihlerini artık uygulama.');
+    return '🎭 Persona silindi; varsayılan talimatlara dönüldü.';
+  }
+}
+
+export default PersonaHandler;
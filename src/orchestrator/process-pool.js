@@ -0,0 +1,214 @@
+import logger from '../logger.js';
+import { maskPhoneLike } from '../utils/redact.js';
+import { getOutboxPaths, writeOutboxMessage } from '../outbox/common.js';
+
+const PRIORITIES = ['interactive', 'background'];
+const DEFAULT_AVG_RUN_MS = 60000;
+
+/**
+ * Orkestratör Süreç Havuzu
+ *
+ * MAX_SESSIONS ön plan oturumu, MAX_BG_TASKS_PER_USER kullanıcı başına görev sayısını sınırlar;
+ * aynı anda çalışan CLI süreci sayısı ise burada sınırlanır. Claude/Codex/Gemini oturumları ve
+ * arka plan görevleri spawn etmeden önce acquire() ile yer alır, süreç bitince release() eder.
+ *
+ * - MAX_CONCURRENT_PROCESSES: toplam eşzamanlı süreç (0 = sınırsız)
+ * - Yer açılınca önce etkileşimli mesajlar (interactive), sonra arka plan görevleri alınır
+ * - Aynı öncelikte, şu an en az süreci çalışan kullanıcının en eski isteği seçilir
+ *   (birkaç kullanıcı sırayı doldursa da diğerleri araya girer)
+ * - Bekleyen kullanıcıya sıra ve tahmini süre bir kez outbox üzerinden bildirilir
+ */
+class ProcessPool {
+  constructor() {
+    this.running = new Map(); // key -> { owner, priority, startedAt }
+    this.waiting = []; // { key, cancelKey, owner, priority, seq, resolve }
+    this.avgRunMs = DEFAULT_AVG_RUN_MS;
+    this.sequence = 0;
+  }
+
+  getLimit() {
+    const value = parseInt(process.env.MAX_CONCURRENT_PROCESSES || '4', 10);
+    return Number.isFinite(value) && value >= 0 ? value : 4;
+  }
+
+  hasFreeSlot() {
+    const limit = this.getLimit();
+    return limit === 0 || this.running.size < limit;
+  }
+
+  countRunning(owner) {
+    let count = 0;
+    for (const entry of this.running.values()) {
+      if (entry.owner === owner) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Sıradaki bekleyen: önce öncelik, sonra en az süreci olan kullanıcı, sonra en eski istek
+   */
+  pickNext() {
+    for (const priority of PRIORITIES) {
+      let best = null;
+      let bestRunning = Infinity;
+      for (const waiter of this.waiting) {
+        if (waiter.priority !== priority) continue;
+        const running = this.countRunning(waiter.owner);
+        if (running < bestRunning || (running === bestRunning && waiter.seq < best.seq)) {
+          best = waiter;
+          bestRunning = running;
+        }
+      }
+      if (best) return best;
+    }
+    return null;
+  }
+
+  /**
+   * Bekleyenin yaklaşık sırası (1'den başlar): önündeki yüksek öncelikli ve
+   * aynı öncelikte daha eski istekler. Adalet seçimi kullanıcıyı öne alabilir.
+   */
+  getPosition(slotKey) {
+    const waiter = this.waiting.find((entry) => entry.key === slotKey);
+    if (!waiter) return 0;
+    const rank = PRIORITIES.indexOf(waiter.priority);
+    const ahead = this.waiting.filter((entry) => {
+      const entryRank = PRIORITIES.indexOf(entry.priority);
+      return entryRank < rank || (entryRank === rank && entry.seq < waiter.seq);
+    });
+    return ahead.length + 1;
+  }
+
+  /**
+   * Tahmini bekleme: önündeki istek sayısı / eşzamanlılık × ortalama süreç süresi
+   */
+  estimateWaitMs(position) {
+    const limit = this.getLimit() || 1;
+    return Math.ceil(position / limit) * this.avgRunMs;
+  }
+
+  /**
+   * Süreç için yer al. Return: { release() } veya null (beklerken cancelWaiting ile vazgeçildi)
+   *   key      - bekleyeni iptal etmek için (oturum id'si, görev id'si)
+   *   owner    - sohbet id'si (adalet ve bildirim için)
+   *   priority - 'interactive' | 'background'
+   *   notice   - sıraya girilirse yazılacak bildirimin konusu (yoksa bildirim yapılmaz)
+   */
+  async acquire({ key, owner, priority = 'interactive', notice = null, outboxPaths = getOutboxPaths() }) {
+    const slotKey = `${key || 'anon'}#${++this.sequence}`;
+    const normalizedPriority = PRIORITIES.includes(priority) ? priority : 'interactive';
+
+    if (this.waiting.length === 0 && this.hasFreeSlot()) {
+      return this.start(slotKey, owner, normalizedPriority);
+    }
+
+    const granted = new Promise((resolve) => {
+      this.waiting.push({
+        key: slotKey,
+        cancelKey: key,
+        owner,
+        priority: normalizedPriority,
+        seq: this.sequence,
+        resolve
+      });
+    });
+
+    const position = this.getPosition(slotKey);
+    const etaMs = this.estimateWaitMs(position);
+    logger.info(
+      `Süreç havuzu dolu (${this.running.size}/${this.getLimit()}): ${maskPhoneLike(owner)} ${normalizedPriority} sırada ${position}`
+    );
+    if (notice && owner) {
+      await this.writeQueueNotice({ owner, notice, position, etaMs, outboxPaths });
+    }
+
+    // Bildirim yazılırken yer açılmış olabilir
+    this.drain();
+    return granted;
+  }
+
+  start(slotKey, owner, priority) {
+    const startedAt = Date.now();
+    this.running.set(slotKey, { owner, priority, startedAt });
+
+    let released = false;
+    return {
+      release: () => {
+        if (released) return;
+        released = true;
+        this.running.delete(slotKey);
+        // Tahmini süre için hareketli ortalama
+        this.avgRunMs = Math.round(this.avgRunMs * 0.8 + (Date.now() - startedAt) * 0.2);
+        this.drain();
+      }
+    };
+  }
+
+  drain() {
+    while (this.waiting.length > 0 && this.hasFreeSlot()) {
+      const next = this.pickNext();
+      if (!next) return;
+      this.waiting.splice(this.waiting.indexOf(next), 1);
+      next.resolve(this.start(next.key, next.owner, next.priority));
+    }
+  }
+
+  /**
+   * Sırada bekleyen isteği bırak (!!stop, görev iptali); acquire null döner
+   */
+  cancelWaiting(key) {
+    let cancelled = false;
+    for (const waiter of [...this.waiting]) {
+      if (waiter.cancelKey !== key) continue;
+      this.waiting.splice(this.waiting.indexOf(waiter), 1);
+      waiter.resolve(null);
+      cancelled = true;
+    }
+    return cancelled;
+  }
+
+  formatEta(etaMs) {
+    const minutes = Math.ceil(etaMs / 60000);
+    return minutes <= 1 ? '1 dk' : `${minutes} dk`;
+  }
+
+  async writeQueueNotice({ owner, notice, position, etaMs, outboxPaths }) {
+    try {
+      await writeOutboxMessage(
+        {
+          chatId: owner,
+          requestId: null,
+          type: 'progress',
+          text: `⏳ Sistem şu an yoğun; ${notice} sırada (${position}. sıra, tahmini ~${this.formatEta(etaMs)}).`,
+          meta: { source: 'process-pool' }
+        },
+        { outboxPaths }
+      );
+    } catch (err) {
+      logger.warn(`Sıra bildirimi yazılamadı: ${err?.message || String(err)}`);
+    }
+  }
+
+  getStatus() {
+    const count = (list, priority) => list.filter((entry) => entry.priority === priority).length;
+    const running = [...this.running.values()];
+    return {
+      limit: this.getLimit(),
+      running: running.length,
+      waiting: this.waiting.length,
+      byPriority: Object.fromEntries(
+        PRIORITIES.map((priority) => [
+          priority,
+          { running: count(running, priority), waiting: count(this.waiting, priority) }
+        ])
+      ),
+      avgRunMs: this.avgRunMs
+    };
+  }
+}
+
+// Singleton instance
+const processPool = new ProcessPool();
+
+export default processPool;
+export { ProcessPool };
@@ -0,0 +1,132 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../logger.js';
+import { paths } from '../paths.js';
+
+const ALIAS_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/**
+ * Proje Kaydı
+ *
+ * !!proje ile seçilebilecek çalışma dizinlerinin allowlist'i. Liste adminin
+ * yönettiği config/projects.json dosyasından okunur:
+ *
+ *   { "projects": [
+ *     { "alias": "bridge", "path": "/srv/conversa-relay", "description": "WhatsApp köprüsü" },
+ *     { "alias": "web", "path": "/srv/projects/web" }
+ *   ] }
+ *
+ * Kullanıcı bir alias'ı, bir proje kökünü ya da kökün altındaki bir dizini
+ * ("web/packages/api" veya mutlak yol) seçebilir; kök dışına çıkan yollar reddedilir.
+ * Dosya her komutta yeniden okunur, değişiklik için yeniden başlatma gerekmez.
+ */
+class ProjectRegistry {
+  constructor() {
+    this.configPath =
+      process.env.PROJECTS_CONFIG_PATH || path.join(paths.configDir, 'projects.json');
+  }
+
+  /**
+   * Geçerli proje girdileri: [{ alias, path, description }]
+   */
+  async list() {
+    let parsed;
+    try {
+      parsed = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn(`Proje listesi okunamadı: ${err.message}`);
+      }
+      return [];
+    }
+
+    const projects = [];
+    for (const entry of Array.isArray(parsed?.projects) ? parsed.projects : []) {
+      const alias = String(entry?.alias || '').toLowerCase().trim();
+      if (!ALIAS_PATTERN.test(alias) || !entry.path || projects.some((p) => p.alias === alias)) {
+        logger.warn(`Geçersiz proje girdisi atlandı: ${JSON.stringify(entry)}`);
+        continue;
+      }
+      projects.push({
+        alias,
+        path: path.resolve(paths.appRoot, String(entry.path)),
+        description: entry.description ? String(entry.description) : ''
+      });
+    }
+    return projects;
+  }
+
+  async realpathOrNull(target) {
+    try {
+      return await fs.realpath(target);
+    } catch {
+      return null;
+    }
+  }
+
+  isInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  /**
+   * Kullanıcı girdisini allowlist'teki bir dizine çevir
+   * Return: { alias, path, subdir } | { error }
+   */
+  async resolve(input) {
+    const raw = String(input || '').trim();
+    if (!raw) return { error: 'Proje adı veya yolu gerekli.' };
+
+    const projects = await this.list();
+    if (projects.length === 0) {
+      return { error: 'Tanımlı proje yok (config/projects.json).' };
+    }
+
+    // "alias" veya "alias/alt/dizin"
+    const [head, ...rest] = raw.split('/');
+    const byAlias = projects.find((p) => p.alias === head.toLowerCase());
+    const candidate = byAlias
+      ? path.resolve(byAlias.path, rest.join('/'))
+      : path.isAbsolute(raw)
+        ? path.resolve(raw)
+        : null;
+
+    if (!candidate) {
+      return { error: `Bilinmeyen proje: "${raw}"` };
+    }
+
+    // Kök dışındaki yollar dosya sistemine dokunmadan reddedilir (var/yok bilgisi sızmasın)
+    const roots = await Promise.all(
+      projects.map(async (project) => ({ project, root: await this.realpathOrNull(project.path) }))
+    );
+    const outsideError = { error: `İzin verilen proje dizinlerinin dışında: ${candidate}` };
+    const allowed = roots.some(
+      ({ project, root }) => this.isInside(project.path, candidate) || (root && this.isInside(root, candidate))
+    );
+    if (!allowed) return outsideError;
+
+    const real = await this.realpathOrNull(candidate);
+    if (!real) {
+      return { error: `Dizin bulunamadı: ${candidate}` };
+    }
+
+    // Kök içindeki symlink dışarıyı gösterebilir: gerçek yol tekrar kontrol edilir
+    for (const { project, root } of roots) {
+      if (!root || !this.isInside(root, real)) continue;
+
+      const stat = await fs.stat(real);
+      if (!stat.isDirectory()) {
+        return { error: `Dizin değil: ${candidate}` };
+      }
+      return { alias: project.alias, path: real, subdir: path.relative(root, real) };
+    }
+
+    return outsideError;
+  }
+}
+
+// Singleton instance
+const projectRegistry = new ProjectRegistry();
+
+export default projectRegistry;
+export { ProjectRegistry };
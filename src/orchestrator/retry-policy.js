@@ -0,0 +1,167 @@
+import logger from '../logger.js';
+import { maskPhoneLike } from '../utils/redact.js';
+import { getOutboxPaths, hasOutboxActivity, writeOutboxMessage } from '../outbox/common.js';
+
+const WAIT_POLL_MS = 200;
+
+/**
+ * Geçici Hata Tekrarı
+ *
+ * Rate limit, aşırı yük (overloaded/529/503) ve ağ hataları kalıcı değildir; kullanıcıya
+ * "Hata: …" dönmek yerine aynı istek üstel geri çekilme + jitter ile tekrar denenir.
+ * Hatanın tekrar edilebilir olup olmadığına adaptör karar verir (classifyFailure → retryable,
+ * retryAfterMs). Backend bir bekleme süresi bildirdiyse (retry-after, retryDelay,
+ * "try again in 20s") o süre kullanılır; süre ORCHESTRATOR_RETRY_MAX_DELAY_MS'yi aşıyorsa
+ * tekrar denenmez ve hata failover'a bırakılır.
+ *
+ * Beklerken kullanıcıya tek bir ilerleme notu yazılır; tekrar sayısı
+ * lastExecutionMeta.retries'a konur ve orchestrator_retry metriği olarak kaydedilir.
+ */
+
+function readNumber(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export function getRetryConfig() {
+  return {
+    maxRetries: readNumber('ORCHESTRATOR_RETRY_MAX', 2),
+    baseDelayMs: readNumber('ORCHESTRATOR_RETRY_BASE_MS', 2000),
+    maxDelayMs: readNumber('ORCHESTRATOR_RETRY_MAX_DELAY_MS', 60000)
+  };
+}
+
+function toMs(value, unit = 's') {
+  const amount = Number.parseFloat(value);
+  if (!Number.isFinite(amount) || amount < 0) return null;
+  const normalized = String(unit || 's').toLowerCase();
+  if (normalized === 'ms') return Math.round(amount);
+  if (normalized.startsWith('m')) return Math.round(amount * 60000);
+  return Math.round(amount * 1000);
+}
+
+/**
+ * Hata metnindeki bekleme ipucu (ms); yoksa null
+ *   retry-after: 30 / "retryDelay": "28s" / try again in 1.5s / retry in 2 minutes
+ */
+export function parseRetryAfterMs(text) {
+  const value = String(text || '');
+  const patterns = [
+    /retry[-_ ]?after["':=\s]*(\d+(?:\.\d+)?)\s*(ms|s|sec|seconds?|m|min|minutes?)?\b/i,
+    /retry[-_ ]?delay["':=\s]*(\d+(?:\.\d+)?)\s*(ms|s|m)?\b/i,
+    /(?:try again|retry) in (\d+(?:\.\d+)?)\s*(ms|s|sec|seconds?|m|min|minutes?)\b/i
+  ];
+  for (const pattern of patterns) {
+    const match = value.match(pattern);
+    if (match) return toMs(match[1], match[2]);
+  }
+  return null;
+}
+
+/**
+ * attempt: 0'dan başlayan tekrar sırası. Return: ms veya null (tekrar denenmemeli)
+ */
+export function computeRetryDelay(attempt, failure, config = getRetryConfig(), random = Math.random) {
+  if (Number.isFinite(failure?.retryAfterMs)) {
+    if (failure.retryAfterMs > config.maxDelayMs) return null;
+    return failure.retryAfterMs + Math.round(random() * 250);
+  }
+  const ceiling = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+function formatSeconds(ms) {
+  return Math.max(1, Math.round(ms / 1000));
+}
+
+async function writeRetryNotice({ chatId, requestId, orchestrator, outboxPaths, delayMs }) {
+  if (!chatId) return;
+  try {
+    // requestId'siz yazılır: modelin cevabını susturmasın (bkz. ProgressReporter)
+    await writeOutboxMessage(
+      {
+        chatId,
+        requestId: null,
+        orchestrator,
+        type: 'progress',
+        text: `⏳ ${orchestrator} geçici bir hata verdi (yoğunluk/limit); ${formatSeconds(delayMs)} sn sonra tekrar deneniyor…`,
+        meta: { source: 'retry', requestId: requestId || undefined }
+      },
+      { outboxPaths }
+    );
+  } catch (err) {
+    logger.warn(`Tekrar deneme bildirimi yazılamadı: ${err?.message || String(err)}`);
+  }
+}
+
+/**
+ * !!stop gelirse beklemeyi erken bitir
+ */
+async function waitUnlessCancelled(session, delayMs) {
+  const until = Date.now() + delayMs;
+  while (!session.cancelRequested) {
+    const remaining = until - Date.now();
+    if (remaining <= 0) return;
+    await new Promise((resolve) => setTimeout(resolve, Math.min(WAIT_POLL_MS, remaining)));
+  }
+}
+
+/**
+ * Oturumun tek bir CLI çalıştırmasını (runClaude/runCodex/runGemini/runChat) geçici
+ * hatalarda tekrar dener. run her çağrıda session.lastExecutionMeta.failure'ı yeniden yazar.
+ */
+export async function runWithRetry(session, run, { requestId = null, outboxPaths = getOutboxPaths() } = {}) {
+  const config = getRetryConfig();
+  const orchestrator = session.lastExecutionMeta?.orchestrator || session.orchestratorType || 'orkestratör';
+  let response = await run();
+  let retries = 0;
+
+  while (retries < config.maxRetries && !session.cancelRequested) {
+    const failure = session.lastExecutionMeta?.failure;
+    if (!failure?.retryable) break;
+
+    // Model kullanıcıya yazmaya başladıysa tekrar etmek mesajları çoğaltır
+    if (await hasOutboxActivity(requestId, outboxPaths)) break;
+
+    const delayMs = computeRetryDelay(retries, failure, config);
+    if (delayMs === null) {
+      logger.warn(`${orchestrator} bekleme süresi çok uzun (${failure.retryAfterMs}ms), tekrar denenmiyor`);
+      break;
+    }
+
+    retries++;
+    session.lastExecutionMeta.retries = retries;
+    logger.warn(
+      `${orchestrator} geçici hata [${maskPhoneLike(session.owner)}] (${failure.reason}: ${failure.detail.substring(0, 120)}), ` +
+        `${delayMs}ms sonra tekrar denenecek (${retries}/${config.maxRetries})`
+    );
+    if (retries === 1) {
+      await writeRetryNotice({ chatId: session.owner, requestId, orchestrator, outboxPaths, delayMs });
+    }
+
+    // Bekleme sırasında da !!stop ile iptal edilebilsin
+    session.state = 'executing';
+    await waitUnlessCancelled(session, delayMs);
+    if (session.cancelRequested) {
+      session.state = 'idle';
+      session.setFailure?.(null);
+      return 'İptal edildi.';
+    }
+
+    response = await run();
+  }
+
+  return response;
+}
+
+/**
+ * Çalıştırmadaki tekrar sayısını metriklere yaz
+ */
+export function recordRetryMetrics(db, executionMeta) {
+  if (!executionMeta?.retries) return;
+  try {
+    db?.recordMetric?.('orchestrator_retry', executionMeta.retries);
+  } catch {
+    // metrik yazılamazsa isteği bozma
+  }
+}
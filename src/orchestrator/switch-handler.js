@@ -190,9 +190,9 @@ class SwitchHandler {
 
     lines.push('\n*Komutlar:*');
     lines.push('• `!!switch` - Sonraki orkestratöre geç');
-    lines.push('• `!!switch claude` - Claude\'a geç');
-    lines.push('• `!!switch codex` - Codex\'e geç');
-    lines.push('• `!!switch gemini` - Gemini\'ye geç');
+    for (const type of status.available) {
+      lines.push(`• \`!!switch ${type}\` - ${this.formatOrchestratorName(type)} seç`);
+    }
     lines.push('• `!!switch default` - Varsayılana dön');
     lines.push('• `!!switch status` - Durum bilgisi');
 
@@ -1,6 +1,8 @@
 import fs from 'fs/promises';
 import path from 'path';
 import orchestratorManager from './orchestrator-manager.js';
+import adapterRegistry from './adapter-registry.js';
+import projectRegistry from './project-registry.js';
 import logger from '../logger.js';
 import { paths } from '../paths.js';
 
@@ -34,6 +36,7 @@ class TerminalHandler {
       lower.startsWith('!!tchange') ||
       lower.startsWith('!!trename') ||
       lower.startsWith('!!tdelete') ||
+      this.isProjectCommand(lower) ||
       lower === '!!help' || lower === '!!yardim' || lower === '!!yardım'
     );
   }
@@ -64,6 +67,9 @@ class TerminalHandler {
     if (lower.startsWith('!!tdelete')) {
       return this.handleDelete(phoneNumber, trimmed.slice('!!tdelete'.length).trim());
     }
+    if (this.isProjectCommand(lower)) {
+      return this.handleProject(phoneNumber, trimmed.replace(/^!!(project|proje)/i, '').trim());
+    }
 
     return 'Bilinmeyen komut. `!!help` yaz.';
   }
@@ -82,8 +88,11 @@ class TerminalHandler {
         const available = orchestratorManager.getAvailableOrchestrators();
         return `Bilinmeyen orkestratör: "${orchestratorArg}"\nKullanılabilir: ${available.join(', ')}`;
       }
+      const result = await orchestratorManager.setOrchestrator(phoneNumber, normalized);
+      if (!result.success) {
+        return `Hata: ${result.error}`;
+      }
       targetOrch = normalized;
-      await orchestratorManager.setOrchestrator(phoneNumber, normalized);
     }
 
     // Registry'de yeni session oluştur
@@ -157,8 +166,12 @@ class TerminalHandler {
       const info = orchestratorManager.getOrchestratorInfo(s.orchestrator);
       const state = s.stateData ? '💾' : '🆕';
       const date = new Date(s.createdAt).toLocaleDateString('tr-TR');
+      const project = s.project ? ` | 📁 ${this.formatProject(s.project)}` : '';
+      const compacted = s.compactions
+        ? ` | 🗜️ ${s.compactions}x (${new Date(s.lastCompactedAt).toLocaleDateString('tr-TR')})`
+        : '';
       lines.push(`${state} \`${key}\` *${s.label}*${active}`);
-      lines.push(`   ${info?.name || s.orchestrator} | ${date}`);
+      lines.push(`   ${info?.name || s.orchestrator} | ${date}${project}${compacted}`);
     }
 
     lines.push('');
@@ -208,10 +221,116 @@ class TerminalHandler {
     const deleted = userData.sessions[key];
     delete userData.sessions[key];
     await this.saveRegistry();
+    await orchestratorManager.clearTerminalModelSettings(phoneNumber, key);
 
     return `Silindi: *${deleted.label}* (\`${key}\`)`;
   }
 
+  isProjectCommand(lower) {
+    return /^!!(proje|project)(\s|$)/.test(lower);
+  }
+
+  formatProject(project) {
+    return project.subdir ? `${project.alias}/${project.subdir}` : project.alias;
+  }
+
+  /**
+   * !!proje [alias|yol|default]: aktif terminali (terminal yoksa kullanıcının
+   * varsayılanını) allowlist'teki bir çalışma dizinine bağla
+   */
+  async handleProject(phoneNumber, arg) {
+    const userData = this.ensureUserData(phoneNumber);
+    const terminal = userData.activeKey ? userData.sessions?.[userData.activeKey] : null;
+    const owner = terminal || userData;
+    const where = terminal ? `*${terminal.label}*` : 'varsayılan terminal';
+
+    if (!arg) {
+      const projects = await projectRegistry.list();
+      const current = this.getProject(phoneNumber);
+      const lines = [
+        current
+          ? `📁 ${where}: *${this.formatProject(current)}*
+${current.path}`
+          : `📁 ${where}: varsayılan çalışma dizini`
+      ];
+      if (projects.length === 0) {
+        lines.push('', 'Tanımlı proje yok (config/projects.json).');
+      } else {
+        lines.push('', '*Projeler*');
+        for (const project of projects) {
+          const desc = project.description ? ` — ${project.description}` : '';
+          lines.push(`• \`${project.alias}\` ${project.path}${desc}`);
+        }
+        lines.push('', '`!!proje <alias|alias/alt/dizin>` bağla, `!!proje default` kaldır');
+      }
+      return lines.join('\n');
+    }
+
+    const lower = arg.toLowerCase();
+    if (['default', 'varsayilan', 'varsayılan', 'kaldir', 'kaldır', 'reset'].includes(lower)) {
+      if (!owner.project) {
+        return `${where} zaten varsayılan çalışma dizininde.`;
+      }
+      delete owner.project;
+      await this.saveRegistry();
+      this.addSystemNote(phoneNumber, 'Çalışma dizini varsayılana döndü; önceki proje yollarını artık kullanma.');
+      return `📁 ${where}: varsayılan çalışma dizinine dönüldü.`;
+    }
+
+    const resolved = await projectRegistry.resolve(arg);
+    if (resolved.error) {
+      return resolved.error;
+    }
+
+    owner.project = { alias: resolved.alias, subdir: resolved.subdir, path: resolved.path };
+    await this.saveRegistry();
+    logger.info(`Proje bağlandı: ${this.formatProject(owner.project)} (${userData.activeKey || 'varsayılan'}) - ${phoneNumber}`);
+    this.addSystemNote(
+      phoneNumber,
+      `Çalışma dizini değişti: ${resolved.path} (${this.formatProject(owner.project)}). Dosya işlemlerini bu dizinde yap.`
+    );
+
+    return `📁 ${where}: *${this.formatProject(owner.project)}*\n${resolved.path}`;
+  }
+
+  /**
+   * Aktif terminalin bağlı projesi; terminalin projesi yoksa kullanıcının varsayılanı
+   */
+  getProject(phoneNumber) {
+    const userData = this.registry[phoneNumber];
+    if (!userData) return null;
+    const terminal = userData.activeKey ? userData.sessions?.[userData.activeKey] : null;
+    return terminal?.project || userData.project || null;
+  }
+
+  /**
+   * Konuşma bağlamı sayaçlarının tutulduğu kayıt: aktif terminal, terminal yoksa kullanıcı
+   * Return: { owner, terminalKey }
+   */
+  async getContextOwner(phoneNumber) {
+    await this.loadRegistry();
+    const userData = this.ensureUserData(phoneNumber);
+    const terminal = userData.activeKey ? userData.sessions?.[userData.activeKey] : null;
+    return { owner: terminal || userData, terminalKey: terminal ? userData.activeKey : null };
+  }
+
+  /**
+   * CLI'nin çalıştırılacağı dizin (null = adaptörün varsayılanı)
+   * Bağlı dizin allowlist'ten çıkarıldıysa veya silindiyse kullanılmaz.
+   */
+  async getWorkdir(phoneNumber) {
+    await this.loadRegistry();
+    const project = this.getProject(phoneNumber);
+    if (!project?.path) return null;
+
+    const resolved = await projectRegistry.resolve(project.path);
+    if (resolved.error) {
+      logger.warn(`Bağlı proje kullanılamıyor (${this.formatProject(project)}): ${resolved.error}`);
+      return null;
+    }
+    return resolved.path;
+  }
+
   async handleHelp(phoneNumber) {
     const currentOrch = await orchestratorManager.getOrchestrator(phoneNumber);
     const info = orchestratorManager.getOrchestratorInfo(currentOrch);
@@ -225,8 +344,10 @@ class TerminalHandler {
       '*Komutlar:*\n',
       '*Asistan*',
       '`!!switch` sıradakine geç',
-      '`!!switch claude|codex|gemini` belirli orkestratör',
+      `\`!!switch ${orchestratorManager.getAvailableOrchestrators().join('|')}\` belirli orkestratör`,
       '`!!switch list|status` liste/durum',
+      '`!!model [ad|default]` model seç/listele',
+      '`!!effort [low|medium|high|default]` düşünme seviyesi',
       '',
       '*Terminal*',
       '`!!new [orch]` yeni session',
@@ -234,10 +355,16 @@ class TerminalHandler {
       '`!!tchange <id>` session değiştir',
       '`!!trename <id> <isim>` yeniden adlandır',
       '`!!tdelete <id>` sil',
+      '`!!proje [alias|default]` çalışma dizini',
       '',
       '*Diğer*',
       '`görevler` arka plan görevleri',
       '`son dosya` son kaydedilen dosya',
+      '`!!kullanim` token/maliyet özeti',
+      '`!!stop [all]` çalışan isteği durdur (all: kuyruğu da temizle)',
+      '`!!kuyruk` bekleyen mesajlar (`!!atla <n>`, `!!temizle`)',
+      '`!!compare <soru>` soruyu tüm orkestratörlerde karşılaştır',
+      '`!!persona [metin|şablon <ad>|sil]` kalıcı talimatların',
       '',
       `Orkestratör: *${info?.name || currentOrch}*`,
       termLine
@@ -358,45 +485,20 @@ class TerminalHandler {
   // --- Store dosyası I/O ---
 
   getStorePath(orchestratorType) {
-    const type = String(orchestratorType || '').toLowerCase().trim();
-    if (type === 'claude') return path.join(paths.dataDir, 'claude-sessions.json');
-    if (type === 'codex') return path.join(paths.dataDir, 'codex-threads.json');
-    if (type === 'gemini') return path.join(paths.dataDir, 'gemini-sessions.json');
-    return null;
+    const adapter = adapterRegistry.get(orchestratorType);
+    return adapter ? adapter.getStorePath() : null;
   }
 
   async readStoreFile(phoneNumber, orchestratorType) {
-    const storePath = this.getStorePath(orchestratorType);
-    if (!storePath) return null;
-    try {
-      const raw = await fs.readFile(storePath, 'utf8');
-      const data = JSON.parse(raw);
-      return data?.[phoneNumber] || null;
-    } catch {
-      return null;
-    }
+    const adapter = adapterRegistry.get(orchestratorType);
+    if (!adapter) return null;
+    return adapter.readStoredState(phoneNumber);
   }
 
   async writeStoreFile(phoneNumber, orchestratorType, stateData) {
-    const storePath = this.getStorePath(orchestratorType);
-    if (!storePath) return;
-
-    let data = {};
-    try {
-      const raw = await fs.readFile(storePath, 'utf8');
-      data = JSON.parse(raw) || {};
-    } catch {
-      data = {};
-    }
-
-    if (stateData) {
-      data[phoneNumber] = stateData;
-    } else {
-      delete data[phoneNumber];
-    }
-
-    await fs.mkdir(path.dirname(storePath), { recursive: true });
-    await fs.writeFile(storePath, JSON.stringify(data, null, 2) + '\n');
+    const adapter = adapterRegistry.get(orchestratorType);
+    if (!adapter) return;
+    await adapter.writeStoredState(phoneNumber, stateData || null);
   }
 
   // --- Registry I/O ---
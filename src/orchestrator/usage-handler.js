@@ -0,0 +1,67 @@
+import { formatCostUsd, formatTokenCount } from '../utils/usage.js';
+
+const PERIOD_LABELS = {
+  day: 'Bugün',
+  month: 'Bu ay'
+};
+
+/**
+ * Kullanım Komut İşleyicisi
+ *
+ * !!kullanim komutu: kullanıcının günlük/aylık token ve tahmini maliyet özeti.
+ */
+class UsageHandler {
+  constructor(db) {
+    this.db = db;
+  }
+
+  isUsageCommand(text) {
+    const lower = String(text || '').toLowerCase().trim();
+    return lower === '!!kullanim' || lower === '!!kullanım' || lower === '!!usage';
+  }
+
+  formatPeriod(summary) {
+    const label = PERIOD_LABELS[summary.period] || summary.period;
+    const { totals } = summary;
+    if (!totals?.requests) {
+      return `*${label}:* kayıt yok`;
+    }
+
+    const lines = [
+      `*${label}:* ${totals.requests} istek, ${formatCostUsd(totals.costUsd)}`,
+      `  girdi ${formatTokenCount(totals.inputTokens)} (cache ${formatTokenCount(totals.cachedTokens)}), çıktı ${formatTokenCount(totals.outputTokens)}`
+    ];
+    for (const row of summary.byOrchestrator) {
+      const model = row.model ? ` (${row.model})` : '';
+      lines.push(
+        `  • ${row.orchestrator}${model}: ${row.requests} istek, ` +
+          `${formatTokenCount(row.inputTokens + row.outputTokens)} token, ${formatCostUsd(row.costUsd)}`
+      );
+    }
+    if (totals.unpricedRequests > 0) {
+      lines.push(`  _${totals.unpricedRequests} istek için fiyat bilinmiyor (USAGE_PRICING)_`);
+    }
+    return lines.join('\n');
+  }
+
+  handle(phoneNumber) {
+    if (!this.db?.getUsageSummary) {
+      return 'Kullanım kaydı tutulmuyor.';
+    }
+
+    const day = this.db.getUsageSummary({ chatId: phoneNumber, period: 'day' });
+    const month = this.db.getUsageSummary({ chatId: phoneNumber, period: 'month' });
+
+    return [
+      '📊 *Kullanım*',
+      '',
+      this.formatPeriod(day),
+      '',
+      this.formatPeriod(month),
+      '',
+      '_Maliyetler CLI raporu yoksa fiyat tablosundan tahmindir._'
+    ].join('\n');
+  }
+}
+
+export default UsageHandler;
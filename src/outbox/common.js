@@ -146,6 +146,26 @@ export async function writeOutboxMessage(payload = {}, options = {}) {
   };
 }
 
+/**
+ * Bu requestId ile outbox'a (bekleyen veya gönderilmiş) mesaj yazılmış mı?
+ * Dosya adındaki request token'ına bakar; requestId'siz mesajlar (noreq) sayılmaz.
+ */
+export async function hasOutboxActivity(requestId, outboxPaths = getOutboxPaths()) {
+  if (!requestId) return false;
+  const token = sanitizeToken(requestId, 24);
+  if (!token || token === 'noreq') return false;
+
+  for (const dir of [outboxPaths.pendingDir, outboxPaths.processedDir]) {
+    try {
+      const files = await fs.readdir(dir);
+      if (files.some((f) => f.includes(token))) return true;
+    } catch {
+      // dizin henüz yok olabilir
+    }
+  }
+  return false;
+}
+
 export function buildOutboxEnv({
   chatId,
   requestId,
@@ -162,13 +182,28 @@ export function buildOutboxEnv({
   };
 }
 
+/**
+ * Outbox script komutları; CLI proje dizininde (!!proje) çalıştığı için mutlak yolla verilir
+ */
+export function getOutboxCommands() {
+  const command = (name) => {
+    const script = path.join(paths.appRoot, 'scripts', name);
+    return `node ${/\s/.test(script) ? JSON.stringify(script) : script}`;
+  };
+  return {
+    message: command('ai-outbox-message.js'),
+    media: command('ai-outbox-media.js')
+  };
+}
+
 export function getOutboxPromptInstructions() {
+  const { message, media } = getOutboxCommands();
   return [
     '## CANLI WHATSAPP MESAJ AKISI',
-    'TUM iletisim (basit cevaplar dahil) node scripts/ai-outbox-message.js komutuyla yapilir.',
+    `TUM iletisim (basit cevaplar dahil) ${message} komutuyla yapilir.`,
     'Response text kullaniciya GONDERILMEZ - sadece sistem tarafindan loglanir.',
     '',
-    'Komut: node scripts/ai-outbox-message.js --type start|progress|final|error --text "mesaj"',
+    `Komut: ${message} --type start|progress|final|error --text "mesaj"`,
     'Bu komut WA_OUTBOX_DIR/WA_CHAT_ID/WA_REQUEST_ID env degiskenlerini otomatik kullanir.',
     '',
     'Mesaj tipleri:',
@@ -178,15 +213,15 @@ export function getOutboxPromptInstructions() {
     '  error    - Hata durumu',
     '',
     'Basit soru icin:',
-    '  node scripts/ai-outbox-message.js --type final --text "4"',
+    `  ${message} --type final --text "4"`,
     '',
     'Uzun is icin:',
-    '  node scripts/ai-outbox-message.js --type start --text "Bakiyorum."',
-    '  node scripts/ai-outbox-message.js --type progress --text "Dosyayi yaziyorum."',
-    '  node scripts/ai-outbox-message.js --type final --text "Hazir! Dosya gonderildi."',
+    `  ${message} --type start --text "Bakiyorum."`,
+    `  ${message} --type progress --text "Dosyayi yaziyorum."`,
+    `  ${message} --type final --text "Hazir! Dosya gonderildi."`,
     '',
     'DOSYA GONDERME (WhatsApp\'a direkt):',
-    '  node scripts/ai-outbox-media.js --file /mutlak/dosya/yolu --caption "Aciklama"',
+    `  ${media} --file /mutlak/dosya/yolu --caption "Aciklama"`,
     'Desteklenen: PDF, PNG, JPG, HTML, ZIP, MP4, MP3 vb.',
     'Her zaman link vermek yerine bunu kullan.',
     '',
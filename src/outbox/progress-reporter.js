@@ -0,0 +1,192 @@
+import path from 'path';
+import logger from '../logger.js';
+import { getOutboxPaths, hasOutboxActivity, writeOutboxMessage } from './common.js';
+
+const MAX_TARGET_LENGTH = 80;
+const MAX_LINES_PER_MESSAGE = 3;
+const TEST_COMMAND_PATTERN = /\b(npm|yarn|pnpm)\s+(run\s+)?test\b|\bnode\s+--test\b|\b(pytest|jest|vitest|mocha)\b|\bgo\s+test\b|\bcargo\s+test\b/;
+
+function parseNumber(value, fallback) {
+  const parsed = Number.parseInt(String(value ?? ''), 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function shorten(value, maxLen = MAX_TARGET_LENGTH) {
+  const text = String(value || '').replace(/\s+/g, ' ').trim();
+  return text.length > maxLen ? `${text.slice(0, maxLen - 1)}…` : text;
+}
+
+/**
+ * Canlı ilerleme akışı açık mı? (PROGRESS_STREAM, varsayılan açık)
+ */
+export function isProgressStreamEnabled() {
+  const raw = String(process.env.PROGRESS_STREAM ?? '1').toLowerCase().trim();
+  return raw === '1' || raw === 'true' || raw === 'yes';
+}
+
+/**
+ * CLI stream parser'larının ürettiği aktiviteyi kullanıcıya gösterilecek satıra çevirir.
+ * Aktivite: { kind: command|edit|read|search|web|fetch|tool, target }
+ */
+export function describeActivity(activity, { cwd = null } = {}) {
+  if (!activity || typeof activity !== 'object') return null;
+  let target = String(activity.target || '').trim();
+
+  if (target && cwd && (activity.kind === 'edit' || activity.kind === 'read') && path.isAbsolute(target)) {
+    const relative = path.relative(cwd, target);
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+      target = relative;
+    }
+  }
+  target = shorten(target);
+
+  switch (activity.kind) {
+    case 'command':
+      if (TEST_COMMAND_PATTERN.test(target)) return 'Testler çalıştırılıyor…';
+      return target ? `Komut çalıştırılıyor: ${target}` : 'Komut çalıştırılıyor…';
+    case 'edit':
+      return target ? `Düzenleniyor: ${target}` : 'Dosya düzenleniyor…';
+    case 'read':
+      return target ? `Okunuyor: ${target}` : 'Dosyalar okunuyor…';
+    case 'search':
+      return target ? `Aranıyor: ${target}` : 'Dosyalarda aranıyor…';
+    case 'web':
+      return target ? `Web'de aranıyor: ${target}` : "Web'de aranıyor…";
+    case 'fetch':
+      return target ? `Sayfa açılıyor: ${target}` : 'Sayfa açılıyor…';
+    case 'tool':
+      return target ? `Araç kullanılıyor: ${target}` : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Canlı İlerleme Bildirici
+ *
+ * Orkestratör çalışırken parser'dan gelen aktiviteleri kısıtlı aralıklarla
+ * (PROGRESS_STREAM_INTERVAL_MS) "progress" outbox mesajı olarak yazar.
+ * Aralık içinde biriken satırlar tek mesajda birleştirilir.
+ *
+ * Mesajlar requestId'siz yazılır (meta.requestId ile bağlanır); böylece
+ * hasOutboxActivity response text'i susturmaz. Model kendisi outbox'a
+ * yazmaya başladıysa bildirici susar.
+ */
+export class ProgressReporter {
+  constructor({
+    chatId,
+    requestId,
+    orchestrator,
+    cwd = null,
+    outboxPaths = getOutboxPaths(),
+    intervalMs = parseNumber(process.env.PROGRESS_STREAM_INTERVAL_MS, 8000),
+    maxMessages = parseNumber(process.env.PROGRESS_STREAM_MAX, 6)
+  }) {
+    this.chatId = chatId;
+    this.requestId = requestId;
+    this.orchestrator = orchestrator;
+    this.cwd = cwd;
+    this.outboxPaths = outboxPaths;
+    this.intervalMs = intervalMs;
+    this.maxMessages = maxMessages;
+
+    this.pending = [];
+    this.lastLine = null;
+    this.lastSentAt = 0;
+    this.sentCount = 0;
+    this.timer = null;
+    this.stopped = false;
+    this.muted = false;
+    this.writing = Promise.resolve();
+
+    // Parser callback'i olarak doğrudan verilebilsin
+    this.report = this.report.bind(this);
+  }
+
+  report(activity) {
+    if (this.stopped || this.muted) return;
+    if (this.sentCount >= this.maxMessages) return;
+
+    const line = describeActivity(activity, { cwd: this.cwd });
+    if (!line || line === this.lastLine) return;
+    this.lastLine = line;
+
+    if (!this.pending.includes(line)) {
+      this.pending.push(line);
+      if (this.pending.length > MAX_LINES_PER_MESSAGE) {
+        this.pending.shift();
+      }
+    }
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.timer) return;
+    const wait = Math.max(0, this.lastSentAt + this.intervalMs - Date.now());
+    if (wait === 0) {
+      this.flush();
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, wait);
+  }
+
+  flush() {
+    if (this.stopped || this.muted || this.pending.length === 0) return;
+    if (this.sentCount >= this.maxMessages) {
+      this.pending = [];
+      return;
+    }
+
+    const text = `⏳ ${this.pending.join('\n')}`;
+    this.pending = [];
+    this.lastSentAt = Date.now();
+    this.sentCount++;
+    this.writing = this.writing.then(() => this.write(text));
+  }
+
+  async write(text) {
+    try {
+      if (await hasOutboxActivity(this.requestId, this.outboxPaths)) {
+        this.muted = true;
+        return;
+      }
+      await writeOutboxMessage(
+        {
+          chatId: this.chatId,
+          requestId: null,
+          orchestrator: this.orchestrator,
+          type: 'progress',
+          text,
+          meta: { source: 'stream', requestId: this.requestId || undefined }
+        },
+        { outboxPaths: this.outboxPaths }
+      );
+    } catch (err) {
+      logger.warn(`İlerleme mesajı yazılamadı: ${err?.message || String(err)}`);
+    }
+  }
+
+  /**
+   * Çalıştırma bitti: bekleyen satırları at, yazılmakta olanları bekle
+   */
+  async stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.pending = [];
+    await this.writing;
+  }
+}
+
+/**
+ * Akış kapalıysa veya hedef sohbet yoksa null döner
+ */
+export function createProgressReporter(options = {}) {
+  if (!isProgressStreamEnabled() || !options.chatId) return null;
+  return new ProgressReporter(options);
+}
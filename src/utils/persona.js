@@ -0,0 +1,118 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../logger.js';
+import { paths } from '../paths.js';
+import { formatPromptBlock } from './prompt-builder.js';
+
+/**
+ * Kullanıcı personası yardımcıları (!!persona ve /api/personas ortak kullanır).
+ *
+ * Persona, kullanıcının kendi yazdığı veya adminin tanımladığı şablondan seçtiği
+ * ek talimat bloğudur. Orkestratörlerin ilk tur talimatına (yeni session/thread)
+ * ve arka plan görevi prompt'una eklenir. Şablonlar config/personas.json'dan okunur:
+ *
+ *   { "templates": {
+ *     "resmi": { "description": "Resmi ve kısa", "content": "Resmi bir dille, kısa cevap ver." }
+ *   } }
+ */
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+export function getPersonaMaxChars() {
+  const value = parseInt(process.env.PERSONA_MAX_CHARS || '2000', 10);
+  return Number.isFinite(value) && value > 0 ? value : 2000;
+}
+
+function getTemplatesPath() {
+  return process.env.PERSONAS_CONFIG_PATH || path.join(paths.configDir, 'personas.json');
+}
+
+/**
+ * Admin şablonları: { name: { description, content } } (her çağrıda dosyadan okunur)
+ */
+export function loadPersonaTemplates() {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(getTemplatesPath(), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn(`Persona şablonları okunamadı: ${err.message}`);
+    }
+    return {};
+  }
+
+  const templates = {};
+  for (const [rawName, entry] of Object.entries(parsed?.templates || {})) {
+    const name = String(rawName).toLowerCase().trim();
+    const content = typeof entry === 'string' ? entry : entry?.content;
+    if (!TEMPLATE_NAME_PATTERN.test(name) || !String(content || '').trim()) continue;
+    templates[name] = {
+      description: typeof entry === 'object' && entry.description ? String(entry.description) : '',
+      content: String(content).trim()
+    };
+  }
+  return templates;
+}
+
+/**
+ * Kullanıcının personasını kaydet: metin (boyut limiti uygulanır) veya şablon adı
+ * Return: { persona } | { error }
+ */
+export function savePersona(db, chatId, { content = null, template = null } = {}) {
+  if (typeof db?.setPersona !== 'function') {
+    return { error: 'Persona kaydı tutulmuyor.' };
+  }
+
+  if (template) {
+    const name = String(template).toLowerCase().trim();
+    const entry = loadPersonaTemplates()[name];
+    if (!entry) {
+      return { error: `Bilinmeyen şablon: "${template}"` };
+    }
+    db.setPersona({ chatId, content: entry.content, template: name });
+    return { persona: db.getPersona(chatId) };
+  }
+
+  const text = String(content || '').trim();
+  if (!text) {
+    return { error: 'Persona metni boş olamaz.' };
+  }
+  const maxChars = getPersonaMaxChars();
+  if (text.length > maxChars) {
+    return { error: `Persona çok uzun (${text.length} karakter). En fazla ${maxChars} karakter.` };
+  }
+
+  db.setPersona({ chatId, content: text, template: null });
+  return { persona: db.getPersona(chatId) };
+}
+
+/**
+ * Kayıtlı persona metni; yoksa veya DB okunamazsa null
+ */
+export function getPersonaContent(db, chatId) {
+  try {
+    return db?.getPersona?.(chatId)?.content || null;
+  } catch (err) {
+    logger.warn(`Persona okunamadı: ${err?.message || String(err)}`);
+    return null;
+  }
+}
+
+export const PERSONA_TAG = 'KULLANICI PERSONASI';
+
+/**
+ * Persona bloğunun içeriği (persona yoksa boş; PromptBuilder bölümü olarak da kullanılır)
+ */
+export function formatPersonaContent(persona) {
+  const text = String(persona || '').trim();
+  if (!text) return '';
+  return `Kullanıcının kalıcı tercihleri; aksi istenmedikçe tüm cevaplarda uygula:\n${text}`;
+}
+
+/**
+ * Prompt'a eklenecek persona bloğu (persona yoksa boş)
+ */
+export function formatPersonaBlock(persona) {
+  const content = formatPersonaContent(persona);
+  return content ? formatPromptBlock(PERSONA_TAG, content) : '';
+}
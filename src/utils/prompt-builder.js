@@ -0,0 +1,205 @@
+import logger from '../logger.js';
+
+/**
+ * Prompt derleyici
+ *
+ * Orkestratöre giden prompt'u adlandırılmış bölümlerden kurar ve orkestratör
+ * bazlı bütçeye sığdırır. Bütçe aşılırsa en düşük öncelikli bölümden başlayarak
+ * bölüm kısaltılır, kısaltma anlamsız kalıyorsa tamamen çıkarılır; required bölümlere
+ * dokunulmaz. Bölümler eklendikleri sırayla yazılır:
+ *
+ *   const builder = new PromptBuilder({ orchestrator: 'codex' });
+ *   builder
+ *     .add('message', body, { required: true })
+ *     .add('system_notes', notes, { tag: 'SISTEM MESAJLARI', priority: 70 });
+ *   const { prompt } = builder.build({ requestId, chatId });
+ *
+ * Bütçe PROMPT_BUDGETS (JSON) ile verilir; değer karakter sayısı veya { chars } / { tokens }:
+ *
+ *   PROMPT_BUDGETS='{"default": 120000, "local": {"tokens": 8000}}'
+ *
+ * build'e requestId verilirse son PROMPT_DUMP_LIMIT prompt bellekte tutulur (GET /api/prompts/:requestId).
+ */
+
+const DEFAULT_BUDGET_CHARS = 120000;
+const CHARS_PER_TOKEN = 4;
+const MIN_SECTION_CHARS = 200;
+const TRUNCATION_MARKER = '…(kısaltıldı)';
+
+/**
+ * [ETIKET] ... [/ETIKET] bloğu (prompt'taki diğer bloklarla aynı biçim)
+ */
+export function formatPromptBlock(tag, content) {
+  return `\n\n[${tag}]\n${content}\n[/${tag}]\n`;
+}
+
+function parseBudgets() {
+  const raw = String(process.env.PROMPT_BUDGETS || '').trim();
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    logger.warn(`PROMPT_BUDGETS okunamadı: ${err.message}`);
+    return {};
+  }
+}
+
+function toChars(value) {
+  if (typeof value === 'number') return value;
+  if (value && typeof value === 'object') {
+    if (Number(value.chars) > 0) return Number(value.chars);
+    if (Number(value.tokens) > 0) return Number(value.tokens) * CHARS_PER_TOKEN;
+  }
+  return null;
+}
+
+/**
+ * Orkestratörün prompt bütçesi (karakter)
+ */
+export function getPromptBudget(orchestrator) {
+  const budgets = parseBudgets();
+  const chars = toChars(budgets[orchestrator]) ?? toChars(budgets.default);
+  return chars > 0 ? Math.floor(chars) : DEFAULT_BUDGET_CHARS;
+}
+
+/**
+ * Son derlenen prompt'lar (requestId -> döküm), hata ayıklama için
+ */
+class PromptDumpStore {
+  constructor() {
+    this.dumps = new Map();
+  }
+
+  getLimit() {
+    const value = parseInt(process.env.PROMPT_DUMP_LIMIT || '50', 10);
+    return Number.isFinite(value) && value >= 0 ? value : 50;
+  }
+
+  record(dump) {
+    const limit = this.getLimit();
+    if (!dump?.requestId || limit === 0) return;
+    this.dumps.delete(dump.requestId);
+    this.dumps.set(dump.requestId, dump);
+    while (this.dumps.size > limit) {
+      this.dumps.delete(this.dumps.keys().next().value);
+    }
+  }
+
+  get(requestId) {
+    return this.dumps.get(requestId) || null;
+  }
+
+  list() {
+    return Array.from(this.dumps.values())
+      .reverse()
+      .map(({ prompt: _, ...summary }) => summary);
+  }
+}
+
+export const promptDumps = new PromptDumpStore();
+
+class PromptBuilder {
+  constructor({ orchestrator = null, budget = null } = {}) {
+    this.orchestrator = orchestrator;
+    this.budget = budget || getPromptBudget(orchestrator);
+    this.sections = [];
+  }
+
+  /**
+   * Bölüm ekle (boş içerik atlanır)
+   * options.priority: büyük olan daha geç kısaltılır (varsayılan 50)
+   * options.required: bütçe aşılsa da dokunulmaz
+   * options.tag: içerik [tag] ... [/tag] bloğu olarak yazılır
+   * options.keep: kısaltmada korunacak uç ('head' | 'tail')
+   * Etiketsiz bölüm ilk sıradaysa olduğu gibi, değilse boş satırla ayrılarak yazılır.
+   */
+  add(name, content, { priority = 50, required = false, tag = null, keep = 'head' } = {}) {
+    const text = String(content ?? '').trim();
+    if (text) {
+      this.sections.push({ name, content: text, priority, required, tag, keep });
+    }
+    return this;
+  }
+
+  render(section, index) {
+    if (section.dropped) return '';
+    if (section.tag) return formatPromptBlock(section.tag, section.text);
+    return index === 0 ? section.text : `\n\n${section.text}\n`;
+  }
+
+  shorten(section, maxChars) {
+    const keepChars = Math.max(0, maxChars - TRUNCATION_MARKER.length - 1);
+    return section.keep === 'tail'
+      ? `${TRUNCATION_MARKER}\n${section.content.slice(-keepChars)}`
+      : `${section.content.slice(0, keepChars)}\n${TRUNCATION_MARKER}`;
+  }
+
+  /**
+   * Return: { prompt, chars, budget, overBudget, sections: [{ name, priority, chars, originalChars, status }] }
+   * status: 'ok' | 'truncated' | 'dropped'
+   */
+  build({ requestId = null, chatId = null } = {}) {
+    const items = this.sections.map((section) => ({ ...section, text: section.content, status: 'ok' }));
+    const lengthOf = () => items.reduce((sum, item, index) => sum + this.render(item, index).length, 0);
+
+    let total = lengthOf();
+    const candidates = items
+      .filter((item) => !item.required)
+      .sort((a, b) => a.priority - b.priority);
+
+    for (const item of candidates) {
+      if (total <= this.budget) break;
+      const excess = total - this.budget;
+      const remaining = item.content.length - excess;
+      if (remaining >= MIN_SECTION_CHARS) {
+        item.text = this.shorten(item, remaining);
+        item.status = 'truncated';
+      } else {
+        item.dropped = true;
+        item.status = 'dropped';
+      }
+      total = lengthOf();
+    }
+
+    const prompt = items.map((item, index) => this.render(item, index)).join('');
+    const result = {
+      prompt,
+      chars: prompt.length,
+      budget: this.budget,
+      overBudget: prompt.length > this.budget,
+      sections: items.map((item) => ({
+        name: item.name,
+        priority: item.priority,
+        chars: item.dropped ? 0 : item.text.length,
+        originalChars: item.content.length,
+        status: item.status
+      }))
+    };
+
+    const changed = result.sections.filter((section) => section.status !== 'ok');
+    if (changed.length > 0 || result.overBudget) {
+      logger.warn(
+        `Prompt bütçesi aşıldı (${this.orchestrator || 'varsayılan'}, ${this.budget} karakter): ` +
+          `${changed.map((section) => `${section.name}=${section.status}`).join(', ') || 'zorunlu bölümler sığmıyor'}`
+      );
+    }
+
+    if (requestId) {
+      promptDumps.record({
+        requestId,
+        chatId,
+        orchestrator: this.orchestrator,
+        createdAt: new Date().toISOString(),
+        chars: result.chars,
+        budget: result.budget,
+        sections: result.sections,
+        prompt
+      });
+    }
+
+    return result;
+  }
+}
+
+export default PromptBuilder;
@@ -0,0 +1,29 @@
+import { ChildProcess } from 'child_process';
+
+const DEFAULT_KILL_GRACE_MS = 5000;
+
+/**
+ * PROCESS_KILL_GRACE_MS: SIGTERM'den sonra SIGKILL'e kadar beklenecek süre (0 = SIGKILL gönderme)
+ */
+export function getKillGraceMs() {
+  const value = parseInt(process.env.PROCESS_KILL_GRACE_MS || String(DEFAULT_KILL_GRACE_MS), 10);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_KILL_GRACE_MS;
+}
+
+/**
+ * Süreci SIGTERM ile durdur; süre içinde çıkmazsa SIGKILL gönder.
+ * ChildProcess olmayan handle'larda (ör. HTTP isteği) sadece kill() çağrılır.
+ */
+export function terminateProcess(child, graceMs = getKillGraceMs()) {
+  if (!child) return;
+  child.kill('SIGTERM');
+  if (!(child instanceof ChildProcess) || graceMs <= 0) return;
+
+  const timer = setTimeout(() => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill('SIGKILL');
+    }
+  }, graceMs);
+  timer.unref();
+  child.once('exit', () => clearTimeout(timer));
+}
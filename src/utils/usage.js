@@ -0,0 +1,144 @@
+import logger from '../logger.js';
+
+/**
+ * Token/maliyet muhasebesi yardımcıları.
+ *
+ * Tüm backend'ler kullanımı aynı biçimde döner:
+ *   { inputTokens, outputTokens, cachedTokens, costUsd }
+ * inputTokens cache'den okunanlar dahil toplam girdi, cachedTokens bunun cache kısmıdır.
+ * costUsd sadece CLI kendisi raporladıysa doludur (claude), yoksa fiyat tablosundan tahmin edilir.
+ */
+
+// USD / 1M token (input, output, cached input). Model adında ilk eşleşen anahtar kullanılır.
+const DEFAULT_PRICING = {
+  opus: { input: 15, output: 75, cached: 1.5 },
+  sonnet: { input: 3, output: 15, cached: 0.3 },
+  haiku: { input: 1, output: 5, cached: 0.1 },
+  'gpt-5-mini': { input: 0.25, output: 2, cached: 0.025 },
+  'gpt-5': { input: 1.25, output: 10, cached: 0.125 },
+  'gemini-2.5-pro': { input: 1.25, output: 10, cached: 0.31 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5, cached: 0.075 }
+};
+
+function toCount(value) {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? Math.round(num) : 0;
+}
+
+export function createUsage({ inputTokens = 0, outputTokens = 0, cachedTokens = 0, costUsd = null } = {}) {
+  const cost = Number(costUsd);
+  return {
+    inputTokens: toCount(inputTokens),
+    outputTokens: toCount(outputTokens),
+    cachedTokens: toCount(cachedTokens),
+    costUsd: costUsd !== null && costUsd !== undefined && Number.isFinite(cost) ? cost : null
+  };
+}
+
+/**
+ * İki kullanım kaydını topla (ör: codex primer + asıl mesaj, tool turları)
+ */
+export function mergeUsage(a, b) {
+  if (!a) return b ? createUsage(b) : null;
+  if (!b) return createUsage(a);
+  const costs = [a.costUsd, b.costUsd].filter((value) => value !== null && value !== undefined);
+  return createUsage({
+    inputTokens: (a.inputTokens || 0) + (b.inputTokens || 0),
+    outputTokens: (a.outputTokens || 0) + (b.outputTokens || 0),
+    cachedTokens: (a.cachedTokens || 0) + (b.cachedTokens || 0),
+    costUsd: costs.length ? costs.reduce((sum, value) => sum + value, 0) : null
+  });
+}
+
+export function isEmptyUsage(usage) {
+  return !usage || (!usage.inputTokens && !usage.outputTokens && usage.costUsd === null);
+}
+
+/**
+ * USAGE_PRICING (JSON) varsayılan tabloyu override eder/genişletir:
+ *   {"sonnet": {"input": 3, "output": 15, "cached": 0.3}, "qwen": {"input": 0, "output": 0}}
+ */
+export function getPricingTable() {
+  const raw = String(process.env.USAGE_PRICING || '').trim();
+  if (!raw) return DEFAULT_PRICING;
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(raw) };
+  } catch (err) {
+    logger.warn(`USAGE_PRICING okunamadı: ${err.message}`);
+    return DEFAULT_PRICING;
+  }
+}
+
+export function findPricing(model) {
+  const name = String(model || '').toLowerCase();
+  if (!name) return null;
+  const table = getPricingTable();
+  // Uzun anahtar önce: "gpt-5-mini", "gpt-5"ten önce eşleşmeli
+  const key = Object.keys(table)
+    .sort((a, b) => b.length - a.length)
+    .find((candidate) => name.includes(candidate.toLowerCase()));
+  return key ? table[key] : null;
+}
+
+/**
+ * Fiyat tablosundan tahmini maliyet; model bilinmiyorsa null
+ */
+export function estimateCostUsd(model, usage) {
+  const pricing = findPricing(model);
+  if (!pricing || !usage) return null;
+  const cached = Math.min(usage.cachedTokens || 0, usage.inputTokens || 0);
+  const uncached = (usage.inputTokens || 0) - cached;
+  const cachedRate = pricing.cached ?? pricing.input ?? 0;
+  return (
+    (uncached * (pricing.input || 0) + cached * cachedRate + (usage.outputTokens || 0) * (pricing.output || 0)) /
+    1_000_000
+  );
+}
+
+/**
+ * DB'ye yazılacak kullanım kaydı (maliyet raporlanmadıysa tahmin edilir)
+ */
+export function buildUsageRecord({ chatId, orchestrator, model = null, usage, source = 'chat', requestId = null, taskId = null }) {
+  if (isEmptyUsage(usage)) return null;
+  const normalized = createUsage(usage);
+  const reported = normalized.costUsd !== null;
+  return {
+    chatId,
+    orchestrator: orchestrator || 'unknown',
+    model: model || null,
+    source,
+    requestId,
+    taskId,
+    inputTokens: normalized.inputTokens,
+    outputTokens: normalized.outputTokens,
+    cachedTokens: normalized.cachedTokens,
+    costUsd: reported ? normalized.costUsd : estimateCostUsd(model, normalized),
+    costEstimated: !reported
+  };
+}
+
+export function formatTokenCount(value) {
+  const num = Number(value) || 0;
+  if (num >= 1_000_000) return `${(num / 1_000_000).toFixed(1)}M`;
+  if (num >= 1_000) return `${(num / 1_000).toFixed(1)}K`;
+  return String(num);
+}
+
+export function formatCostUsd(value) {
+  const num = Number(value) || 0;
+  return num >= 1 ? `$${num.toFixed(2)}` : `$${num.toFixed(4)}`;
+}
+
+/**
+ * Kullanım kaydını DB'ye yaz; kullanım yoksa veya DB yazılamazsa sessizce geçer
+ */
+export function recordExecutionUsage(db, options) {
+  const record = buildUsageRecord(options);
+  if (!record || typeof db?.recordUsage !== 'function') return null;
+  try {
+    db.recordUsage(record);
+  } catch (err) {
+    logger.warn(`Kullanım kaydı yazılamadı: ${err?.message || String(err)}`);
+  }
+  return record;
+}
@@ -106,6 +106,16 @@ class WhatsAppClient extends EventEmitter {
         this.emit('message_sent', message);
       }
     });
+
+    // Düzenlenen mesaj: (güncel mesaj, yeni metin, önceki metin)
+    this.client.on('message_edit', (message, newBody, prevBody) => {
+      this.emit('message_edit', message, newBody, prevBody);
+    });
+
+    // Herkesten silinen mesaj: (silinmiş hali, orijinal mesaj - bulunamazsa undefined)
+    this.client.on('message_revoke_everyone', (message, revokedMessage) => {
+      this.emit('message_revoke', message, revokedMessage);
+    });
   }
 
   async sendMessage(chatId, message) {
@@ -123,14 +133,14 @@ class WhatsAppClient extends EventEmitter {
     }
   }
 
-  async sendMediaMessage(chatId, filePath, caption = '') {
+  async sendMediaMessage(chatId, filePath, caption = '', sendOptions = {}) {
     if (!this.isReady) {
       throw new Error('WhatsApp bağlantısı hazır değil');
     }
 
     try {
       const media = MessageMedia.fromFilePath(filePath);
-      const options = caption ? { caption } : {};
+      const options = caption ? { ...sendOptions, caption } : { ...sendOptions };
       const result = await this.client.sendMessage(chatId, media, options);
       logger.info(`Medya gönderildi: ${chatId} - ${filePath}`);
       return result;
@@ -0,0 +1,237 @@
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import { extractText, getDocumentProxy } from 'unpdf';
+import logger from '../logger.js';
+
+/**
+ * Belge Metni Çıkarma
+ *
+ * Kaydedilen PDF, DOCX, XLSX/CSV, Markdown ve kaynak kod dosyalarından yerel kütüphanelerle
+ * (unpdf, jszip) metin çıkarılır. Metnin tamamı dosyanın yanına <dosya>.extracted.txt olarak
+ * önbelleğe yazılır; prompt'a sınırlı bir alıntı ve dosya yolları eklenir. Böylece görsel/dosya
+ * okuyamayan orkestratörler de içerikle çalışabilir.
+ *
+ * - DOC_EXTRACT=0: kapatır
+ * - DOC_EXTRACT_MAX_MB (JSON): tür bazlı azami dosya boyutu, ör. {"pdf": 50, "text": 1}
+ *   (varsayılan pdf 25, docx 15, xlsx 15, csv 10, text 5)
+ * - DOC_EXTRACT_EXCERPT_CHARS: prompt'a eklenecek alıntı uzunluğu (varsayılan 6000)
+ */
+
+const DEFAULT_MAX_MB = { pdf: 25, docx: 15, xlsx: 15, csv: 10, text: 5 };
+const MAX_CACHED_CHARS = 2000000;
+const CACHE_SUFFIX = '.extracted.txt';
+
+const DOCX_MIMETYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX_MIMETYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const TEXT_MIMETYPES = [
+  'application/json',
+  'application/xml',
+  'application/javascript',
+  'application/x-javascript',
+  'application/x-yaml',
+  'application/x-sh',
+  'application/sql'
+];
+const TEXT_EXTENSIONS = new Set([
+  'txt', 'md', 'markdown', 'rst', 'log', 'json', 'yaml', 'yml', 'toml', 'ini', 'xml', 'html', 'htm', 'css',
+  'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'py', 'rb', 'php', 'java', 'kt', 'swift', 'go', 'rs', 'c', 'h',
+  'cpp', 'hpp', 'cc', 'cs', 'sh', 'bash', 'zsh', 'ps1', 'sql', 'vue', 'svelte', 'dart', 'lua', 'r', 'scala'
+]);
+
+export function isExtractionEnabled() {
+  return process.env.DOC_EXTRACT !== '0';
+}
+
+export function getExcerptChars() {
+  const value = parseInt(process.env.DOC_EXTRACT_EXCERPT_CHARS || '6000', 10);
+  return Number.isFinite(value) && value > 0 ? value : 6000;
+}
+
+/**
+ * Tür bazlı azami boyut (byte); DOC_EXTRACT_MAX_MB JSON'u varsayılanları ezer
+ */
+export function getMaxBytes(kind) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.DOC_EXTRACT_MAX_MB || '{}') || {};
+  } catch {
+    logger.warn('DOC_EXTRACT_MAX_MB geçerli JSON değil, varsayılanlar kullanılıyor');
+  }
+  const mb = Number(overrides[kind]);
+  return (Number.isFinite(mb) && mb > 0 ? mb : DEFAULT_MAX_MB[kind]) * 1024 * 1024;
+}
+
+/**
+ * Çıkarma türü: pdf | docx | xlsx | csv | text | null (desteklenmiyor)
+ * WhatsApp kaynak dosyalarını çoğu zaman application/octet-stream gönderir; uzantıya da bakılır.
+ */
+export function getExtractionKind({ mimetype = '', originalName = '', absolutePath = '' } = {}) {
+  const normalized = String(mimetype || '').toLowerCase();
+  const ext = path.extname(originalName || absolutePath).slice(1).toLowerCase();
+
+  if (normalized === 'application/pdf' || ext === 'pdf') return 'pdf';
+  if (normalized === DOCX_MIMETYPE || ext === 'docx') return 'docx';
+  if (normalized === XLSX_MIMETYPE || ext === 'xlsx') return 'xlsx';
+  if (normalized === 'text/csv' || ext === 'csv' || ext === 'tsv') return 'csv';
+  if (normalized.startsWith('text/') || TEXT_MIMETYPES.includes(normalized) || TEXT_EXTENSIONS.has(ext)) return 'text';
+  return null;
+}
+
+export function getCachePath(absolutePath) {
+  return `${absolutePath}${CACHE_SUFFIX}`;
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+async function extractPdf(buffer) {
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  const { text } = await extractText(pdf, { mergePages: true });
+  return text;
+}
+
+/**
+ * DOCX: word/document.xml paragrafları (alan kodları ve silinen metin hariç)
+ */
+async function extractDocx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const xml = await zip.file('word/document.xml')?.async('string');
+  if (!xml) throw new Error('word/document.xml bulunamadı');
+
+  const text = xml
+    .replace(/<w:(instrText|delText)\b[^>]*>[\s\S]*?<\/w:\1>/g, '')
+    .replace(/<w:tab\b[^>]*\/>/g, '\t')
+    .replace(/<w:br\b[^>]*\/>|<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+  return decodeXmlEntities(text);
+}
+
+function columnIndex(cellRef) {
+  const letters = String(cellRef || '').match(/^[A-Z]+/i)?.[0]?.toUpperCase() || '';
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return Math.max(0, index - 1);
+}
+
+function xmlText(fragment) {
+  return decodeXmlEntities([...fragment.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map((m) => m[1]).join(''));
+}
+
+/**
+ * XLSX: her sayfa başlık + sekmeyle ayrılmış satırlar (paylaşılan metinler çözülür)
+ */
+async function extractXlsx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const read = async (name) => (await zip.file(name)?.async('string')) || '';
+
+  const sharedStrings = [...(await read('xl/sharedStrings.xml')).matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => xmlText(m[1]));
+  const rels = new Map(
+    [...(await read('xl/_rels/workbook.xml.rels')).matchAll(/<Relationship\b[^>]*\bId="([^"]+)"[^>]*\bTarget="([^"]+)"/g)].map(
+      (m) => [m[1], m[2].replace(/^\/?(xl\/)?/, 'xl/')]
+    )
+  );
+  const sheets = [...(await read('xl/workbook.xml')).matchAll(/<sheet\b[^>]*\bname="([^"]*)"[^>]*\br:id="([^"]+)"/g)].map((m) => ({
+    name: decodeXmlEntities(m[1]),
+    file: rels.get(m[2])
+  }));
+
+  const sections = [];
+  for (const sheet of sheets) {
+    const xml = sheet.file ? await read(sheet.file) : '';
+    const rows = [];
+    for (const [, rowXml] of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+      const cells = [];
+      for (const [, attrs, body = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const type = attrs.match(/\bt="([^"]+)"/)?.[1];
+        const value = body.match(/<v>([\s\S]*?)<\/v>/)?.[1] ?? '';
+        let text = decodeXmlEntities(value);
+        if (type === 's') text = sharedStrings[parseInt(value, 10)] ?? '';
+        if (type === 'inlineStr') text = xmlText(body);
+        if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+        cells[columnIndex(attrs.match(/\br="([^"]+)"/)?.[1])] = text;
+      }
+      if (cells.some((cell) => cell)) {
+        rows.push(Array.from(cells, (cell) => cell ?? '').join('\t'));
+      }
+    }
+    sections.push(`## ${sheet.name}\n${rows.join('\n')}`);
+  }
+  return sections.join('\n\n');
+}
+
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Kaydedilen dosyanın metnini çıkar (önbellek varsa ondan okur).
+ * Return: null (desteklenmeyen tür) | { kind, text, cachePath, totalChars } | { kind, skipped: 'neden' }
+ * Okuma/çözümleme hatasında throw.
+ */
+export async function extractDocumentText(savedMediaInfo) {
+  const kind = getExtractionKind(savedMediaInfo);
+  if (!kind) return null;
+
+  const { absolutePath } = savedMediaInfo;
+  const { size, mtimeMs } = await fs.promises.stat(absolutePath);
+  const maxBytes = getMaxBytes(kind);
+  if (size > maxBytes) {
+    return { kind, skipped: `${kind} metin çıkarma sınırı ${Math.round(maxBytes / 1024 / 1024)}MB` };
+  }
+
+  const cachePath = getCachePath(absolutePath);
+  const cached = await fs.promises.stat(cachePath).catch(() => null);
+  if (cached && cached.mtimeMs >= mtimeMs) {
+    const text = await fs.promises.readFile(cachePath, 'utf8');
+    return { kind, text, cachePath, totalChars: text.length };
+  }
+
+  const startedAt = Date.now();
+  const buffer = await fs.promises.readFile(absolutePath);
+  let raw;
+  if (kind === 'pdf') raw = await extractPdf(buffer);
+  else if (kind === 'docx') raw = await extractDocx(buffer);
+  else if (kind === 'xlsx') raw = await extractXlsx(buffer);
+  else raw = buffer.toString('utf8');
+
+  const text = normalizeText(raw).substring(0, MAX_CACHED_CHARS);
+  await fs.promises.writeFile(cachePath, text, 'utf8');
+  logger.info(`Belge metni çıkarıldı (${kind}, ${Date.now() - startedAt}ms, ${text.length} karakter): ${path.basename(absolutePath)}`);
+  return { kind, text, cachePath, totalChars: text.length };
+}
+
+/**
+ * Prompt bloğu: dosya yolu, tam metin yolu ve sınırlı alıntı
+ */
+export function formatDocumentExcerpt(savedMediaInfo, extraction, excerptChars = getExcerptChars()) {
+  const name = savedMediaInfo.originalName || path.basename(savedMediaInfo.absolutePath);
+  const lines = [`"${name}" (${extraction.kind}) — dosya: ${savedMediaInfo.absolutePath}`];
+  if (!extraction.text) {
+    lines.push('Dosyada okunabilir metin bulunamadı (taranmış PDF olabilir).');
+    return lines.join('\n');
+  }
+
+  const truncated = extraction.text.length > excerptChars;
+  lines.push(
+    `Çıkarılan metnin tamamı: ${extraction.cachePath} (${extraction.totalChars} karakter` +
+      `${truncated ? `; aşağıda ilk ${excerptChars} karakter, devamı için dosyayı oku` : ''})`
+  );
+  lines.push('---', truncated ? `${extraction.text.slice(0, excerptChars)}…` : extraction.text, '---');
+  return lines.join('\n');
+}
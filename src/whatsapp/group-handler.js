@@ -0,0 +1,174 @@
+import logger from '../logger.js';
+import { maskPhoneLike } from '../utils/redact.js';
+
+const DEFAULT_PREFIX = '!ai';
+const MAX_TRACKED_REQUESTS = 500;
+
+export const GROUP_TAG = 'GRUP MESAJI';
+
+/**
+ * Grup Sohbetleri
+ *
+ * Sadece config/sessions.json'daki "groups" listesinde olan gruplara cevap verilir:
+ *
+ *   "groups": {
+ *     "120363012345678901@g.us": {
+ *       "name": "Proje", "prefix": "!ai", "participants": ["905551112233"], "commandRoles": ["admin"]
+ *     }
+ *   }
+ *
+ * - Bot, mesajda etiketlendiyse (@bahsetme) veya mesaj grubun prefix'iyle başlıyorsa tetiklenir;
+ *   prefix/etiket metinden çıkarılıp kalanı normal mesaj gibi işlenir.
+ * - participants verilmişse sadece o numaralar botu tetikleyebilir (boş/yoksa gruptaki herkes).
+ * - Oturum sahibi grubun kendisidir (session, terminal, geçmiş grupta ortak); prompt'a gönderen eklenir.
+ * - Rol/profil tetikleyen katılımcının numarasına göre, mesaj kuyruğa girerken belirlenir (job.profile).
+ * - Ortak durumu değiştiren komutlar (!!switch, !!proje, !!model, !!stop...) sadece "commandRoles"
+ *   rollerine açıktır (varsayılan admin).
+ * - Gruba giden cevaplar (outbox dahil) tetikleyen mesajı alıntılar.
+ */
+class GroupHandler {
+  constructor({ getConfig, getBotIds = () => [] } = {}) {
+    this.getConfig = getConfig;
+    this.getBotIds = getBotIds;
+    this.quoteByRequestId = new Map(); // requestId -> { chatId, messageId }
+  }
+
+  isGroupChat(chatId) {
+    return String(chatId || '').endsWith('@g.us');
+  }
+
+  getGroupConfig(chatId) {
+    const groups = this.getConfig()?.groups;
+    if (!groups || typeof groups !== 'object') return null;
+    const entry = groups[chatId];
+    if (!entry) return null;
+    return entry === true ? {} : entry;
+  }
+
+  normalizeDigits(value) {
+    return String(value || '').replace(/\D/g, '');
+  }
+
+  /**
+   * Grup listede mi, gönderen (varsa) katılımcı listesinde mi?
+   */
+  isAllowed(chatId, sender) {
+    const group = this.getGroupConfig(chatId);
+    if (!group) return false;
+
+    const participants = Array.isArray(group.participants) ? group.participants : [];
+    if (participants.length === 0 || participants.includes('*')) return true;
+
+    const candidates = [sender?.id, sender?.number].map((value) => this.normalizeDigits(value)).filter(Boolean);
+    return participants.some((entry) => candidates.includes(this.normalizeDigits(entry)));
+  }
+
+  /**
+   * Grubun ortak oturumunu/kuyruğunu değiştiren komutları kullanabilen roller
+   * (grup config'inde "commandRoles", varsayılan sadece admin)
+   */
+  getCommandRoles(chatId) {
+    const roles = this.getGroupConfig(chatId)?.commandRoles;
+    return Array.isArray(roles) && roles.length > 0 ? roles.map((role) => String(role)) : ['admin'];
+  }
+
+  getPrefix(chatId) {
+    const prefix = this.getGroupConfig(chatId)?.prefix;
+    return typeof prefix === 'string' && prefix.trim() ? prefix.trim() : DEFAULT_PREFIX;
+  }
+
+  isBotMentioned(message) {
+    const botDigits = this.getBotIds().map((id) => this.normalizeDigits(id)).filter(Boolean);
+    if (botDigits.length === 0) return false;
+    const mentioned = Array.isArray(message.mentionedIds) ? message.mentionedIds : [];
+    return mentioned.some((id) => botDigits.includes(this.normalizeDigits(id?._serialized || id)));
+  }
+
+  /**
+   * Mesaj botu tetikliyor mu? Tetikliyorsa prefix/etiketi çıkarılmış metni döner, yoksa null.
+   */
+  getTriggeredText(message) {
+    const chatId = message.from;
+    const body = String(message.body || '').trim();
+    const prefix = this.getPrefix(chatId);
+
+    // Prefix tek başına bir kelime olmalı: "!ai soru" tetikler, "!airport" tetiklemez
+    const rest = body.slice(prefix.length);
+    if (body.toLowerCase().startsWith(prefix.toLowerCase()) && (rest === '' || /^\s/.test(rest))) {
+      return rest.trim();
+    }
+
+    if (this.isBotMentioned(message)) {
+      const botDigits = this.getBotIds().map((id) => this.normalizeDigits(id)).filter(Boolean);
+      let text = body;
+      for (const digits of botDigits) {
+        text = text.replace(new RegExp(`@${digits}\\b`, 'g'), ' ');
+      }
+      return text.replace(/\s+/g, ' ').trim();
+    }
+
+    return null;
+  }
+
+  /**
+   * Gelen grup mesajını süz: yetkisiz/tetiklemeyen mesajlar için null
+   */
+  accept(message, sender) {
+    const chatId = message.from;
+    if (!this.getGroupConfig(chatId)) return null;
+
+    const text = this.getTriggeredText(message);
+    if (text === null) return null;
+
+    if (!this.isAllowed(chatId, sender)) {
+      logger.warn(`Grup mesajı yetkisiz katılımcıdan: ${maskPhoneLike(chatId)} / ${maskPhoneLike(sender?.id || '')}`);
+      return null;
+    }
+    return text;
+  }
+
+  formatSenderLabel(sender) {
+    if (!sender) return 'bilinmeyen katılımcı';
+    const number = sender.number ? `+${this.normalizeDigits(sender.number)}` : null;
+    if (sender.name && number) return `${sender.name} (${number})`;
+    return sender.name || number || sender.id || 'bilinmeyen katılımcı';
+  }
+
+  /**
+   * Prompt'a girecek gönderen bilgisi
+   */
+  formatAttribution(chatId, sender) {
+    const name = this.getGroupConfig(chatId)?.name;
+    return [
+      `Bu mesaj ${name ? `"${name}" grubundan` : 'bir WhatsApp grubundan'} geldi. Gönderen: ${this.formatSenderLabel(sender)}.`,
+      'Grupta birden fazla kişi var; önceki mesajlar farklı katılımcılardan gelmiş olabilir. Cevabını gönderene hitaben yaz.'
+    ].join('\n');
+  }
+
+  /**
+   * Geçmişte kimin yazdığı görünsün (sıkıştırma özeti vb.)
+   */
+  formatLogLine(sender, text) {
+    return `${this.formatSenderLabel(sender)}: ${text}`;
+  }
+
+  /**
+   * requestId'li outbox mesajları tetikleyen mesajı alıntılasın
+   */
+  trackRequest(chatId, requestId, messageId) {
+    if (!this.isGroupChat(chatId) || !requestId || !messageId) return;
+    this.quoteByRequestId.set(requestId, { chatId, messageId });
+    if (this.quoteByRequestId.size > MAX_TRACKED_REQUESTS) {
+      this.quoteByRequestId.delete(this.quoteByRequestId.keys().next().value);
+    }
+  }
+
+  getQuotedMessageId(envelope) {
+    const requestId = envelope?.requestId || envelope?.meta?.requestId;
+    if (!requestId) return null;
+    const entry = this.quoteByRequestId.get(requestId);
+    return entry && entry.chatId === envelope.chatId ? entry.messageId : null;
+  }
+}
+
+export default GroupHandler;
@@ -7,9 +7,30 @@ import logger from '../logger.js';
 import { paths } from '../paths.js';
 import { taskManager } from '../background/task-manager.js';
 import { maskPhoneLike } from '../utils/redact.js';
+import { recordExecutionUsage } from '../utils/usage.js';
+import { recordRetryMetrics } from '../orchestrator/retry-policy.js';
+import { getPersonaContent } from '../utils/persona.js';
+import PromptBuilder, { formatPromptBlock } from '../utils/prompt-builder.js';
 import SwitchHandler from '../orchestrator/switch-handler.js';
 import TerminalHandler from '../orchestrator/terminal-handler.js';
+import FailoverHandler from '../orchestrator/failover-handler.js';
+import UsageHandler from '../orchestrator/usage-handler.js';
+import GroupHandler, { GROUP_TAG } from './group-handler.js';
+import QueueHandler from './queue-handler.js';
+import { shouldTranscribe, transcribeAudio } from './transcriber.js';
+import { extractDocumentText, formatDocumentExcerpt, isExtractionEnabled } from './document-extractor.js';
+import CompareHandler from '../orchestrator/compare-handler.js';
+import ModelHandler from '../orchestrator/model-handler.js';
+import PersonaHandler from '../orchestrator/persona-handler.js';
+import CompactionHandler from '../orchestrator/compaction-handler.js';
+import {
+  PROFILE_TAG,
+  getProfileForRole,
+  getProfilePromptNote,
+  resolveExecutionProfile
+} from '../orchestrator/execution-profiles.js';
 import orchestratorManager from '../orchestrator/orchestrator-manager.js';
+import adapterRegistry from '../orchestrator/adapter-registry.js';
 import {
   buildMediaDownloadUrl,
   downloadAndDecryptToFile,
@@ -17,13 +38,17 @@ import {
   resolveMediaKeyType
 } from './media-download.js';
 import {
+  createOutboxRequestId,
   getOutboxPaths,
   getOutboxPromptInstructions,
+  hasOutboxActivity,
   writeOutboxMessage
 } from '../outbox/common.js';
 
 const configPath = process.env.SESSIONS_CONFIG_PATH || path.join(paths.configDir, 'sessions.json');
 const NO_RESPONSE = Symbol('no-response');
+const QUOTE_MAX_CHARS = 4000;
+const MAX_LOGGED_MESSAGE_KEYS = 2000;
 
 class MessageHandler {
   constructor(whatsappClient, sessionManager, intentDetector, db) {
@@ -34,9 +59,13 @@ class MessageHandler {
     this.rateLimitMap = new Map();
     this.processingQueue = new Map(); // chatId -> boolean
     this.pendingJobs = new Map(); // chatId -> Job[]
+    this.runningJobByChat = new Map(); // chatId -> işlenmekte olan Job (düzenleme/silme eşleşmesi için)
     this.lastSavedFileByChat = new Map(); // chatId -> last file info
     this.systemNotesByChat = new Map(); // chatId -> string[]
+    this.documentExcerptsByChat = new Map(); // chatId -> string[] (sıradaki prompt'a girecek belge alıntıları)
     this.aiExecutionMetaByChat = new Map(); // chatId -> execution meta
+    this.contactNumberByChat = new Map(); // chatId -> rehber numarası (@lid sohbetlerde rol tespiti için)
+    this.loggedMessageKeys = new Set(); // gelen mesaj olarak loglanan mesaj id'leri (düzenleme/silme kaydı için)
     this.outboxPaths = getOutboxPaths();
 
     // Yeni switch handler - addSystemNote callback'i ile
@@ -48,6 +77,49 @@ class MessageHandler {
     this.terminalHandler = new TerminalHandler(sessionManager, {
       addSystemNote: (chatId, note) => this.addSystemNote(chatId, note)
     });
+
+    // Uzayan session/thread'i özetleyip yeni session'a taşı
+    this.compactionHandler = new CompactionHandler(sessionManager, this.terminalHandler, db);
+
+    // Orkestratör hata verirse FAILOVER_CHAIN'deki sıradakine geç
+    this.failoverHandler = new FailoverHandler(this.switchHandler, db, {
+      formatSystemNotes: (notes) => this.formatSystemNotes(notes)
+    });
+
+    // Token/maliyet özeti (!!kullanim)
+    this.usageHandler = new UsageHandler(db);
+
+    // Kullanıcı/terminal bazlı model ve effort tercihi (!!model, !!effort)
+    this.modelHandler = new ModelHandler({
+      getTerminalKey: (chatId) => this.terminalHandler.getActiveLabel(chatId)?.key || null
+    });
+
+    // Kullanıcının kalıcı talimat bloğu (!!persona)
+    this.personaHandler = new PersonaHandler(db, {
+      addSystemNote: (chatId, note) => this.addSystemNote(chatId, note)
+    });
+
+    // Kuyruk görüntüleme/yönetim komutları (!!kuyruk, !!temizle, !!atla)
+    this.queueHandler = new QueueHandler({
+      getQueue: (chatId) => this.getPendingQueue(chatId),
+      getRunningJob: (chatId) => this.runningJobByChat.get(chatId) || null
+    });
+
+    // sessions.json "groups" listesindeki gruplar (etiket/prefix ile tetikleme)
+    this.groupHandler = new GroupHandler({
+      getConfig: () => this.config,
+      getBotIds: () => {
+        const wid = this.wa?.client?.info?.wid;
+        return [wid?._serialized, wid?.user].filter(Boolean);
+      }
+    });
+
+    // Aynı prompt'u tüm orkestratörlerde paralel çalıştır (!!compare)
+    this.compareHandler = new CompareHandler(sessionManager, db, {
+      formatSystemNotes: (notes) => this.formatSystemNotes(notes),
+      sendDocument: (chatId, filePath, caption) =>
+        this.queueOutboxMessage(chatId, caption, { type: 'media', filePath })
+    });
   }
 
   loadConfig() {
@@ -77,12 +149,7 @@ class MessageHandler {
     if (!raw) return null;
 
     if (raw === 'default' || raw === 'auto') return null;
-    if (raw.startsWith('gemini')) return 'gemini';
-    if (raw.startsWith('claude') || raw === 'anthropic') return 'claude';
-    if (raw.startsWith('codex') || raw.startsWith('openai') || raw.startsWith('gpt')) return 'codex';
-    if (raw === 'sonnet' || raw === 'haiku' || raw === 'opus') return 'claude';
-
-    return null;
+    return adapterRegistry.normalizeType(raw);
   }
 
   formatMessageTimestampForPrompt(message) {
@@ -207,6 +274,16 @@ class MessageHandler {
     return 'other';
   }
 
+  /**
+   * Kaydedilen dosyanın orkestratör girdi türü (adapter.getInputCapabilities anahtarı)
+   */
+  getNativeInputKind(savedMediaInfo) {
+    if (savedMediaInfo.mediaType === 'image') return 'images';
+    if (savedMediaInfo.mediaType === 'audio') return 'audio';
+    if (this.normalizeMimetype(savedMediaInfo.mimetype) === 'application/pdf') return 'pdf';
+    return null;
+  }
+
   getMaxMediaBytes(mediaType) {
     const fallbackMb = parseInt(process.env.MAX_MEDIA_MB || '8', 10);
     const perTypeMap = {
@@ -328,21 +405,52 @@ class MessageHandler {
     return queue;
   }
 
+  /**
+   * Kaydedilen belgenin metnini çıkarıp sıradaki prompt'un [BELGE ICERIGI] bölümüne ekle
+   * (captionsuz belge AI'yi tetiklemez; alıntı bir sonraki mesajda kullanılır)
+   */
+  async queueDocumentExcerpt(savedMediaInfo) {
+    if (!isExtractionEnabled()) return;
+    const chatId = savedMediaInfo.chatId;
+    let extraction;
+    try {
+      extraction = await extractDocumentText(savedMediaInfo);
+    } catch (e) {
+      logger.warn(`Belge metni çıkarılamadı [${maskPhoneLike(chatId)}]: ${e?.message || String(e)}`);
+      this.addSystemNote(chatId, `Dosya metni çıkarılamadı (${savedMediaInfo.originalName}): ${e?.message || String(e)}`);
+      return;
+    }
+    if (!extraction) return;
+    if (extraction.skipped) {
+      this.addSystemNote(chatId, `Dosya metni prompta eklenmedi (${savedMediaInfo.originalName}): ${extraction.skipped} aşıldı.`);
+      return;
+    }
+
+    const queue = this.documentExcerptsByChat.get(chatId) || [];
+    queue.push(formatDocumentExcerpt(savedMediaInfo, extraction));
+    // Eski alıntılar birikmesin
+    this.documentExcerptsByChat.set(chatId, queue.slice(-3));
+  }
+
+  consumeDocumentExcerpts(chatId) {
+    const queue = this.documentExcerptsByChat.get(chatId) || [];
+    this.documentExcerptsByChat.delete(chatId);
+    return queue.join('\n\n');
+  }
+
   formatSystemNotes(notes) {
     if (!notes || notes.length === 0) return '';
     const lines = notes.map((note) => `- ${note}`);
-    return `\n\n[SISTEM MESAJLARI]\n${lines.join('\n')}\n[/SISTEM MESAJLARI]\n`;
+    return formatPromptBlock('SISTEM MESAJLARI', lines.join('\n'));
   }
 
-  buildFeedbackExpectationBlock() {
-    return (
-      '\n\n[ILETISIM BEKLENTISI]\n' +
-      'Kullanici bu andan itibaren senden surec boyunca kisa ve net donutler bekleyebilir.\n' +
-      '- Is tek adimlik degilse kisa bir baslangic mesajiyla ise girdigini belirt.\n' +
-      '- Isin kritik adimlarinda fazla uzatmadan kisa guncelleme ver.\n' +
-      '- Is biter bitmez sonucu toparlayip final mesaji ver.\n' +
-      '[/ILETISIM BEKLENTISI]\n'
-    );
+  getFeedbackExpectation() {
+    return [
+      'Kullanici bu andan itibaren senden surec boyunca kisa ve net donutler bekleyebilir.',
+      '- Is tek adimlik degilse kisa bir baslangic mesajiyla ise girdigini belirt.',
+      '- Isin kritik adimlarinda fazla uzatmadan kisa guncelleme ver.',
+      '- Is biter bitmez sonucu toparlayip final mesaji ver.'
+    ].join('\n');
   }
 
   setAiExecutionMeta(chatId, meta) {
@@ -373,6 +481,7 @@ class MessageHandler {
         orchestrator: options.orchestrator || null,
         type: options.type || 'progress',
         text,
+        filePath: options.filePath || undefined,
         meta: options.meta || undefined
       },
       {
@@ -517,6 +626,23 @@ class MessageHandler {
         createdAt: savedMediaInfo.createdAt
       });
     }
+    // Alıntılanan medya mesajı message_id ile bulunabilsin
+    try {
+      const record = this.db?.addIncomingMedia?.({
+        chatId,
+        messageId: savedMediaInfo.messageId,
+        mediaType: savedMediaInfo.mediaType,
+        mimetype: savedMediaInfo.mimetype,
+        sizeBytes: savedMediaInfo.sizeBytes,
+        originalName: savedMediaInfo.originalName,
+        storedRelPath: path.relative(paths.appRoot, savedMediaInfo.absolutePath),
+        storedFilename: path.basename(savedMediaInfo.absolutePath),
+        createdAt: savedMediaInfo.createdAt
+      });
+      savedMediaInfo.recordId = record?.lastInsertRowid ?? null;
+    } catch (e) {
+      logger.warn(`Medya kaydı veritabanına yazılamadı: ${e?.message || String(e)}`);
+    }
 
     const ack = `Dosya kaydedildi: ${savedMediaInfo.absolutePath} ` +
       `(${savedMediaInfo.mimetype || 'bilinmiyor'}, ${this.formatBytesForUser(savedMediaInfo.sizeBytes)})`;
@@ -529,6 +655,107 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Sesli mesajı STT_COMMAND ile metne çevir; transkript incoming_media kaydına yazılır ve
+   * kullanıcıya kontrol edebilmesi için geri gönderilir. Çevrilmezse boş döner (dosya notu kalır).
+   */
+  async transcribeSavedAudio(message, savedMediaInfo) {
+    if (!shouldTranscribe(savedMediaInfo)) return '';
+
+    const chatId = savedMediaInfo.chatId;
+    let transcript = '';
+    try {
+      transcript = await transcribeAudio(savedMediaInfo.absolutePath);
+    } catch (e) {
+      const errorMsg = e?.message || String(e);
+      logger.warn(`Sesli mesaj çevrilemedi [${maskPhoneLike(chatId)}]: ${errorMsg}`);
+      this.addSystemNote(chatId, `Sesli mesaj yazıya çevrilemedi: ${errorMsg}`);
+      await this.sendNotice(message, `🎙️ Sesli mesaj yazıya çevrilemedi: ${errorMsg}`);
+      return '';
+    }
+    if (!transcript) {
+      await this.sendNotice(message, '🎙️ Sesli mesajda konuşma algılanmadı.');
+      return '';
+    }
+
+    if (savedMediaInfo.recordId) {
+      try {
+        this.db?.setIncomingMediaTranscript?.(savedMediaInfo.recordId, transcript);
+      } catch (e) {
+        logger.warn(`Transkript veritabanına yazılamadı: ${e?.message || String(e)}`);
+      }
+    }
+    this.addSystemNote(chatId, 'Kullanıcının mesajı sesli mesajdı; metin otomatik çeviridir, yazım/anlama hataları olabilir.');
+    await this.sendNotice(message, `🎙️ Sesli mesaj: "${transcript}"`);
+    return transcript;
+  }
+
+  /**
+   * Kullanıcı bir mesajı yanıtlayarak yazdıysa alıntılanan mesaj (whatsapp-web.js getQuotedMessage)
+   */
+  async getQuotedMessage(message) {
+    if (!message?.hasQuotedMsg || typeof message.getQuotedMessage !== 'function') return null;
+    try {
+      return (await message.getQuotedMessage()) || null;
+    } catch (e) {
+      logger.warn(`Alıntılanan mesaj alınamadı: ${e?.message || String(e)}`);
+      return null;
+    }
+  }
+
+  /**
+   * [ALINTI] bölümü: alıntılanan mesajın metni ve daha önce kaydedildiyse dosya yolu
+   * ("bunu düzelt" gibi cevaplar neye atıf yaptığını bilsin).
+   * Burst'te her mesajın alıntısı eklenir; hangi mesajın cevap olduğu metniyle belirtilir.
+   */
+  async formatQuotedContext(message, burst = []) {
+    if (burst.length === 0) {
+      return await this.formatQuoteSection(message, 'bu mesajla');
+    }
+
+    const sections = [];
+    for (const item of [message, ...burst]) {
+      const text = String(item.body || '').trim();
+      const label = text.length > 80 ? `${text.slice(0, 80)}…` : text;
+      const section = await this.formatQuoteSection(item, label ? `"${label}" mesajıyla` : 'bir mesajıyla');
+      if (section) sections.push(section);
+    }
+    return sections.join('\n\n');
+  }
+
+  async formatQuoteSection(message, subject) {
+    const quoted = await this.getQuotedMessage(message);
+    if (!quoted) return '';
+
+    const chatId = message.from;
+    let author = 'kullanıcının önceki mesajı';
+    if (quoted.fromMe) {
+      author = 'senin (asistanın) önceki cevabın';
+    } else if (this.groupHandler.isGroupChat(chatId)) {
+      author = 'gruptaki bir katılımcının mesajı';
+    }
+
+    const lines = [`Kullanıcı ${subject} şuna cevap veriyor (${author}):`];
+    const text = String(quoted.body || '').trim();
+    if (text) {
+      lines.push(text.length > QUOTE_MAX_CHARS ? `${text.slice(0, QUOTE_MAX_CHARS)}…` : text);
+    }
+
+    const quotedId = this.getMessageId(quoted);
+    const media = quotedId ? this.db?.getIncomingMediaByMessageId?.(chatId, quotedId) : null;
+    if (media) {
+      const absolutePath = path.resolve(paths.appRoot, media.stored_rel_path);
+      lines.push(`Alıntılanan dosya: ${absolutePath} (${media.mimetype || media.media_type}, "${media.original_name || media.stored_filename}")`);
+      if (media.transcript) {
+        lines.push(`Sesli mesajın metni: ${media.transcript}`);
+      }
+    } else if (quoted.hasMedia) {
+      lines.push('Alıntılanan mesaj bir medya; dosyası kayıtlı değil.');
+    }
+
+    return lines.length > 1 ? lines.join('\n') : '';
+  }
+
   /**
    * Büyük dosyaları streaming ile diske kaydet (belleği korur)
    * Küçük dosyalar için normal Buffer kullan
@@ -596,18 +823,10 @@ class MessageHandler {
     }
   }
 
-  isAllowed(chatId, contactNumber) {
-    if (chatId.includes('@g.us')) {
-      return false;
-    }
-
-    const allowed = this.config.allowedNumbers || [];
-    const admins = this.config.adminNumbers || [];
-
-    if (allowed.length === 0 || allowed.includes('*')) {
-      return true;
-    }
-
+  /**
+   * Numara listelerinde aranacak varyantlar (chatId, @c.us/@lid'siz hali, rehber numarası)
+   */
+  getNumberCandidates(chatId, contactNumber) {
     const normalizedChat = String(chatId)
       .replace('@c.us', '')
       .replace('@lid', '')
@@ -625,16 +844,59 @@ class MessageHandler {
       candidates.add(this.normalizeDigits(contactNumber));
     }
 
-    for (const candidate of candidates) {
-      if (!candidate) continue;
-      if (allowed.includes(candidate) || admins.includes(candidate)) {
+    return candidates;
+  }
+
+  matchesNumberList(list, chatId, contactNumber) {
+    if (!list.length) return false;
+    for (const candidate of this.getNumberCandidates(chatId, contactNumber)) {
+      if (candidate && list.includes(candidate)) {
         return true;
       }
     }
-
     return false;
   }
 
+  isAllowed(chatId, contactNumber) {
+    // Gruplar sadece sessions.json "groups" listesinden; katılımcı kontrolü GroupHandler'da
+    if (this.groupHandler.isGroupChat(chatId)) {
+      return this.groupHandler.getGroupConfig(chatId) !== null;
+    }
+
+    const allowed = this.config.allowedNumbers || [];
+    const admins = this.config.adminNumbers || [];
+    const guests = this.config.guestNumbers || [];
+
+    if (allowed.length === 0 || allowed.includes('*')) {
+      return true;
+    }
+
+    return this.matchesNumberList([...allowed, ...admins, ...guests], chatId, contactNumber);
+  }
+
+  /**
+   * Gönderenin rolü: admin (adminNumbers) | guest (guestNumbers) | user
+   * Grupta rol, mesajı gönderen katılımcıya (message.groupSender) göre; gönderen yoksa user
+   */
+  getRole(chatId, groupSender = null) {
+    let contactNumber = this.contactNumberByChat.get(chatId);
+    if (this.groupHandler.isGroupChat(chatId)) {
+      if (!groupSender) return 'user';
+      chatId = groupSender.id || '';
+      contactNumber = groupSender.number;
+    }
+    if (this.matchesNumberList(this.config.adminNumbers || [], chatId, contactNumber)) return 'admin';
+    if (this.matchesNumberList(this.config.guestNumbers || [], chatId, contactNumber)) return 'guest';
+    return 'user';
+  }
+
+  /**
+   * Rolün çalıştırma profili (sessions.json executionProfiles ile değiştirilebilir)
+   */
+  getExecutionProfile(chatId, groupSender = null) {
+    return getProfileForRole(this.getRole(chatId, groupSender), this.config.executionProfiles);
+  }
+
   checkRateLimit(chatId) {
     const now = Date.now();
     const limit = this.config.settings.rateLimit;
@@ -668,24 +930,121 @@ class MessageHandler {
     return this.pendingJobs.get(chatId);
   }
 
+  /**
+   * Profil kuyruğa girerken gönderene göre çözülür; grupta iş çalışırken başka katılımcının
+   * mesajı işin yetkisini değiştiremez
+   */
   createJob(message) {
     return {
       id: crypto.randomBytes(4).toString('hex'),
       createdAt: new Date(),
-      message
+      message,
+      profile: this.getExecutionProfile(message.from, message.groupSender)
     };
   }
 
+  /**
+   * MESSAGE_COALESCE_MS: art arda (bu süreden kısa aralıkla) gelen mesajlar tek prompt olur (0 = kapalı)
+   */
+  getCoalesceWindowMs() {
+    const value = parseInt(process.env.MESSAGE_COALESCE_MS || '0', 10);
+    return Number.isFinite(value) && value > 0 ? value : 0;
+  }
+
+  /**
+   * Komutlar (!!..., görevler, son dosya) birleştirilmez; ayrı iş olarak çalışır
+   */
+  isCoalesceBarrier(job) {
+    const text = String(job?.message?.body || '').trim().toLowerCase();
+    return text.startsWith('!!') || this.isInstantCommand(text);
+  }
+
+  /**
+   * Kuyruğun başından kaç iş tek burst olarak birleştirilebilir
+   * (aralıklar pencere içinde, komut değil, grupta aynı gönderen)
+   */
+  countBurst(queue, windowMs) {
+    if (queue.length === 0) return 0;
+    if (this.isCoalesceBarrier(queue[0])) return 1;
+
+    let count = 1;
+    while (count < queue.length && this.canCoalesce(queue[count - 1], queue[count], windowMs)) {
+      count++;
+    }
+    return count;
+  }
+
+  canCoalesce(prev, next, windowMs) {
+    if (windowMs === 0 || this.isCoalesceBarrier(prev) || this.isCoalesceBarrier(next)) return false;
+    if (next.createdAt - prev.createdAt > windowMs) return false;
+    return (prev.message.groupSender?.id || null) === (next.message.groupSender?.id || null);
+  }
+
+  /**
+   * Kuyruktaki iş sayısı; pencere açıksa tek burst'te birleşecek mesajlar bir iş sayılır
+   */
+  countQueuedJobs(queue) {
+    const windowMs = this.getCoalesceWindowMs();
+    let jobs = 0;
+    for (let index = 0; index < queue.length; jobs++) {
+      index += Math.max(1, this.countBurst(queue.slice(index), windowMs));
+    }
+    return jobs;
+  }
+
+  /**
+   * Sıradaki iş; pencere açıksa kullanıcı yazmayı bitirene kadar (son mesajdan sonra pencere kadar sessizlik) bekler
+   * ve burst'teki sonraki mesajları job.burst olarak ekler
+   */
+  async takeNextJob(chatId) {
+    const queue = this.getPendingQueue(chatId);
+    const windowMs = this.getCoalesceWindowMs();
+    if (windowMs === 0) return queue.shift();
+
+    for (;;) {
+      const count = this.countBurst(queue, windowMs);
+      // Burst'ten sonra birleşmeyecek bir iş bekliyorsa ya da sessizlik dolduysa başla
+      if (count === 0 || count < queue.length || this.isCoalesceBarrier(queue[0])) break;
+      const quietMs = windowMs - (Date.now() - queue[count - 1].createdAt);
+      if (quietMs <= 0) break;
+      await this.sleep(quietMs);
+    }
+
+    const [job, ...rest] = queue.splice(0, Math.max(1, this.countBurst(queue, windowMs)));
+    if (job && rest.length) {
+      job.burst = rest.map((item) => item.message);
+      logger.info(`${rest.length + 1} mesaj birleştirildi [${maskPhoneLike(chatId)}] job=${job.id}`);
+    }
+    return job;
+  }
+
+  /**
+   * İşin mesajları (burst dahil)
+   */
+  getJobMessages(job) {
+    return job ? [job.message, ...(job.burst || [])] : [];
+  }
+
   /**
    * AI'ın hazırladığı plan ile arka plan görevi başlat
    * taskPlan: { title, steps[], prompt }
    */
-  async startBackgroundTask(message, taskPlan, images = []) {
+  async startBackgroundTask(
+    message,
+    taskPlan,
+    images = [],
+    profile = this.getExecutionProfile(message.from, message.groupSender)
+  ) {
     const from = message.from;
     const maxTasks = parseInt(process.env.MAX_BG_TASKS_PER_USER || '3', 10);
     const fallbackOrchestrator =
       taskPlan?.fallbackOrchestrator || this.sessionManager.getOrchestratorType(from);
     const selectedOrchestrator = taskPlan?.orchestrator || fallbackOrchestrator;
+    const modelSettings = await orchestratorManager.getModelSettings(
+      from,
+      adapterRegistry.normalizeType(selectedOrchestrator) || selectedOrchestrator,
+      this.terminalHandler.getActiveLabel(from)?.key || null
+    );
 
     // Aktif görev limiti kontrol
     const activeCount = taskManager.getActiveTaskCount(from);
@@ -703,7 +1062,21 @@ class MessageHandler {
       prompt,
       images,
       orchestrator: selectedOrchestrator,
+      model: modelSettings.model,
+      effort: modelSettings.effort,
+      workdir: await this.terminalHandler.getWorkdir(from),
+      persona: getPersonaContent(this.db, from),
+      profile,
       onComplete: async (completedTask) => {
+        recordExecutionUsage(this.db, {
+          chatId: from,
+          orchestrator: completedTask.orchestrator,
+          model: completedTask.model,
+          usage: completedTask.usage,
+          source: 'task',
+          requestId: completedTask.requestId,
+          taskId: completedTask.id
+        });
         let resultText = `ℹ️ Görev durumu: ${completedTask.status}`;
         try {
           if (completedTask.status === 'completed') {
@@ -824,7 +1197,7 @@ class MessageHandler {
       return null;
     }
 
-    let summary = '\n\n[ARKA PLAN GÖREVLERİ]\n';
+    let summary = '';
 
     if (running.length > 0) {
       summary += `Şu an çalışan ${running.length} görev var:\n`;
@@ -842,7 +1215,6 @@ class MessageHandler {
       }
     }
 
-    summary += '[/ARKA PLAN GÖREVLERİ]\n';
     return summary;
   }
 
@@ -851,25 +1223,140 @@ class MessageHandler {
    * Atıldıysa response text'i susutur (çift mesaj önleme)
    */
   async hasOutboxActivity(requestId) {
-    if (!requestId) return false;
-    const token = String(requestId).replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 24);
-    if (!token || token === 'noreq') return false;
+    return hasOutboxActivity(requestId, this.outboxPaths);
+  }
+
+  /**
+   * Tek mesajın prompt girdisi: medya indirilip kaydedilir, orkestratör doğrudan alabiliyorsa girdi olarak eklenir.
+   * Return: { text, images, files } (captionsuz medyada text boş; dosya bilgisi sistem notunda)
+   */
+  async prepareMessageInput(message, session) {
+    const from = message.from;
+    let body = message.body || '';
+    const images = [];
+    const files = [];
+    if (message.hasMedia !== true) {
+      return { text: String(body).trim(), images, files };
+    }
+
+    let savedMediaInfo = null;
+    // 1. Önce dosya boyutunu İNDİRMEDEN kontrol et (OOM koruması)
+    const preDownloadSize = this.getPreDownloadFileSize(message);
+    const originalNameHint = this.getMediaOriginalName(message);
+    body = this.cleanMediaBody(body, originalNameHint);
+    const mimetypeHint = message?._data?.mimetype || '';
+    const mediaTypeHint = this.mediaTypeFromMimetype(mimetypeHint);
+    const maxBytes = this.getMaxMediaBytes(mediaTypeHint);
+
+    logger.info(`Dosya alınıyor: ${this.getMediaOriginalName(message) || 'bilinmeyen'}, tahmini boyut: ${preDownloadSize > 0 ? this.formatBytesForUser(preDownloadSize) : 'bilinmiyor'}, limit: ${this.formatBytesForUser(maxBytes)}`);
+
+    if (preDownloadSize > 0 && preDownloadSize > maxBytes) {
+      throw new Error(
+        `Dosya çok büyük (${Math.ceil(preDownloadSize / 1024 / 1024)}MB). En fazla ${Math.ceil(maxBytes / 1024 / 1024)}MB. Dosya indirilmedi.`
+      );
+    }
 
-    for (const dir of [this.outboxPaths.pendingDir, this.outboxPaths.processedDir]) {
+    // 2. Büyük dosyalarda direct indirme yolunu dene
+    if (this.shouldUseDirectDownload(preDownloadSize)) {
       try {
-        const files = await fs.promises.readdir(dir);
-        if (files.some(f => f.includes(token))) return true;
-      } catch {
-        // dizin henüz yok olabilir
+        savedMediaInfo = await this.downloadMediaDirect(message, preDownloadSize, maxBytes);
+      } catch (directErr) {
+        logger.warn(
+          `Direct indirme başarısız, normal indirme deneniyor: ${directErr?.message || String(directErr)}`
+        );
       }
     }
-    return false;
+
+    // 3. Fallback: whatsapp-web.js downloadMedia (base64)
+    if (!savedMediaInfo) {
+      logger.info('Dosya indiriliyor...');
+      const downloadStart = Date.now();
+      let media;
+      try {
+        media = await message.downloadMedia();
+        logger.info(
+          `Dosya indirildi (${Date.now() - downloadStart}ms), boyut: ` +
+          `${media?.data?.length ? this.formatBytesForUser(this.estimateBase64Bytes(media.data)) : 'null'}`
+        );
+      } catch (downloadErr) {
+        logger.error(`Dosya indirme hatası (${Date.now() - downloadStart}ms): ${downloadErr?.message || String(downloadErr)}`);
+        throw new Error(`Dosya indirilemedi: ${downloadErr?.message || 'Bilinmeyen hata'}`);
+      }
+      const mimetype = this.normalizeMimetype(media?.mimetype || '');
+      const data = media?.data || '';
+      if (!data) {
+        throw new Error('Dosya indirilemedi');
+      }
+
+      const mediaType = this.mediaTypeFromMimetype(mimetype);
+      const actualMaxBytes = this.getMaxMediaBytes(mediaType);
+      const estimatedSize = this.estimateBase64Bytes(data);
+
+      // İndirme sonrası boyut kontrolü (metadata eksik olabilir)
+      if (estimatedSize > actualMaxBytes) {
+        throw new Error(
+          `Dosya çok büyük (${Math.ceil(estimatedSize / 1024 / 1024)}MB). En fazla ${Math.ceil(actualMaxBytes / 1024 / 1024)}MB.`
+        );
+      }
+
+      const messageId = this.getMessageId(message);
+      const createdAtISO = this.getMessageCreatedAtISO(message);
+      const originalName = this.getMediaOriginalName(message);
+      const storedFilename = this.makeSafeStoredFilename({ originalName, mimetype });
+      const { absolutePath } = await this.resolveMediaSavePath(from, storedFilename);
+
+      // Streaming ile kaydet (büyük dosyalarda bellek koruması)
+      const actualSize = await this.saveMediaStreaming(media, absolutePath, estimatedSize);
+
+      savedMediaInfo = {
+        chatId: from,
+        messageId,
+        mediaType,
+        mimetype,
+        sizeBytes: actualSize,
+        originalName: originalName || storedFilename,
+        absolutePath,
+        createdAt: createdAtISO
+      };
+    }
+
+    let transcript = '';
+    if (savedMediaInfo) {
+      await this.finalizeSavedMedia(message, savedMediaInfo);
+      transcript = await this.transcribeSavedAudio(message, savedMediaInfo);
+      await this.queueDocumentExcerpt(savedMediaInfo);
+      // Orkestratör dosyayı doğrudan alabiliyorsa girdi olarak ver; alamıyorsa sistem notundaki yol yeterli
+      // (çevrilen sesli mesajda transkript yeterli)
+      const inputKind = this.getNativeInputKind(savedMediaInfo);
+      if (!transcript && inputKind && adapterRegistry.get(session.orchestratorType)?.acceptsInput(inputKind)) {
+        (inputKind === 'images' ? images : files).push(savedMediaInfo.absolutePath);
+      }
+    }
+
+    // Sesli mesaj: transkript prompt metni olur
+    if (transcript) {
+      const caption = String(body || '').trim();
+      return { text: caption ? `${caption}\n\n${transcript}` : transcript, images, files };
+    }
+
+    const caption = String(body || '').trim();
+    if (!caption || images.length || !savedMediaInfo) {
+      return { text: caption, images, files };
+    }
+    const sizeMb = Math.ceil(savedMediaInfo.sizeBytes / 1024 / 1024);
+    const metaLine =
+      `Kullanıcı bir dosya gönderdi (${savedMediaInfo.mediaType}). ` +
+      `Ad: "${savedMediaInfo.originalName}", Tür: ${savedMediaInfo.mimetype || 'bilinmiyor'}, Boyut: ~${sizeMb}MB.`;
+    return { text: `${caption}\n\n${metaLine}`, images, files };
   }
 
-  async processOneMessage(message) {
+  /**
+   * profile: işin çalıştırma profili (kuyruktaki işlerde createJob'da çözülür)
+   */
+  async processOneMessage(message, burst = [], profile = this.getExecutionProfile(message.from, message.groupSender)) {
     const from = message.from;
     this.setAiExecutionMeta(from, null);
-    let body = message.body || '';
+    const body = message.body || '';
     const hasMedia = message.hasMedia === true;
 
     const trimmedBody = String(body || '').trim();
@@ -894,6 +1381,47 @@ class MessageHandler {
       return `Son dosya: ${abs} (${mimetype}, ${size})\nMesaj: ${messageId}\nTarih: ${createdAt}`;
     }
 
+    // Grupta ortak durumu değiştiren komutlar sadece yetkili rollere açık
+    if (
+      !hasMedia &&
+      this.groupHandler.isGroupChat(from) &&
+      this.isSharedStateCommand(lowerBody) &&
+      !this.groupHandler.getCommandRoles(from).includes(this.getRole(from, message.groupSender))
+    ) {
+      return '⛔ Bu komut grubun ortak oturumunu değiştirir; sadece yetkili katılımcılar kullanabilir.';
+    }
+
+    // Çalışan isteği durdurma komutu (!!stop, !!stop all)
+    if (!hasMedia && this.isStopCommand(lowerBody)) {
+      return this.handleStopCommand(from, lowerBody);
+    }
+
+    // Kuyruk komutları (!!kuyruk, !!temizle, !!atla <n>)
+    if (!hasMedia && this.queueHandler.isQueueCommand(lowerBody)) {
+      return this.queueHandler.handle(from, trimmedBody);
+    }
+
+    // Kullanım özeti komutu (!!kullanim)
+    if (!hasMedia && this.usageHandler.isUsageCommand(lowerBody)) {
+      return this.usageHandler.handle(from);
+    }
+
+    // Model/effort tercihi komutu (!!model, !!effort)
+    if (!hasMedia && this.modelHandler.isModelCommand(lowerBody)) {
+      return this.modelHandler.handle(from, trimmedBody);
+    }
+
+    // Persona komutu (!!persona)
+    if (!hasMedia && this.personaHandler.isPersonaCommand(lowerBody)) {
+      return this.personaHandler.handle(from, trimmedBody);
+    }
+
+    // Orkestratör karşılaştırma komutu (!!compare <prompt>)
+    if (!hasMedia && this.compareHandler.isCompareCommand(lowerBody)) {
+      const response = await this.compareHandler.handle(from, trimmedBody, { profile });
+      return response === null ? NO_RESPONSE : response;
+    }
+
     // Terminal session komutları (!!new, !!tlist, !!tchange, !!trename, !!tdelete, !!help)
     if (!hasMedia && this.terminalHandler.isTerminalCommand(lowerBody)) {
       return this.terminalHandler.handle(from, trimmedBody);
@@ -910,6 +1438,9 @@ class MessageHandler {
     // Lazy terminal geçişi: aktif terminal değiştiyse session'ı yenile
     await this.terminalHandler.ensureCorrectTerminal(from);
 
+    // Bağlam eşiği aşıldıysa session/thread'i özetle ve sıfırla (oturum yeniden oluşturulur)
+    await this.compactionHandler.compactIfNeeded(from, trimmedBody, profile);
+
     // Normal akış - AI karar verecek
     let session = this.sessionManager.getSession(from);
     if (!session) {
@@ -920,141 +1451,125 @@ class MessageHandler {
       logger.info(`Yeni oturum oluşturuldu: ${maskPhoneLike(from)}`);
     }
 
-    let images = [];
-    let savedMediaInfo = null;
-
-    if (hasMedia) {
-      // 1. Önce dosya boyutunu İNDİRMEDEN kontrol et (OOM koruması)
-      const preDownloadSize = this.getPreDownloadFileSize(message);
-      const originalNameHint = this.getMediaOriginalName(message);
-      body = this.cleanMediaBody(body, originalNameHint);
-      const mimetypeHint = message?._data?.mimetype || '';
-      const mediaTypeHint = this.mediaTypeFromMimetype(mimetypeHint);
-      const maxBytes = this.getMaxMediaBytes(mediaTypeHint);
-
-      logger.info(`Dosya alınıyor: ${this.getMediaOriginalName(message) || 'bilinmeyen'}, tahmini boyut: ${preDownloadSize > 0 ? this.formatBytesForUser(preDownloadSize) : 'bilinmiyor'}, limit: ${this.formatBytesForUser(maxBytes)}`);
-
-      if (preDownloadSize > 0 && preDownloadSize > maxBytes) {
-        throw new Error(
-          `Dosya çok büyük (${Math.ceil(preDownloadSize / 1024 / 1024)}MB). En fazla ${Math.ceil(maxBytes / 1024 / 1024)}MB. Dosya indirilmedi.`
-        );
-      }
-
-      // 2. Büyük dosyalarda direct indirme yolunu dene
-      if (this.shouldUseDirectDownload(preDownloadSize)) {
-        try {
-          savedMediaInfo = await this.downloadMediaDirect(message, preDownloadSize, maxBytes);
-        } catch (directErr) {
-          logger.warn(
-            `Direct indirme başarısız, normal indirme deneniyor: ${directErr?.message || String(directErr)}`
-          );
-        }
-      }
-
-      // 3. Fallback: whatsapp-web.js downloadMedia (base64)
-      if (!savedMediaInfo) {
-        logger.info('Dosya indiriliyor...');
-        const downloadStart = Date.now();
-        let media;
-        try {
-          media = await message.downloadMedia();
-          logger.info(
-            `Dosya indirildi (${Date.now() - downloadStart}ms), boyut: ` +
-            `${media?.data?.length ? this.formatBytesForUser(this.estimateBase64Bytes(media.data)) : 'null'}`
-          );
-        } catch (downloadErr) {
-          logger.error(`Dosya indirme hatası (${Date.now() - downloadStart}ms): ${downloadErr?.message || String(downloadErr)}`);
-          throw new Error(`Dosya indirilemedi: ${downloadErr?.message || 'Bilinmeyen hata'}`);
-        }
-        const mimetype = this.normalizeMimetype(media?.mimetype || '');
-        const data = media?.data || '';
-        if (!data) {
-          throw new Error('Dosya indirilemedi');
-        }
-
-        const mediaType = this.mediaTypeFromMimetype(mimetype);
-        const actualMaxBytes = this.getMaxMediaBytes(mediaType);
-        const estimatedSize = this.estimateBase64Bytes(data);
-
-        // İndirme sonrası boyut kontrolü (metadata eksik olabilir)
-        if (estimatedSize > actualMaxBytes) {
-          throw new Error(
-            `Dosya çok büyük (${Math.ceil(estimatedSize / 1024 / 1024)}MB). En fazla ${Math.ceil(actualMaxBytes / 1024 / 1024)}MB.`
-          );
-        }
+    // Kısa aralıkla gelen mesajlar (burst) tek prompt olur: metinler sırayla, tüm görseller/ekler birlikte
+    const inputs = [];
+    for (const item of [message, ...burst]) {
+      inputs.push(await this.prepareMessageInput(item, session));
+    }
+    const images = inputs.flatMap((input) => input.images);
+    const files = inputs.flatMap((input) => input.files); // görsel dışındaki doğrudan okunabilen ekler (ses, PDF)
 
-        const messageId = this.getMessageId(message);
-        const createdAtISO = this.getMessageCreatedAtISO(message);
-        const originalName = this.getMediaOriginalName(message);
-        const storedFilename = this.makeSafeStoredFilename({ originalName, mimetype });
-        const { absolutePath } = await this.resolveMediaSavePath(from, storedFilename);
+    // Sadece caption varsa AI'a ilet, captionsuz medyalar tetiklemesin (dosya bilgisi sistem notunda)
+    const basePrompt = inputs.map((input) => input.text).filter(Boolean).join('\n\n');
+    if (!basePrompt) {
+      return NO_RESPONSE;
+    }
+    // Sistem mesajları, görev özeti ve talimatlar: bütçe aşılırsa düşük öncelikliler önce kısalır
+    const systemNotes = this.consumeSystemNotes(from);
+    const compactionSeed = await this.compactionHandler.consumeSeed(from);
+    const quotedContext = await this.formatQuotedContext(message, burst);
+    const documentContext = this.consumeDocumentExcerpts(from);
+    const requestId = createOutboxRequestId('chat');
+    this.groupHandler.trackRequest(from, requestId, this.getMessageId(message));
+    const { prompt } = new PromptBuilder({ orchestrator: session.orchestratorType })
+      .add('message', basePrompt, { required: true })
+      .add('group', this.groupHandler.isGroupChat(from) ? this.groupHandler.formatAttribution(from, message.groupSender) : '', {
+        tag: GROUP_TAG,
+        required: true
+      })
+      .add('quote', quotedContext, { tag: 'ALINTI', priority: 80 })
+      .add('documents', documentContext, { tag: 'BELGE ICERIGI', priority: 65 })
+      .add('compaction', compactionSeed, { tag: 'ONCEKI KONUSMA OZETI', priority: 75 })
+      .add('timestamp', this.formatMessageTimestampForPrompt(message), { tag: 'MESAJ ZAMANI', priority: 60 })
+      .add('feedback', this.getFeedbackExpectation(), { tag: 'ILETISIM BEKLENTISI', priority: 20 })
+      .add('system_notes', systemNotes.map((note) => `- ${note}`).join('\n'), {
+        tag: 'SISTEM MESAJLARI',
+        priority: 70
+      })
+      .add('tasks', this.getActiveTasksSummary(from), { tag: 'ARKA PLAN GÖREVLERİ', priority: 40 })
+      .add('profile', getProfilePromptNote(profile), { tag: PROFILE_TAG, required: true })
+      .add('outbox', resolveExecutionProfile(profile).outbox ? getOutboxPromptInstructions() : '', { required: true })
+      .build({ requestId, chatId: from });
+
+    const modelSettings = await orchestratorManager.getModelSettings(
+      from,
+      session.orchestratorType,
+      session._terminalKey || null
+    );
+    const workdir = await this.terminalHandler.getWorkdir(from);
+    const persona = getPersonaContent(this.db, from);
+    let response = await session.execute(prompt, {
+      requestId,
+      images,
+      files,
+      model: modelSettings.model,
+      effort: modelSettings.effort,
+      workdir,
+      persona,
+      profile
+    });
+    let executionMeta = session?.lastExecutionMeta || null;
+    this.setAiExecutionMeta(from, executionMeta);
+    recordExecutionUsage(this.db, {
+      chatId: from,
+      orchestrator: executionMeta?.orchestrator,
+      model: executionMeta?.model,
+      usage: executionMeta?.usage,
+      requestId: executionMeta?.requestId
+    });
+    recordRetryMetrics(this.db, executionMeta);
 
-        // Streaming ile kaydet (büyük dosyalarda bellek koruması)
-        const actualSize = await this.saveMediaStreaming(media, absolutePath, estimatedSize);
+    // !!stop ile iptal edildi: iptal mesajını komut zaten gönderdi
+    if (executionMeta?.cancelled) {
+      return NO_RESPONSE;
+    }
 
-        savedMediaInfo = {
-          chatId: from,
-          messageId,
-          mediaType,
-          mimetype,
-          sizeBytes: actualSize,
-          originalName: originalName || storedFilename,
-          absolutePath,
-          createdAt: createdAtISO
-        };
+    // Orkestratör başarısız olduysa failover zincirini dene
+    const fromType = session?.orchestratorType || executionMeta?.orchestrator;
+    if (!executionMeta?.failure) {
+      await this.compactionHandler.track(from, {
+        orchestrator: fromType,
+        chars: prompt.length + String(response || '').length
+      });
+    }
+    if (this.failoverHandler.shouldFailover(executionMeta?.failure, fromType)) {
+      const failover = await this.failoverHandler.run({
+        chatId: from,
+        fromType,
+        failure: executionMeta.failure,
+        prompt,
+        images,
+        files,
+        terminalKey: session._terminalKey || null,
+        workdir,
+        persona,
+        profile
+      });
+      if (failover.executionMeta?.cancelled) {
+        return NO_RESPONSE;
       }
-
-      if (savedMediaInfo) {
-        await this.finalizeSavedMedia(message, savedMediaInfo);
-        if (savedMediaInfo.mediaType === 'image') {
-          images = [savedMediaInfo.absolutePath];
-        }
+      const notice = this.failoverHandler.formatNotice(failover);
+      if (!failover.executionMeta) {
+        return notice;
       }
 
-      // Sadece caption varsa AI'a ilet, captionsuz medyalar tetiklemesin
-      const trimmedBody = String(body || '').trim();
-      if (!trimmedBody) {
-        return NO_RESPONSE;
-      }
-      // Fall through: caption ile AI işlemine devam et (medya zaten indirildi)
-    }
-
-    // Temel prompt
-    let basePrompt = body;
-    if (hasMedia) {
-      if (images.length && (!body || body.trim() === '')) {
-        basePrompt =
-          'Kullanıcı bir görsel gönderdi (açıklama yok). Görseli analiz et ve kısa bir cevap ver; gerekiyorsa 1-2 net soru sor.';
-      } else if (images.length) {
-        basePrompt = body;
-      } else if (savedMediaInfo) {
-        const sizeMb = Math.ceil(savedMediaInfo.sizeBytes / 1024 / 1024);
-        const metaLine =
-          `Kullanıcı bir dosya gönderdi (${savedMediaInfo.mediaType}). ` +
-          `Ad: "${savedMediaInfo.originalName}", Tür: ${savedMediaInfo.mimetype || 'bilinmiyor'}, Boyut: ~${sizeMb}MB.`;
-        basePrompt = (!body || body.trim() === '') ? metaLine : `${body}\n\n${metaLine}`;
-      } else if (!body || body.trim() === '') {
-        basePrompt = 'Kullanıcı bir dosya gönderdi (tür bilinmiyor). Kısa bir cevap ver ve gerekiyorsa 1-2 net soru sor.';
+      response = failover.response;
+      executionMeta = failover.executionMeta;
+      this.setAiExecutionMeta(from, executionMeta);
+      try {
+        await this.queueOutboxMessage(from, notice, {
+          type: 'info',
+          orchestrator: failover.orchestrator
+        });
+      } catch (e) {
+        logger.warn(`Failover bildirimi outboxa yazilamadi: ${e?.message || String(e)}`);
       }
     }
 
-    // Sistem mesajlarını ve görev özetini ekle
-    const systemNotes = this.consumeSystemNotes(from);
-    const systemBlock = this.formatSystemNotes(systemNotes);
-    const taskSummary = this.getActiveTasksSummary(from);
-    const messageTimestamp = this.formatMessageTimestampForPrompt(message);
-    const timestampBlock = `\n\n[MESAJ ZAMANI]\n${messageTimestamp}\n[/MESAJ ZAMANI]\n`;
-    const feedbackExpectationBlock = this.buildFeedbackExpectationBlock();
-    const outboxInstructions = `\n\n${getOutboxPromptInstructions()}\n`;
-    const prompt = `${basePrompt}${timestampBlock}${feedbackExpectationBlock}${systemBlock}${taskSummary || ''}${outboxInstructions}`;
-
-    const response = await session.execute(prompt, { images });
-    this.setAiExecutionMeta(from, session?.lastExecutionMeta || null);
-
     // AI'ın arka plan görevi planı var mı kontrol et
     const taskPlan = this.parseBackgroundTaskPlan(response);
     if (taskPlan) {
-      const bgResult = await this.startBackgroundTask(message, taskPlan, images);
+      const bgResult = await this.startBackgroundTask(message, taskPlan, images, profile);
       if (bgResult) {
         return bgResult;
       }
@@ -1065,7 +1580,7 @@ class MessageHandler {
     this.terminalHandler.autoSave(from).catch(() => {});
 
     // Claude outbox'a kendi mesajlarını atmışsa response text'i susutur (çift mesaj önleme)
-    const reqId = session?.lastExecutionMeta?.requestId;
+    const reqId = executionMeta?.requestId;
     if (reqId && await this.hasOutboxActivity(reqId)) {
       logger.info(`Claude outbox mesajı gönderdi (${reqId.substring(0, 16)}...), response text susturuluyor`);
       return NO_RESPONSE;
@@ -1146,13 +1661,15 @@ class MessageHandler {
 
     try {
       while (queue.length) {
-        const job = queue.shift();
+        const job = await this.takeNextJob(chatId);
         if (!job) continue;
 
+        this.runningJobByChat.set(chatId, job);
         try {
-          const result = await this.processOneMessage(job.message);
+          const result = await this.processOneMessage(job.message, job.burst, job.profile);
           const executionMeta = this.consumeAiExecutionMeta(chatId);
-          if (result === NO_RESPONSE) {
+          // İşlenirken silindi: cevap verilmez
+          if (result === NO_RESPONSE || job.revoked) {
             continue;
           }
           // Bazı edge-case'lerde AI boş string döndürebilir (veya yanıt temizlenince boş kalabilir).
@@ -1231,6 +1748,8 @@ class MessageHandler {
           } catch (sendError) {
             logger.error('Hata mesajı gönderilemedi:', sendError?.message || String(sendError));
           }
+        } finally {
+          this.runningJobByChat.delete(chatId);
         }
       }
     } finally {
@@ -1246,11 +1765,80 @@ class MessageHandler {
     const lower = String(text).toLowerCase().trim();
     if (this.terminalHandler.isTerminalCommand(lower)) return true;
     if (this.switchHandler.isSwitch(lower)) return true;
+    if (this.usageHandler.isUsageCommand(lower)) return true;
+    if (this.modelHandler.isModelCommand(lower)) return true;
+    if (this.personaHandler.isPersonaCommand(lower)) return true;
+    if (this.isStopCommand(lower)) return true;
+    if (this.queueHandler.isQueueCommand(lower)) return true;
     if (lower === 'görevler' || lower === 'gorevler' || lower === 'tasks') return true;
     if (lower.replace(/\s+/g, ' ') === 'son dosya') return true;
     return false;
   }
 
+  /**
+   * Grupta herkesin ortak oturumunu, çalışma dizinini veya kuyruğunu değiştiren komut mu?
+   * Argümansız görüntüleme halleri (!!model, !!persona, !!proje) ve listeler hariç.
+   */
+  isSharedStateCommand(text) {
+    const lower = String(text || '').toLowerCase().trim().replace(/\s+/g, ' ');
+    const hasArgs = lower.includes(' ');
+    if (this.switchHandler.isSwitch(lower) || this.isStopCommand(lower)) return true;
+    if (this.queueHandler.isQueueCommand(lower)) return !/^!!(kuyruk|queue)$/.test(lower);
+    if (this.modelHandler.isModelCommand(lower) || this.personaHandler.isPersonaCommand(lower)) return hasArgs;
+    if (this.terminalHandler.isProjectCommand(lower)) return hasArgs;
+    if (this.terminalHandler.isTerminalCommand(lower)) {
+      return !/^!!(tlist|help|yardim|yardım)$/.test(lower);
+    }
+    return false;
+  }
+
+  isStopCommand(text) {
+    const lower = String(text || '').toLowerCase().trim().replace(/\s+/g, ' ');
+    return lower === '!!stop' || lower === '!!stop all' || lower === '!!dur' || lower === '!!dur hepsi';
+  }
+
+  /**
+   * Çalışan ön plan isteğini (oturum, failover, compare) durdur
+   */
+  cancelActiveRequest(chatId) {
+    const session = this.sessionManager.getSession(chatId);
+    return Boolean(session?.cancel?.()) || this.failoverHandler.cancel(chatId) || this.compareHandler.cancel(chatId);
+  }
+
+  /**
+   * !!stop: çalışan ön plan isteğinin sürecini öldürür (session/thread id korunur).
+   * !!stop all: ayrıca kuyrukta bekleyen mesajları da atar.
+   */
+  handleStopCommand(chatId, text) {
+    const lower = String(text || '').toLowerCase().trim().replace(/\s+/g, ' ');
+    const dropQueue = lower.endsWith(' all') || lower.endsWith(' hepsi');
+
+    let dropped = 0;
+    if (dropQueue) {
+      dropped = this.getPendingQueue(chatId).splice(0).length;
+    }
+
+    const cancelled = this.cancelActiveRequest(chatId);
+
+    if (cancelled) {
+      logger.info(`İstek iptal edildi [${maskPhoneLike(chatId)}]${dropped ? `, ${dropped} kuyruk mesajı silindi` : ''}`);
+      try {
+        this.db?.recordMetric?.('request_cancelled', 1);
+      } catch {
+        // metrik yazılamazsa iptali bozma
+      }
+    }
+
+    const droppedNote = dropped > 0 ? ` Kuyruktaki ${dropped} mesaj da silindi.` : '';
+    if (cancelled) {
+      return `⏹️ Çalışan istek durduruldu.${droppedNote} Sohbet kaldığı yerden devam edebilir.`;
+    }
+    if (dropped > 0) {
+      return `Çalışan bir istek yoktu.${droppedNote}`;
+    }
+    return 'Şu anda çalışan bir istek yok.';
+  }
+
   /**
    * Terminal etiketi ekle (AI yanıtları için)
    */
@@ -1262,35 +1850,53 @@ class MessageHandler {
 
   async handleMessage(message) {
     const from = message.from;
-    const body = message.body;
+    let body = message.body;
     const hasMedia = message.hasMedia === true;
 
     if (message.fromMe) return;
     if (!hasMedia && (!body || body.trim() === '')) return;
 
-    if (from.includes('@g.us')) return;
+    const isGroup = this.groupHandler.isGroupChat(from);
+    if (isGroup && !this.isAllowed(from)) return;
 
     let contactNumber = null;
+    let contactName = null;
     try {
       const contact = await message.getContact();
       contactNumber = contact?.number || contact?.id?.user || null;
+      contactName = contact?.pushname || contact?.name || null;
     } catch {
       // ignore
     }
 
-    if (!this.isAllowed(from, contactNumber)) {
+    if (isGroup) {
+      // Grupta sadece etiket/prefix ile tetiklenir; metin prefix'siz haliyle işlenir
+      const sender = { id: message.author || null, number: contactNumber, name: contactName };
+      const text = this.groupHandler.accept(message, sender);
+      if (text === null) return;
+      if (!hasMedia && !text) return;
+      body = text;
+      message.body = text;
+      message.groupSender = sender;
+    } else if (!this.isAllowed(from, contactNumber)) {
       logger.warn(`Yetkisiz mesaj: ${from}`);
       return;
+    } else if (contactNumber) {
+      this.contactNumberByChat.set(from, contactNumber);
     }
 
     logger.info(
       `Mesaj alındı [${from}]${hasMedia ? ' (media)' : ''}: ${String(body || '').substring(0, 100)}`
     );
 
-    const incomingLog = hasMedia
+    let incomingLog = hasMedia
       ? `[media]${body && body.trim() ? ` ${body.trim()}` : ''}`
       : body;
+    if (isGroup) {
+      incomingLog = this.groupHandler.formatLogLine(message.groupSender, incomingLog);
+    }
     this.db.logMessage(from, incomingLog, 'incoming');
+    this.trackLoggedMessage(message);
 
     // Komutları kuyruk-bypass ile anında işle
     // Terminal tıkansa bile komutlar çalışır
@@ -1311,12 +1917,23 @@ class MessageHandler {
       return;
     }
 
-    // Normal mesajlar kuyruğa eklenir
+    // Normal mesajlar kuyruğa eklenir (MAX_QUEUE_LENGTH dolduysa alınmaz)
     const queue = this.getPendingQueue(from);
+    if (this.queueHandler.isFull(from)) {
+      logger.warn(`Kuyruk dolu [${maskPhoneLike(from)}]: ${queue.length} mesaj`);
+      await this.sendNotice(message, this.queueHandler.formatFullNotice());
+      return;
+    }
     const job = this.createJob(message);
     queue.push(job);
 
     if (this.processingQueue.get(from)) {
+      // Çalışan işin arkasına girdi: sırasını bildir (aynı burst'e katılacak mesajlar hariç)
+      const previous = queue.at(-2);
+      const joinsBurst = previous && this.canCoalesce(previous, job, this.getCoalesceWindowMs());
+      if (this.runningJobByChat.has(from) && !joinsBurst) {
+        await this.sendNotice(message, this.queueHandler.formatPositionNotice(this.countQueuedJobs(queue)));
+      }
       return;
     }
 
@@ -1327,11 +1944,161 @@ class MessageHandler {
     });
   }
 
+  /**
+   * Kısa bilgi mesajı (kuyruk sırası, transkript); gönderilemezse akışı bozmaz
+   */
+  async sendNotice(message, text) {
+    try {
+      await this.replyToMessage(message, text);
+      this.db.logMessage(message.from, text, 'outgoing');
+    } catch (e) {
+      logger.warn(`Bilgi mesajı gönderilemedi: ${e?.message || String(e)}`);
+    }
+  }
+
+  /**
+   * Aynı WhatsApp mesajı mı? Silinen mesajın serialized id'si farklı olabilir, id.id korunur
+   */
+  isSameMessage(message, other) {
+    const a = message?.id;
+    const b = other?.id;
+    if (!a || !b) return false;
+    if (a._serialized && a._serialized === b._serialized) return true;
+    return Boolean(a.id) && a.id === b.id;
+  }
+
+  getMessageKeys(message) {
+    return [message?.id?._serialized, message?.id?.id].filter(Boolean);
+  }
+
+  trackLoggedMessage(message) {
+    for (const key of this.getMessageKeys(message)) {
+      this.loggedMessageKeys.add(key);
+    }
+    while (this.loggedMessageKeys.size > MAX_LOGGED_MESSAGE_KEYS) {
+      this.loggedMessageKeys.delete(this.loggedMessageKeys.values().next().value);
+    }
+  }
+
+  /**
+   * Mesaj daha önce gelen mesaj olarak loglandı mı? (grupta botu tetiklemeyen sohbet loglanmaz)
+   */
+  wasLogged(message) {
+    return this.getMessageKeys(message).some((key) => this.loggedMessageKeys.has(key));
+  }
+
+  findPendingJob(chatId, message) {
+    return this.getPendingQueue(chatId).find((job) => this.isSameMessage(job.message, message)) || null;
+  }
+
+  removePendingJob(chatId, job) {
+    const queue = this.getPendingQueue(chatId);
+    const index = queue.indexOf(job);
+    if (index >= 0) queue.splice(index, 1);
+  }
+
+  /**
+   * Mesaj düzenlendi: kuyruktaki iş yeni metinle işlenir, çalışan işe sistem notu düşülür,
+   * düzenleme mesaj geçmişine kaydedilir
+   */
+  async handleMessageEdit(message, newBody, prevBody) {
+    const chatId = message?.from;
+    if (!chatId || message.fromMe) return;
+    if (!this.isAllowed(chatId, this.contactNumberByChat.get(chatId))) return;
+
+    const job = this.findPendingJob(chatId, message);
+    const running = this.runningJobByChat.get(chatId);
+    const isRunning = !job && this.getJobMessages(running).some((item) => this.isSameMessage(item, message));
+    // Botun hiç işlemediği mesajların (grupta sıradan sohbet) düzenlemesi kaydedilmez
+    if (!job && !isRunning && !this.wasLogged(message)) return;
+
+    const text = String(newBody ?? message.body ?? '').trim();
+    const previous = String(prevBody ?? '').trim();
+    this.db.logMessage(chatId, `[düzenlendi] ${text}${previous ? ` (önceki: ${previous})` : ''}`, 'incoming');
+
+    if (job) {
+      // Grupta düzenlenen mesaj da prefix/etiket taşımalı
+      const nextBody = this.groupHandler.isGroupChat(chatId)
+        ? this.groupHandler.getTriggeredText({ ...job.message, body: text, mentionedIds: message.mentionedIds })
+        : text;
+      if (nextBody === null || (!job.message.hasMedia && !nextBody)) {
+        this.removePendingJob(chatId, job);
+        logger.info(`Düzenlenen mesaj artık tetiklemiyor, kuyruktan çıkarıldı [${maskPhoneLike(chatId)}]`);
+        return;
+      }
+      job.message.body = nextBody;
+      logger.info(`Kuyruktaki mesaj düzenlendi [${maskPhoneLike(chatId)}] job=${job.id}`);
+      return;
+    }
+
+    if (isRunning) {
+      this.addSystemNote(chatId, `Kullanıcı işlenmekte olan mesajını düzenledi. Yeni hali: ${text}`);
+    }
+  }
+
+  /**
+   * Mesaj herkesten silindi: kuyruktaki iş atılır, çalışan iş iptal edilir
+   * (burst'te sadece tüm mesajları silindiyse; aksi halde iş kalanlarla tamamlanır)
+   */
+  async handleMessageRevoke(message, revokedMessage = null) {
+    const chatId = message?.from || revokedMessage?.from;
+    if (!chatId || message?.fromMe || revokedMessage?.fromMe) return;
+    if (!this.isAllowed(chatId, this.contactNumberByChat.get(chatId))) return;
+
+    const job = this.findPendingJob(chatId, message);
+    const running = this.runningJobByChat.get(chatId);
+    const runningMessage = job ? null : this.getJobMessages(running).find((item) => this.isSameMessage(item, message));
+    const isRunning = Boolean(runningMessage);
+    // Botun hiç işlemediği mesajların (grupta sıradan sohbet) silinmesi ve metni kaydedilmez
+    if (!job && !isRunning && !this.wasLogged(message) && !this.wasLogged(revokedMessage)) return;
+    const original = revokedMessage?.body || (job?.message || runningMessage)?.body || '';
+    this.db.logMessage(chatId, `[silindi]${original ? ` ${original}` : ''}`, 'incoming');
+
+    if (job) {
+      this.removePendingJob(chatId, job);
+      logger.info(`Silinen mesaj kuyruktan çıkarıldı [${maskPhoneLike(chatId)}] job=${job.id}`);
+      return;
+    }
+    if (!isRunning) return;
+
+    // Birleştirilmiş (burst) işin sadece bir parçası silindiyse iş kalan mesajlar için tamamlanır
+    running.revokedMessages = [...(running.revokedMessages || []), runningMessage];
+    const remaining = this.getJobMessages(running).filter((item) => !running.revokedMessages.includes(item));
+    if (remaining.length) {
+      this.addSystemNote(
+        chatId,
+        `Kullanıcı işlenmekte olan mesajlarından birini sildi, o mesajı dikkate alma: ${original || '(metin yok)'}`
+      );
+      logger.info(
+        `Silinen mesaj çalışan burst'ün parçası, iş ${remaining.length} mesajla devam ediyor [${maskPhoneLike(chatId)}] job=${running.id}`
+      );
+      return;
+    }
+
+    running.revoked = true;
+    const cancelled = this.cancelActiveRequest(chatId);
+    logger.info(`Silinen mesajın isteği ${cancelled ? 'durduruldu' : 'cevapsız bırakılacak'} [${maskPhoneLike(chatId)}]`);
+    try {
+      this.db?.recordMetric?.('request_revoked', 1);
+    } catch {
+      // metrik yazılamazsa iptali bozma
+    }
+    if (cancelled) {
+      const txt = '⏹️ Silinen mesajın isteği durduruldu.';
+      try {
+        await this.sendTextToChat(chatId, txt);
+        this.db.logMessage(chatId, txt, 'outgoing');
+      } catch (sendError) {
+        logger.warn(`İptal bildirimi gönderilemedi: ${sendError?.message || String(sendError)}`);
+      }
+    }
+  }
+
   /**
    * Mesaj gönderme - retry mekanizması ile
    * Frame detached hatalarında yeniden dener
    */
-  async sendTextToChat(chatId, text, maxRetries = 3) {
+  async sendTextToChat(chatId, text, maxRetries = 3, sendOptions = {}) {
     let lastError = null;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -1340,7 +2107,7 @@ class MessageHandler {
         const client = this.wa?.client;
         if (client && typeof client.sendMessage === 'function') {
           try {
-            await client.sendMessage(chatId, text);
+            await client.sendMessage(chatId, text, sendOptions);
             logger.info(`Mesaj gönderildi -> ${maskPhoneLike(chatId)}`);
             return;
           } catch (sendErr) {
@@ -1350,7 +2117,7 @@ class MessageHandler {
           }
         }
 
-        // 2. Fallback: puppeteer page injection
+        // 2. Fallback: puppeteer page injection (alıntı seçeneği bu yolda uygulanmaz)
         const page = client?.pupPage;
         if (!page) {
           throw new Error('WhatsApp sayfası hazır değil');
@@ -1437,7 +2204,19 @@ class MessageHandler {
 
   async replyToMessage(originalMessage, text, maxRetries = 3) {
     const chatId = originalMessage.from;
-    return await this.sendTextToChat(chatId, text, maxRetries);
+    // Grupta cevap tetikleyen mesajı alıntılar (kime cevap verildiği belli olsun)
+    const sendOptions = this.groupHandler.isGroupChat(chatId)
+      ? { quotedMessageId: this.getMessageId(originalMessage) || undefined }
+      : {};
+    return await this.sendTextToChat(chatId, text, maxRetries, sendOptions);
+  }
+
+  /**
+   * Outbox mesajının WhatsApp gönderim seçenekleri (grupta tetikleyen mesajı alıntılama)
+   */
+  getOutboxSendOptions(envelope) {
+    const quotedMessageId = this.groupHandler.getQuotedMessageId(envelope);
+    return quotedMessageId ? { quotedMessageId } : {};
   }
 
   splitMessage(text, maxLength) {
@@ -0,0 +1,130 @@
+import logger from '../logger.js';
+import { maskPhoneLike } from '../utils/redact.js';
+
+const PREVIEW_CHARS = 60;
+
+/**
+ * Mesaj Kuyruğu Komutları
+ *
+ * Sohbet başına bekleyen işler (MessageHandler.pendingJobs) kullanıcıya görünür olur:
+ * - !!kuyruk: çalışan işi ve bekleyenleri yaş + önizlemeyle listeler
+ * - !!temizle: bekleyenlerin hepsini siler (çalışan işe dokunmaz; onun için !!stop)
+ * - !!atla <n>: !!kuyruk listesindeki n. mesajı siler
+ *
+ * MAX_QUEUE_LENGTH (varsayılan 10, 0 = sınırsız) dolarsa yeni mesaj kuyruğa alınmaz.
+ */
+class QueueHandler {
+  constructor({ getQueue, getRunningJob = () => null }) {
+    this.getQueue = getQueue;
+    this.getRunningJob = getRunningJob;
+  }
+
+  isQueueCommand(text) {
+    const lower = String(text || '').toLowerCase().trim();
+    return /^!!(kuyruk|queue|temizle|clear)$/.test(lower) || /^!!(atla|skip)(\s|$)/.test(lower);
+  }
+
+  getMaxLength() {
+    const value = parseInt(process.env.MAX_QUEUE_LENGTH || '10', 10);
+    return Number.isFinite(value) && value >= 0 ? value : 10;
+  }
+
+  isFull(chatId) {
+    const max = this.getMaxLength();
+    return max > 0 && this.getQueue(chatId).length >= max;
+  }
+
+  handle(chatId, text) {
+    const [command, ...args] = String(text || '').trim().toLowerCase().split(/\s+/);
+    if (command === '!!temizle' || command === '!!clear') {
+      return this.handleClear(chatId);
+    }
+    if (command === '!!atla' || command === '!!skip') {
+      return this.handleSkip(chatId, args);
+    }
+    return this.handleList(chatId);
+  }
+
+  handleList(chatId) {
+    const running = this.getRunningJob(chatId);
+    const queue = this.getQueue(chatId);
+    if (!running && queue.length === 0) {
+      return 'Kuyruk boş.';
+    }
+
+    const lines = ['📋 *Kuyruk*'];
+    if (running) {
+      const extra = running.burst?.length ? ` (+${running.burst.length} mesaj)` : '';
+      lines.push(`▶️ İşleniyor (${this.formatAge(running.createdAt)}): ${this.formatPreview(running.message)}${extra}`);
+    }
+    queue.forEach((job, index) => {
+      lines.push(`${index + 1}. (${this.formatAge(job.createdAt)}) ${this.formatPreview(job.message)}`);
+    });
+
+    const max = this.getMaxLength();
+    lines.push('', `Bekleyen: ${queue.length}${max > 0 ? `/${max}` : ''}`);
+    if (queue.length > 0) {
+      lines.push('`!!atla <n>` birini sil, `!!temizle` hepsini sil');
+    }
+    return lines.join('\n');
+  }
+
+  handleClear(chatId) {
+    const dropped = this.getQueue(chatId).splice(0).length;
+    if (dropped === 0) {
+      return 'Kuyrukta bekleyen mesaj yok.';
+    }
+    logger.info(`Kuyruk temizlendi [${maskPhoneLike(chatId)}]: ${dropped} mesaj`);
+    return `🧹 Kuyruktaki ${dropped} mesaj silindi.`;
+  }
+
+  handleSkip(chatId, args) {
+    const queue = this.getQueue(chatId);
+    const index = parseInt(args[0], 10);
+    if (args.length !== 1 || !Number.isInteger(index)) {
+      return 'Kullanım: `!!atla <n>` (numaralar `!!kuyruk` listesinden)';
+    }
+    if (index < 1 || index > queue.length) {
+      return queue.length === 0
+        ? 'Kuyrukta bekleyen mesaj yok.'
+        : `Geçersiz numara: ${index}. Kuyrukta ${queue.length} mesaj var.`;
+    }
+
+    const [job] = queue.splice(index - 1, 1);
+    logger.info(`Kuyruktan mesaj silindi [${maskPhoneLike(chatId)}] job=${job.id}`);
+    return `⏭️ ${index}. mesaj kuyruktan silindi: ${this.formatPreview(job.message)}`;
+  }
+
+  /**
+   * Çalışan işin arkasına giren mesaja sıra bildirimi
+   */
+  formatPositionNotice(position) {
+    return `⏳ Önceki mesajın işleniyor; sırada ${position}. mesajsın. (\`!!kuyruk\` ile görebilirsin)`;
+  }
+
+  formatFullNotice() {
+    return (
+      `Kuyruk dolu (${this.getMaxLength()} mesaj); bu mesaj alınmadı. ` +
+      '`!!kuyruk` ile bekleyenleri görebilir, `!!temizle` ile silebilirsin.'
+    );
+  }
+
+  formatAge(createdAt) {
+    const seconds = Math.max(0, Math.round((Date.now() - new Date(createdAt).getTime()) / 1000));
+    if (seconds < 60) return `${seconds} sn`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes} dk`;
+    return `${Math.floor(minutes / 60)} sa ${minutes % 60} dk`;
+  }
+
+  formatPreview(message) {
+    const text = String(message?.body || '').replace(/\s+/g, ' ').trim();
+    const preview = text.length > PREVIEW_CHARS ? `${text.slice(0, PREVIEW_CHARS)}…` : text;
+    if (message?.hasMedia) {
+      return preview ? `[medya] ${preview}` : '[medya]';
+    }
+    return preview || '(boş)';
+  }
+}
+
+export default QueueHandler;
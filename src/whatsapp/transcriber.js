@@ -0,0 +1,98 @@
+import { execFile } from 'child_process';
+import logger from '../logger.js';
+
+/**
+ * Sesli Mesaj Çevirisi (yerel speech-to-text)
+ *
+ * STT_COMMAND ile verilen komut (whisper.cpp vb.) kaydedilen ses dosyası üzerinde çalıştırılır;
+ * stdout'a yazılan metin transkript kabul edilir. {input} dosya yoluyla değiştirilir, yoksa yol sona eklenir:
+ *
+ *   STT_COMMAND="/opt/stt/whisper-ogg.sh {input}"
+ *
+ * - STT_MIMETYPES: çevrilecek türler (varsayılan audio/ogg,audio/opus - WhatsApp sesli mesajları)
+ * - STT_TIMEOUT_MS: komut zaman aşımı (varsayılan 120000)
+ */
+
+const DEFAULT_MIMETYPES = ['audio/ogg', 'audio/opus'];
+const MAX_TRANSCRIPT_CHARS = 20000;
+
+/**
+ * Komut satırını argümanlara böl (tırnaklı parçalar tek argüman)
+ */
+export function splitCommand(command) {
+  const parts = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(command || ''))) !== null) {
+    parts.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return parts;
+}
+
+export function getSttConfig() {
+  const command = String(process.env.STT_COMMAND || '').trim();
+  const mimetypes = String(process.env.STT_MIMETYPES || '')
+    .split(',')
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+  const timeoutMs = parseInt(process.env.STT_TIMEOUT_MS || '120000', 10);
+  return {
+    enabled: Boolean(command),
+    command,
+    mimetypes: mimetypes.length ? mimetypes : DEFAULT_MIMETYPES,
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : 120000
+  };
+}
+
+/**
+ * Kaydedilen medya çevrilecek mi? (komut tanımlı ve türü listede)
+ */
+export function shouldTranscribe(savedMediaInfo, config = getSttConfig()) {
+  if (!config.enabled || savedMediaInfo?.mediaType !== 'audio') return false;
+  return config.mimetypes.includes(String(savedMediaInfo.mimetype || '').toLowerCase());
+}
+
+export function buildSttInvocation(filePath, config = getSttConfig()) {
+  const [bin, ...args] = splitCommand(config.command);
+  const hasPlaceholder = args.some((arg) => arg.includes('{input}'));
+  return {
+    bin,
+    args: hasPlaceholder ? args.map((arg) => arg.replaceAll('{input}', filePath)) : [...args, filePath]
+  };
+}
+
+/**
+ * Ses dosyasını metne çevir. Return: transkript (boş olabilir); hata durumunda throw
+ */
+export function transcribeAudio(filePath, config = getSttConfig()) {
+  const { bin, args } = buildSttInvocation(filePath, config);
+  const startedAt = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const child = execFile(
+      bin,
+      args,
+      { timeout: config.timeoutMs, env: process.env, maxBuffer: 4 * 1024 * 1024 },
+      (err, stdout, stderr) => {
+        if (err) {
+          if (err.code === 'ENOENT') {
+            reject(new Error(`STT komutu bulunamadı (${bin})`));
+            return;
+          }
+          if (err.killed) {
+            reject(new Error(`STT zaman aşımı (${config.timeoutMs}ms)`));
+            return;
+          }
+          const detail = String(stderr || '').trim().split('\n').pop();
+          reject(new Error((detail || `STT çıkış kodu ${err.code}`).substring(0, 200)));
+          return;
+        }
+
+        const transcript = String(stdout || '').replace(/\s+/g, ' ').trim().substring(0, MAX_TRANSCRIPT_CHARS);
+        logger.info(`Sesli mesaj çevrildi (${Date.now() - startedAt}ms, ${transcript.length} karakter)`);
+        resolve(transcript);
+      }
+    );
+    child.stdin?.end();
+  });
+}
@@ -0,0 +1,109 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import { pathToFileURL } from 'node:url';
+
+let tmpDir;
+let registry;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-ai-adapter-test-'));
+  process.env.DATA_DIR = tmpDir;
+
+  const baseUrl = pathToFileURL(path.resolve('src/orchestrator/adapters/base-adapter.js')).href;
+  const modulePath = path.join(tmpDir, 'echo-adapter.js');
+  await fs.writeFile(
+    modulePath,
+    [
+      `import OrchestratorAdapter from '${baseUrl}';`,
+      'export default class EchoAdapter extends OrchestratorAdapter {',
+      "  constructor() { super({ type: 'echo', name: 'Echo', aliases: ['yankı'] }); }",
+      '}'
+    ].join('\n')
+  );
+
+  const configPath = path.join(tmpDir, 'orchestrators.json');
+  await fs.writeFile(
+    configPath,
+    JSON.stringify({
+      adapters: [
+        { module: modulePath, description: 'Test backend' },
+        { type: 'gemini', enabled: false }
+      ]
+    })
+  );
+
+  const { AdapterRegistry } = await import('../src/orchestrator/adapter-registry.js');
+  process.env.ORCHESTRATORS_CONFIG_PATH = configPath;
+  registry = new AdapterRegistry();
+  await registry.ensureInitialized();
+});
+
+after(async () => {
+  if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('config modulu yeni adaptor ekler, enabled=false yerlesik adaptoru kapatir', () => {
+  assert.deepEqual(registry.list(), ['claude', 'codex', 'echo']);
+  assert.equal(registry.get('echo').description, 'Test backend');
+  assert.equal(registry.normalizeType('yankı'), 'echo');
+  assert.equal(registry.normalizeType('gemini'), null);
+});
+
+test('normalizeType tam eslesme, alias ve onek destekler', () => {
+  assert.equal(registry.normalizeType('Claude'), 'claude');
+  assert.equal(registry.normalizeType('sonnet'), 'claude');
+  assert.equal(registry.normalizeType('gpt-5.3-codex'), 'codex');
+  assert.equal(registry.normalizeType('bilinmeyen'), null);
+});
+
+test('codex adaptoru arka plan gorevi argumanlarini ve ciktisini uretir', () => {
+  const adapter = registry.get('codex');
+  const invocation = adapter.buildTaskInvocation({
+    prompt: 'dosyayi yaz',
+    images: ['/tmp/a.png'],
+    defaultInstructions: 'TALIMAT',
+    profile: 'full'
+  });
+
+  assert.equal(invocation.args[1], 'exec');
+  assert.ok(invocation.args.includes('-i'));
+  assert.equal(invocation.args.at(-1), '-');
+  assert.match(invocation.stdin, /^TALIMAT\n\nGörev: dosyayi yaz/);
+
+  const parser = adapter.createOutputParser();
+  parser.push('{"type":"thread.started","thread_id":"th-1"}\n{"type":"item.completed","item":');
+  parser.push('{"type":"agent_message","text":"bitti"}}');
+  const output = parser.finish();
+
+  assert.equal(output.sessionId, 'th-1');
+  assert.equal(output.text, 'bitti');
+  assert.deepEqual(adapter.resolveTaskOutcome({ code: 0, output, stderr: '' }), {
+    status: 'completed',
+    result: 'bitti'
+  });
+});
+
+test('claude adaptoru is_error ciktisini basarisiz gorev sayar', () => {
+  const adapter = registry.get('claude');
+  const parser = adapter.createOutputParser();
+  parser.push(JSON.stringify({ type: 'result', result: 'kota doldu', is_error: true, session_id: 's-1' }));
+  const output = parser.finish();
+
+  assert.equal(output.sessionId, 's-1');
+  assert.deepEqual(adapter.resolveTaskOutcome({ code: 0, output, stderr: '' }), {
+    status: 'failed',
+    error: 'kota doldu'
+  });
+});
+
+test('adaptor store kaydini yazar, okur ve siler', async () => {
+  const adapter = registry.get('codex');
+  await adapter.writeStoredState('905551112233@c.us', { id: 'th-9', primed: true });
+
+  assert.deepEqual(await adapter.readStoredState('905551112233@c.us'), { id: 'th-9', primed: true });
+  assert.equal(await adapter.clearStoredState('905551112233@c.us'), true);
+  assert.equal(await adapter.readStoredState('905551112233@c.us'), null);
+});
@@ -0,0 +1,104 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import JSZip from 'jszip';
+import { makePdf } from './fixtures/make-pdf.js';
+
+let tmpDir;
+let extractor;
+
+async function writeZip(name, files) {
+  const zip = new JSZip();
+  for (const [entry, content] of Object.entries(files)) zip.file(entry, content);
+  const filePath = path.join(tmpDir, name);
+  await fs.writeFile(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+  return filePath;
+}
+
+async function extract(filePath, mimetype = 'application/octet-stream') {
+  return extractor.extractDocumentText({ absolutePath: filePath, originalName: path.basename(filePath), mimetype });
+}
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-ai-bridge-doc-'));
+  extractor = await import('../src/whatsapp/document-extractor.js');
+});
+
+after(async () => {
+  delete process.env.DOC_EXTRACT_MAX_MB;
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('tur tespiti: mimetype ve uzanti (octet-stream kaynak dosyalari dahil)', () => {
+  const kind = (mimetype, originalName) => extractor.getExtractionKind({ mimetype, originalName });
+  assert.equal(kind('application/pdf', 'x'), 'pdf');
+  assert.equal(kind('application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'x'), 'docx');
+  assert.equal(kind('application/octet-stream', 'tablo.xlsx'), 'xlsx');
+  assert.equal(kind('text/csv', 'x'), 'csv');
+  assert.equal(kind('text/markdown', 'NOTLAR.md'), 'text');
+  assert.equal(kind('application/octet-stream', 'main.py'), 'text');
+  assert.equal(kind('image/jpeg', 'foto.jpg'), null);
+  assert.equal(kind('application/zip', 'arsiv.zip'), null);
+});
+
+test('pdf ve docx: metin cikarilir, dosyanin yanina onbellege yazilir', async () => {
+  const pdfPath = path.join(tmpDir, 'rapor.pdf');
+  await fs.writeFile(pdfPath, makePdf(['Ciro 2024: 1.2M', 'Hedef tutuldu']));
+  const pdf = await extract(pdfPath, 'application/pdf');
+  assert.equal(pdf.kind, 'pdf');
+  assert.equal(pdf.text, 'Ciro 2024: 1.2M\nHedef tutuldu');
+  assert.equal(pdf.cachePath, `${pdfPath}.extracted.txt`);
+  assert.equal(await fs.readFile(pdf.cachePath, 'utf8'), pdf.text);
+
+  const docxPath = await writeZip('teklif.docx', {
+    'word/document.xml':
+      '<w:document><w:body>' +
+      '<w:p><w:r><w:t>Teklif &amp; Ko&#351;ullar</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t xml:space="preserve">Fiyat:</w:t><w:tab/><w:t>100 TL</w:t></w:r>' +
+      '<w:r><w:instrText> PAGE </w:instrText></w:r><w:r><w:delText>eski</w:delText></w:r></w:p>' +
+      '</w:body></w:document>'
+  });
+  assert.equal((await extract(docxPath)).text, 'Teklif & Koşullar\nFiyat:\t100 TL');
+});
+
+test('xlsx ve csv: sayfalar paylasilan metinler cozulerek satir satir yazilir', async () => {
+  const xlsxPath = await writeZip('satis.xlsx', {
+    'xl/workbook.xml':
+      '<workbook><sheets><sheet name="Ozet" sheetId="1" r:id="rId2"/><sheet name="Ham" sheetId="2" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels':
+      '<Relationships><Relationship Id="rId1" Type="ws" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="ws" Target="/xl/worksheets/sheet2.xml"/></Relationships>',
+    'xl/sharedStrings.xml': '<sst><si><t>Ay</t></si><si><r><t>Tu</t></r><r><t>tar</t></r></si><si><t>Ocak</t></si></sst>',
+    'xl/worksheets/sheet2.xml':
+      '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+      '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"/><c r="C2"><v>1500</v></c></row></sheetData></worksheet>',
+    'xl/worksheets/sheet1.xml':
+      '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>not</t></is></c><c r="B1" t="b"><v>1</v></c></row></sheetData></worksheet>'
+  });
+  assert.equal((await extract(xlsxPath)).text, '## Ozet\nAy\t\tTutar\nOcak\t\t1500\n\n## Ham\nnot\tTRUE');
+
+  const csvPath = path.join(tmpDir, 'liste.csv');
+  await fs.writeFile(csvPath, '﻿ad;adet\r\nkalem;3\r\n');
+  assert.equal((await extract(csvPath, 'text/csv')).text, 'ad;adet\nkalem;3');
+});
+
+test('boyut siniri ve alinti: tur bazli limit asilirsa atlanir, alinti sinirli olur', async () => {
+  const mdPath = path.join(tmpDir, 'uzun.md');
+  const bigPath = path.join(tmpDir, 'buyuk.txt');
+  await fs.writeFile(mdPath, `# Baslik\n${'x'.repeat(3000)}`);
+  await fs.writeFile(bigPath, 'y'.repeat(1024 * 1024 + 1));
+
+  process.env.DOC_EXTRACT_MAX_MB = JSON.stringify({ text: 1 });
+  assert.deepEqual(await extract(bigPath, 'text/plain'), { kind: 'text', skipped: 'text metin çıkarma sınırı 1MB' });
+  assert.equal((await extract(mdPath, 'text/markdown')).totalChars, 3009);
+  delete process.env.DOC_EXTRACT_MAX_MB;
+
+  const info = { absolutePath: mdPath, originalName: 'uzun.md', mimetype: 'text/markdown' };
+  const extraction = await extractor.extractDocumentText(info);
+  const excerpt = extractor.formatDocumentExcerpt(info, extraction, 100);
+  assert.match(excerpt, /^"uzun\.md" \(text\) — dosya: .*uzun\.md\n/);
+  assert.match(excerpt, /\(3009 karakter; aşağıda ilk 100 karakter, devamı için dosyayı oku\)/);
+  assert.ok(excerpt.endsWith(`${'x'.repeat(91)}…\n---`));
+});
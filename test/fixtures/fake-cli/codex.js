@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+import { runFakeCli } from './fake-cli.js';
+
+await runFakeCli('codex');
@@ -0,0 +1,235 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * claude / codex / gemini CLI'larının test taklidi.
+ *
+ * Davranış FAKE_CLI_SCENARIO ile belirlenir (satır içi JSON veya JSON dosya yolu):
+ *   reply     - asistan cevabı (varsayılan: "<flavor>: <prompt'un ilk satırı>")
+ *   sessionId - dönülecek session/thread id
+ *   outbox    - [{ type, text }] scripts/ai-outbox-message.js ile yazılır
+ *   outboxFromPrompt - outbox mesajları, model gibi prompt'taki "Komut: node <script>" yolu CLI'ın
+ *               cwd'sinde çalıştırılarak yazılır (script bulunamazsa hata stderr'e yazılır)
+ *   replay    - stdout'a aynen basılacak kayıt dosyası (recordings/ altına göre)
+ *   isError   - backend'in hata formatında cevap dön
+ *   failFirst - { count, error }: bu CLI'ın ilk `count` çağrısında (FAKE_CLI_LOG'a göre) `error` ile
+ *               hata formatında cevap dön (geçici hata / retry testi)
+ *   tools     - [{ name, input }] cevaptan önce backend'in kendi formatında araç event'i olarak basılır
+ *               (claude: Bash/Edit..., gemini: run_shell_command/write_file...,
+ *                codex: command_execution { command } / file_change { changes })
+ *   stderr, exitCode, delayMs
+ *   hang      - hiç çıkma (timeout testi)
+ *   ignoreSigterm - SIGTERM'i yok say (SIGKILL'e yükseltme testi)
+ *   crash     - kısmi çıktıdan sonra SIGKILL ile öl
+ *   authError - `login status` (codex oturum kontrolü) bu hatayla başarısız olur
+ *   claude / codex / gemini - sadece o CLI için geçerli alan override'ları
+ *
+ * FAKE_CLI_LOG tanımlıysa her çağrı (argv, stdin, cwd, WA_* env) JSONL olarak eklenir
+ * (yetenek kontrolü komutları hariç).
+ */
+
+const fixturesDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(fixturesDir, '..', '..', '..');
+
+function loadScenario(flavor) {
+  const raw = String(process.env.FAKE_CLI_SCENARIO || '').trim();
+  if (!raw) return {};
+  const scenario = raw.startsWith('{') ? JSON.parse(raw) : JSON.parse(fs.readFileSync(raw, 'utf8'));
+  return { ...scenario, ...(scenario[flavor] || {}) };
+}
+
+function readStdin() {
+  return new Promise((resolve) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => (data += chunk));
+    process.stdin.on('end', () => resolve(data));
+  });
+}
+
+function getArg(argv, name) {
+  const index = argv.indexOf(name);
+  return index >= 0 ? argv[index + 1] : null;
+}
+
+function countCalls(flavor) {
+  if (!process.env.FAKE_CLI_LOG) return 0;
+  try {
+    return fs
+      .readFileSync(process.env.FAKE_CLI_LOG, 'utf8')
+      .split('\n')
+      .filter((line) => line.includes(`"flavor":"${flavor}"`)).length;
+  } catch {
+    return 0;
+  }
+}
+
+function writeOutbox(messages = [], script = path.join(repoRoot, 'scripts', 'ai-outbox-message.js')) {
+  for (const msg of messages) {
+    try {
+      execFileSync(process.execPath, [script, '--type', msg.type || 'final', '--text', msg.text], {
+        env: process.env,
+        stdio: 'ignore'
+      });
+    } catch (error) {
+      process.stderr.write(`outbox komutu calismadi: ${error.message}\n`);
+    }
+  }
+}
+
+function findPromptOutboxScript(text) {
+  const match = String(text).match(/Komut: node (\S+ai-outbox-message\.js) /);
+  return match ? match[1] : null;
+}
+
+function formatToolEvents(flavor, tools = []) {
+  return tools.map((tool, index) => {
+    if (flavor === 'claude') {
+      return {
+        type: 'assistant',
+        message: { role: 'assistant', content: [{ type: 'tool_use', id: `toolu_${index}`, name: tool.name, input: tool.input || {} }] }
+      };
+    }
+    if (flavor === 'codex') {
+      const item = { id: `item_${index}`, type: tool.name, ...(tool.input || {}) };
+      return { type: tool.name === 'file_change' ? 'item.completed' : 'item.started', item };
+    }
+    return { type: 'tool_use', tool_name: tool.name, tool_id: `tool_${index}`, parameters: tool.input || {} };
+  });
+}
+
+function formatOutput(flavor, argv, { reply, sessionId, isError, tools }) {
+  const toolEvents = formatToolEvents(flavor, tools);
+  const outputFormat = getArg(argv, '--output-format') || (flavor === 'gemini' ? 'text' : 'json');
+
+  if (flavor === 'claude') {
+    const result = { type: 'result', result: reply, session_id: sessionId, is_error: Boolean(isError) };
+    if (outputFormat !== 'stream-json') {
+      return JSON.stringify(result);
+    }
+    const events = [{ type: 'system', subtype: 'init', session_id: sessionId }, ...toolEvents];
+    if (!isError) {
+      events.push({ type: 'assistant', message: { role: 'assistant', content: [{ type: 'text', text: reply }] } });
+    }
+    events.push(result);
+    return events.map((evt) => JSON.stringify(evt)).join('\n') + '\n';
+  }
+
+  if (flavor === 'codex') {
+    const events = [{ type: 'thread.started', thread_id: sessionId }, ...toolEvents];
+    if (isError) {
+      events.push({ type: 'error', message: reply });
+    } else {
+      events.push({ type: 'item.completed', item: { type: 'agent_message', text: reply } });
+    }
+    return events.map((evt) => JSON.stringify(evt)).join('\n') + '\n';
+  }
+
+  if (outputFormat === 'json') {
+    return JSON.stringify(isError ? { error: { message: reply } } : { response: reply, session_id: sessionId });
+  }
+  if (outputFormat === 'stream-json') {
+    const events = [{ type: 'init', session_id: sessionId }, ...toolEvents];
+    if (isError) {
+      events.push({ type: 'error', message: reply });
+    } else {
+      // Parçalı (delta) gönderim
+      const middle = Math.ceil(reply.length / 2);
+      events.push({ type: 'message', role: 'assistant', content: reply.slice(0, middle), delta: true });
+      events.push({ type: 'message', role: 'assistant', content: reply.slice(middle), delta: true });
+      events.push({ type: 'result', status: 'success' });
+    }
+    return events.map((evt) => JSON.stringify(evt)).join('\n') + '\n';
+  }
+  return reply;
+}
+
+async function writeInChunks(text, size = 48) {
+  for (let i = 0; i < text.length; i += size) {
+    process.stdout.write(text.slice(i, i + size));
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+export async function runFakeCli(flavor) {
+  const argv = process.argv.slice(2);
+  const scenario = loadScenario(flavor);
+  if (scenario.ignoreSigterm) {
+    process.on('SIGTERM', () => {});
+  }
+
+  // Yetenek kontrolü (capability-probe): stdin okumadan cevap ver
+  if (argv[0] === '--version') {
+    process.stdout.write(`${flavor}-fake 1.0.0\n`);
+    return;
+  }
+  if (argv[0] === 'login' && argv[1] === 'status') {
+    if (scenario.authError) {
+      process.stderr.write(`${scenario.authError}\n`);
+      process.exitCode = 1;
+    } else {
+      process.stdout.write('Logged in using ChatGPT\n');
+    }
+    return;
+  }
+
+  // Gemini prompt'u argüman olarak alır, stdin'i kapatılmaz
+  const stdin = flavor === 'gemini' ? '' : await readStdin();
+  const prompt = flavor === 'gemini' ? argv.at(-1) || '' : stdin;
+
+  if (process.env.FAKE_CLI_LOG) {
+    const entry = {
+      flavor,
+      argv,
+      stdin,
+      cwd: process.cwd(),
+      env: {
+        WA_CHAT_ID: process.env.WA_CHAT_ID,
+        WA_REQUEST_ID: process.env.WA_REQUEST_ID,
+        WA_ORCHESTRATOR: process.env.WA_ORCHESTRATOR,
+        WA_SESSION_ID: process.env.WA_SESSION_ID
+      }
+    };
+    fs.appendFileSync(process.env.FAKE_CLI_LOG, JSON.stringify(entry) + '\n');
+  }
+
+  if (scenario.delayMs) {
+    await new Promise((resolve) => setTimeout(resolve, scenario.delayMs));
+  }
+
+  if (scenario.hang) {
+    setInterval(() => {}, 1000);
+    return;
+  }
+
+  writeOutbox(
+    scenario.outbox,
+    scenario.outboxFromPrompt ? findPromptOutboxScript([...argv, stdin].join('\n')) || 'scripts/ai-outbox-message.js' : undefined
+  );
+
+  const firstLine = String(prompt).trim().split('\n')[0];
+  const failing = scenario.failFirst && countCalls(flavor) <= scenario.failFirst.count;
+  const output = scenario.replay
+    ? fs.readFileSync(path.resolve(fixturesDir, '..', 'recordings', scenario.replay), 'utf8')
+    : formatOutput(flavor, argv, {
+        reply: failing ? scenario.failFirst.error : scenario.reply ?? `${flavor}: ${firstLine}`,
+        sessionId: scenario.sessionId || `fake-${flavor}-session`,
+        isError: failing || scenario.isError,
+        tools: scenario.tools
+      });
+
+  if (scenario.crash) {
+    process.stdout.write(output.slice(0, Math.floor(output.length / 2)));
+    if (scenario.stderr) process.stderr.write(scenario.stderr);
+    process.kill(process.pid, 'SIGKILL');
+    return;
+  }
+
+  await writeInChunks(output);
+  if (scenario.stderr) {
+    process.stderr.write(scenario.stderr);
+  }
+  process.exitCode = scenario.exitCode ?? 0;
+}
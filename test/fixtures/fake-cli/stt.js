@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// Sahte STT komutu: dosya yolunu doğrular, FAKE_STT_TEXT'i transkript olarak basar
+import fs from 'fs';
+
+const input = process.argv.at(-1);
+if (!input || !fs.existsSync(input)) {
+  console.error(`dosya yok: ${input}`);
+  process.exit(2);
+}
+console.error('whisper: model yüklendi');
+process.stdout.write(`${process.env.FAKE_STT_TEXT ?? 'yarın saat üçte toplantı var, hatırlat'}\n`);
@@ -0,0 +1,166 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import os from 'node:os';
+
+let tmpDir;
+let server;
+let requests = [];
+let failures = []; // sıradaki /chat/completions isteklerine dönülecek HTTP hataları
+let adapter;
+
+function reply(res, message) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ model: 'test-model', choices: [{ message }] }));
+}
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-ai-openai-compat-test-'));
+  process.env.DATA_DIR = tmpDir;
+  process.env.AI_OUTBOX_DIR = path.join(tmpDir, 'ai-outbox');
+
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      if (req.method === 'GET' && req.url === '/v1/models') {
+        const ok = req.headers.authorization === 'Bearer sk-test';
+        res.writeHead(ok ? 200 : 401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(ok ? { data: [{ id: 'qwen' }, { id: 'llama' }] } : { error: 'unauthorized' }));
+        return;
+      }
+
+      const payload = JSON.parse(body);
+      requests.push({ url: req.url, auth: req.headers.authorization, payload });
+
+      if (failures.length > 0) {
+        const { status, headers = {} } = failures.shift();
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify({ error: { message: `hata ${status}` } }));
+        return;
+      }
+
+      const last = payload.messages.at(-1);
+      if (last.role === 'user' && JSON.stringify(last.content).includes('outbox')) {
+        reply(res, {
+          role: 'assistant',
+          content: null,
+          tool_calls: [
+            {
+              id: 'call-1',
+              type: 'function',
+              function: {
+                name: 'ai_outbox_message',
+                arguments: JSON.stringify({ type: 'final', text: 'outbox cevabı' })
+              }
+            }
+          ]
+        });
+        return;
+      }
+      reply(res, { role: 'assistant', content: `yanıt ${payload.messages.length}` });
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.OPENAI_COMPAT_BASE_URL = `http://127.0.0.1:${server.address().port}/v1/`;
+  process.env.OPENAI_COMPAT_API_KEY = 'sk-test';
+  process.env.ORCHESTRATORS_CONFIG_PATH = path.join(tmpDir, 'yok.json');
+
+  const { AdapterRegistry } = await import('../src/orchestrator/adapter-registry.js');
+  const registry = new AdapterRegistry();
+  await registry.ensureInitialized();
+  adapter = registry.get('ollama');
+});
+
+after(async () => {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('local oturumu gecmisi saklar ve sonraki istekte gonderir', async () => {
+  assert.equal(adapter.type, 'local');
+  requests = [];
+
+  const session = adapter.createSession('s-1', '905551112233@c.us');
+  assert.equal(await session.execute('merhaba'), 'yanıt 2');
+  assert.equal(await session.execute('nasılsın'), 'yanıt 4');
+
+  assert.equal(requests[0].url, '/v1/chat/completions');
+  assert.equal(requests[0].auth, 'Bearer sk-test');
+  assert.equal(requests[1].payload.messages[1].content, 'merhaba');
+  assert.equal(requests[1].payload.messages[2].content, 'yanıt 2');
+
+  const stored = await adapter.readStoredState('905551112233@c.us');
+  assert.deepEqual(
+    stored.messages.map((m) => m.content),
+    ['merhaba', 'yanıt 2', 'nasılsın', 'yanıt 4']
+  );
+});
+
+test('tool cagrisi outbox dosyasi yazar ve gorseller data URL olarak gider', async () => {
+  requests = [];
+  const imagePath = path.join(tmpDir, 'foto.png');
+  await fs.writeFile(imagePath, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+  const session = adapter.createSession('s-2', '905550000000@c.us');
+  const response = await session.execute('outbox ile cevap ver', { images: [imagePath] });
+  const { requestId } = session.lastExecutionMeta;
+
+  assert.equal(response, 'yanıt 4');
+  const userContent = requests[0].payload.messages.at(-1).content;
+  assert.equal(userContent[0].text, 'outbox ile cevap ver');
+  assert.match(userContent[1].image_url.url, /^data:image\/png;base64,/);
+  assert.equal(requests[1].payload.messages.at(-1).role, 'tool');
+
+  const pendingDir = path.join(tmpDir, 'ai-outbox', 'pending');
+  const files = (await fs.readdir(pendingDir)).filter((f) => f.endsWith('.json'));
+  assert.equal(files.length, 1);
+  const envelope = JSON.parse(await fs.readFile(path.join(pendingDir, files[0]), 'utf8'));
+  assert.equal(envelope.chatId, '905550000000@c.us');
+  assert.equal(envelope.requestId, requestId);
+  assert.equal(envelope.orchestrator, 'local');
+  assert.equal(envelope.text, 'outbox cevabı');
+});
+
+test('local yetenek kontrolu /models ister, yetkisiz cevap kullanilamaz sayilir', async () => {
+  assert.deepEqual(await adapter.probe(), { available: true, version: 'qwen, llama', error: null });
+
+  process.env.OPENAI_COMPAT_API_KEY = 'sk-yanlis';
+  try {
+    const result = await adapter.probe();
+    assert.equal(result.available, false);
+    assert.match(result.error, /^HTTP 401/);
+  } finally {
+    process.env.OPENAI_COMPAT_API_KEY = 'sk-test';
+  }
+});
+
+test('gecici HTTP hatalari (429/5xx) tekrar denenir, diger 4xx hatalari denenmez', async () => {
+  process.env.ORCHESTRATOR_RETRY_BASE_MS = '10';
+  try {
+    requests = [];
+    failures = [{ status: 503 }, { status: 429, headers: { 'Retry-After': '0' } }];
+    const session = adapter.createSession('s-3', '905550000003@c.us');
+    assert.equal(await session.execute('merhaba'), 'yanıt 2');
+    assert.equal(requests.length, 3);
+    assert.equal(session.lastExecutionMeta.retries, 2);
+    assert.equal(session.lastExecutionMeta.failure, null);
+
+    const retry = adapter.classifyFailure('error', 'HTTP 429 (retry-after: 3): {"error":"slow down"}');
+    assert.equal(retry.retryable, true);
+    assert.equal(retry.retryAfterMs, 3000);
+
+    requests = [];
+    failures = [{ status: 400 }];
+    const rejected = adapter.createSession('s-4', '905550000004@c.us');
+    assert.match(await rejected.execute('merhaba'), /^Hata:\nHTTP 400/);
+    assert.equal(requests.length, 1);
+    assert.equal(rejected.lastExecutionMeta.failure.retryable, false);
+  } finally {
+    failures = [];
+    delete process.env.ORCHESTRATOR_RETRY_BASE_MS;
+  }
+});
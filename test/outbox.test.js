@@ -10,6 +10,7 @@ import {
   normalizeOutboxMessage,
   writeOutboxMessage
 } from '../src/outbox/common.js';
+import { ProgressReporter, describeActivity } from '../src/outbox/progress-reporter.js';
 
 let tmpDir;
 let outboxPaths;
@@ -118,3 +119,64 @@ test('normalizeOutboxMessage chatId ve text zorunlulugunu kontrol eder', () => {
   assert.throws(() => normalizeOutboxMessage({ text: 'x' }), /chatId/);
   assert.throws(() => normalizeOutboxMessage({ chatId: '905551112233@c.us' }), /text/);
 });
+
+async function readPending() {
+  const files = (await fs.readdir(outboxPaths.pendingDir)).sort();
+  return Promise.all(
+    files.map(async (name) => JSON.parse(await fs.readFile(path.join(outboxPaths.pendingDir, name), 'utf8')))
+  );
+}
+
+test('describeActivity arac aktivitesini kisa Turkce satira cevirir', () => {
+  assert.equal(describeActivity({ kind: 'edit', target: '/repo/src/x.js' }, { cwd: '/repo' }), 'Düzenleniyor: src/x.js');
+  assert.equal(describeActivity({ kind: 'command', target: 'npm test -- --watch=false' }), 'Testler çalıştırılıyor…');
+  assert.equal(describeActivity({ kind: 'command', target: 'ls -la' }), 'Komut çalıştırılıyor: ls -la');
+  assert.equal(describeActivity({ kind: 'unknown', target: 'x' }), null);
+});
+
+test('ProgressReporter araligi icindeki satirlari birlestirir ve requestId olmadan yazar', async () => {
+  const reporter = new ProgressReporter({
+    chatId: '905551112233@c.us',
+    requestId: 'chat-progress-1',
+    orchestrator: 'codex',
+    outboxPaths,
+    intervalMs: 60,
+    maxMessages: 5
+  });
+
+  reporter.report({ kind: 'read', target: 'README.md' });
+  reporter.report({ kind: 'edit', target: 'src/a.js' });
+  reporter.report({ kind: 'edit', target: 'src/a.js' });
+  reporter.report({ kind: 'command', target: 'npm test' });
+  await new Promise((resolve) => setTimeout(resolve, 120));
+  await reporter.stop();
+
+  const messages = await readPending();
+  assert.deepEqual(
+    messages.map((m) => m.text),
+    ['⏳ Okunuyor: README.md', '⏳ Düzenleniyor: src/a.js\nTestler çalıştırılıyor…']
+  );
+  assert.equal(messages[0].type, 'progress');
+  assert.equal(messages[0].requestId, null);
+  assert.equal(messages[0].meta.requestId, 'chat-progress-1');
+});
+
+test('ProgressReporter model outbox kullaniyorsa susar', async () => {
+  await writeOutboxMessage(
+    { chatId: '905551112233@c.us', requestId: 'chat-progress-2', type: 'start', text: 'Bakıyorum.' },
+    { outboxPaths }
+  );
+  const reporter = new ProgressReporter({
+    chatId: '905551112233@c.us',
+    requestId: 'chat-progress-2',
+    orchestrator: 'claude',
+    outboxPaths,
+    intervalMs: 0
+  });
+
+  reporter.report({ kind: 'command', target: 'ls' });
+  reporter.report({ kind: 'command', target: 'pwd' });
+  await reporter.stop();
+
+  assert.deepEqual((await readPending()).map((m) => m.text), ['Bakıyorum.']);
+});